@@ -0,0 +1,116 @@
+/**
+ * Service Worker - Caches the app shell so the editor works offline
+ *
+ * Pages are network-first (a new deploy shows up right away) and fall back to
+ * the cached index.html. Build assets under /assets/ have hashed names, so
+ * they're served from the cache once fetched - that includes the FFmpeg core
+ * and its WASM binary the first time an export loads them. Everything else on
+ * our origin is served from the cache and refreshed in the background.
+ *
+ * Cached responses keep their COOP/COEP headers, so the page stays cross-origin
+ * isolated (needed by the multithreaded FFmpeg core) when served offline.
+ */
+
+// Bump to drop every cached file on the next visit
+const CACHE_VERSION = 1;
+const CACHE_NAME = `cuddles-shell-v${CACHE_VERSION}`;
+
+// Fetched on install so the first offline visit has a page to show
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/logo.svg',
+    '/fonts/ClashDisplay-Semibold.ttf',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Store a successful response in the cache
+ * @param {Request} request - Request the response belongs to
+ * @param {Response} response - Network response
+ * @returns {Response} - The response, untouched
+ */
+const cacheResponse = (request, response) => {
+    if (response.ok && response.type === 'basic') {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+};
+
+/**
+ * Network first, cached page (or the app shell) when offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+const handleNavigation = async (request) => {
+    try {
+        return cacheResponse(request, await fetch(request));
+    } catch (error) {
+        // Client-side routes (/about...) all render from index.html
+        const cached = await caches.match(request) || await caches.match('/index.html');
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+/**
+ * Cache first - for files whose name changes when their content does
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>}
+ */
+const handleHashedAsset = async (request) => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    return cacheResponse(request, await fetch(request));
+};
+
+/**
+ * Cached copy right away, refreshed from the network for next time
+ * @param {Request} request - Static file request
+ * @returns {Promise<Response>}
+ */
+const handleStaticFile = async (request) => {
+    const cached = await caches.match(request);
+    const network = fetch(request)
+        .then(response => cacheResponse(request, response))
+        .catch(() => null);
+
+    if (cached) return cached;
+    const response = await network;
+    if (response) return response;
+    return Response.error();
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Only our own files - uploads are blob: URLs and never reach the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.pathname.startsWith('/assets/')) {
+        event.respondWith(handleHashedAsset(request));
+    } else {
+        event.respondWith(handleStaticFile(request));
+    }
+});
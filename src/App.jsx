@@ -6,17 +6,41 @@ import About from './components/About';
 import './index.css';
 
 function App() {
-  const [videoFile, setVideoFile] = useState(null);
+  const [clips, setClips] = useState([]); // { id, file } in playback order
   const [activeTool, setActiveTool] = useState(null);
   const editorRef = useRef(null);
 
+  // Every selected or dropped file becomes a clip at the end of the project
   const handleUpload = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      setVideoFile(file);
-      // Reset tool when new file loaded
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
+
+    const now = Date.now();
+    const newClips = files.map((file, index) => ({ id: `${now}-${index}`, file }));
+    if (clips.length === 0) {
+      // Reset tool when a new project starts
       setActiveTool(null);
     }
+    setClips(current => [...current, ...newClips]);
+  };
+
+  // Clips of an opened project replace the open ones
+  const handleOpenProject = (projectClips) => {
+    setClips(projectClips);
+    setActiveTool(null);
+  };
+
+  const handleReorderClips = (fromIndex, toIndex) => {
+    setClips(current => {
+      const next = [...current];
+      const [moved] = next.splice(fromIndex, 1);
+      next.splice(toIndex, 0, moved);
+      return next;
+    });
+  };
+
+  const handleRemoveClip = (id) => {
+    setClips(current => current.filter(clip => clip.id !== id));
   };
 
   const handleTrimClick = () => {
@@ -25,12 +49,13 @@ function App() {
 
   const handleDownloadClick = () => {
     if (editorRef.current) {
-      editorRef.current.transcode();
+      // Pick container/codec/quality first - the dialog starts the export
+      editorRef.current.openExportSettings();
     }
   };
 
   const handleCloseVideo = () => {
-    setVideoFile(null);
+    setClips([]);
     setActiveTool(null);
   };
 
@@ -44,9 +69,12 @@ function App() {
               element={
                 <VideoEditor
                   ref={editorRef}
-                  videoFile={videoFile}
+                  clips={clips}
                   activeTool={activeTool}
                   onUpload={handleUpload}
+                  onOpenProject={handleOpenProject}
+                  onReorderClips={handleReorderClips}
+                  onRemoveClip={handleRemoveClip}
                   onClose={handleCloseVideo}
                   onTrim={handleTrimClick}
                   onDownload={handleDownloadClick}
@@ -0,0 +1,184 @@
+import { useEffect, useRef, useState } from 'react';
+import { GAIN_RANGE, LOUDNESS_TARGET, getAudioGainAt } from '../utils/audioEdits';
+import { getRangesDuration, findRangeAt, toOutputTime, toSourceTime } from '../utils/timeRanges';
+import { getPeak } from '../utils/audioAnalysis';
+import { getViewTimeAt, toViewPercent } from '../utils/timelineView';
+
+const WAVEFORM_COLOR = 'rgba(59, 130, 246, 0.8)';
+const CLIPPING_COLOR = '#ff4444';
+const REMOVED_COLOR = 'rgba(255, 255, 255, 0.15)';
+
+const formatGain = (db) => `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+
+/**
+ * Audio of the clip being edited, under the video timeline
+ * The waveform spans the whole source like the timeline above it, drawn at
+ * the level the export will have: gain, normalization and fades applied,
+ * trimmed and cut parts greyed out. The handles drag the fades, which run
+ * on the output timeline. Only the part in the timeline's view is drawn.
+ */
+const AudioLane = ({ edit, analysis, view, keepRanges, normalizeGain, onChange }) => {
+    const trackRef = useRef(null);
+    const canvasRef = useRef(null);
+    const [draggingFade, setDraggingFade] = useState(null); // 'fadeIn' or 'fadeOut'
+    const [width, setWidth] = useState(0);
+
+    const outputDuration = getRangesDuration(keepRanges);
+    const hasAudio = Boolean(analysis);
+
+    // Fades never overlap and stay inside the output
+    const clampFade = (name, value) => {
+        const other = name === 'fadeIn' ? edit.fadeOut : edit.fadeIn;
+        return Math.max(0, Math.min(value, outputDuration - other));
+    };
+
+    const getTimeFromX = (x) => getViewTimeAt(view, trackRef.current.getBoundingClientRect(), x);
+
+    useEffect(() => {
+        const track = trackRef.current;
+        if (!track) return;
+        const observer = new ResizeObserver(() => setWidth(track.clientWidth));
+        observer.observe(track);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        if (!draggingFade) return;
+        const handleMouseMove = (e) => {
+            const outputTime = toOutputTime(keepRanges, getTimeFromX(e.clientX));
+            const value = draggingFade === 'fadeIn' ? outputTime : outputDuration - outputTime;
+            onChange({ [draggingFade]: clampFade(draggingFade, value) }, draggingFade);
+        };
+        const handleMouseUp = () => setDraggingFade(null);
+        window.addEventListener('mousemove', handleMouseMove);
+        window.addEventListener('mouseup', handleMouseUp);
+        return () => {
+            window.removeEventListener('mousemove', handleMouseMove);
+            window.removeEventListener('mouseup', handleMouseUp);
+        };
+    });
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !width) return;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(canvas.clientHeight * ratio);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const visible = view.end - view.start;
+        if (!analysis || !(visible > 0)) return;
+
+        const middle = canvas.height / 2;
+        for (let x = 0; x < canvas.width; x++) {
+            const from = view.start + (x / canvas.width) * visible;
+            const to = view.start + ((x + 1) / canvas.width) * visible;
+            const peak = getPeak(analysis, from, to);
+
+            const isKept = Boolean(findRangeAt(keepRanges, from));
+            const level = isKept
+                ? peak * getAudioGainAt(edit, toOutputTime(keepRanges, from), outputDuration, normalizeGain)
+                : peak;
+            const height = Math.max(1, Math.min(1, level) * middle);
+            ctx.fillStyle = !isKept ? REMOVED_COLOR : (level > 1 ? CLIPPING_COLOR : WAVEFORM_COLOR);
+            ctx.fillRect(x, middle - height, 1, height * 2);
+        }
+    }, [analysis, edit, keepRanges, normalizeGain, outputDuration, view.start, view.end, width]);
+
+    const fadeInEnd = toSourceTime(keepRanges, edit.fadeIn);
+    const fadeOutStart = toSourceTime(keepRanges, outputDuration - edit.fadeOut);
+    const toPercent = (time) => toViewPercent(view, time);
+
+    let status = null;
+    if (analysis === undefined) {
+        status = 'Analyzing audio...';
+    } else if (!hasAudio) {
+        status = 'No audio';
+    }
+
+    return (
+        <div className="audio-lane-container" style={{ marginTop: '1rem', width: '100%' }}>
+            <div className="text-timeline-header" style={{ color: '#888', fontSize: '0.8rem', marginBottom: '0.5rem' }}>
+                Audio
+            </div>
+            <div className={`audio-lane ${edit.muted ? 'muted' : ''}`} ref={trackRef}>
+                <canvas ref={canvasRef} className="audio-waveform" />
+                {status && <span className="audio-lane-status">{status}</span>}
+
+                {hasAudio && keepRanges.length > 0 && (
+                    <>
+                        <div
+                            className="audio-fade fade-in"
+                            style={{ left: toPercent(keepRanges[0].start), width: `calc(${toPercent(fadeInEnd)} - ${toPercent(keepRanges[0].start)})` }}
+                        />
+                        <div
+                            className="audio-fade fade-out"
+                            style={{ left: toPercent(fadeOutStart), width: `calc(${toPercent(keepRanges[keepRanges.length - 1].end)} - ${toPercent(fadeOutStart)})` }}
+                        />
+                        <div
+                            className="audio-fade-handle"
+                            style={{ left: toPercent(fadeInEnd) }}
+                            onMouseDown={(e) => {
+                                e.stopPropagation();
+                                setDraggingFade('fadeIn');
+                            }}
+                            title={`Fade in: ${edit.fadeIn.toFixed(1)}s`}
+                        />
+                        <div
+                            className="audio-fade-handle"
+                            style={{ left: toPercent(fadeOutStart) }}
+                            onMouseDown={(e) => {
+                                e.stopPropagation();
+                                setDraggingFade('fadeOut');
+                            }}
+                            title={`Fade out: ${edit.fadeOut.toFixed(1)}s`}
+                        />
+                    </>
+                )}
+            </div>
+
+            <div className="audio-controls">
+                <button
+                    className={`audio-mute-btn ${edit.muted ? 'active' : ''}`}
+                    onClick={() => onChange({ muted: !edit.muted })}
+                    disabled={!hasAudio}
+                >
+                    {edit.muted ? 'Unmute' : 'Mute'}
+                </button>
+
+                <label className="audio-control">
+                    <span>Gain</span>
+                    <input
+                        type="range"
+                        min={GAIN_RANGE.min}
+                        max={GAIN_RANGE.max}
+                        step={0.5}
+                        value={edit.gain}
+                        onChange={(e) => onChange({ gain: Number(e.target.value) }, 'gain')}
+                        onDoubleClick={() => onChange({ gain: 0 })}
+                        disabled={!hasAudio || edit.muted}
+                        title="Double-click to reset"
+                    />
+                    <span className="audio-control-value">{formatGain(edit.gain)}</span>
+                </label>
+
+                <label className="audio-control">
+                    <input
+                        type="checkbox"
+                        checked={edit.normalize}
+                        onChange={(e) => onChange({ normalize: e.target.checked })}
+                        disabled={!hasAudio}
+                    />
+                    <span>Normalize loudness</span>
+                    {hasAudio && Number.isFinite(analysis.loudness) && (
+                        <span className="audio-control-value" title={`Integrated loudness, and the gain that brings it to ${LOUDNESS_TARGET} LUFS`}>
+                            {analysis.loudness.toFixed(1)} LUFS ({formatGain(normalizeGain)})
+                        </span>
+                    )}
+                </label>
+            </div>
+        </div>
+    );
+};
+
+export default AudioLane;
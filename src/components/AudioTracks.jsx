@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from 'react';
+import { GAIN_RANGE } from '../utils/audioEdits';
+import { AUDIO_TRACK_ACCEPT, DUCK_RANGE, MIN_TRACK_DURATION, getTrackEnd } from '../utils/audioTracks';
+import { getViewTimeAt, toViewPercent } from '../utils/timelineView';
+
+const formatDb = (db) => `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+
+/**
+ * Music and voiceover tracks of the clip being edited, under the audio lane
+ * Tracks sit on the source timeline like the overlays above: drag a bar to
+ * move it, drag its edges to trim the file. Each track has its own volume and
+ * how far it ducks while the clip's audio plays.
+ */
+const AudioTracks = ({ tracks, videoDuration, view, onAdd, onUpdate, onRemove }) => {
+    const trackRef = useRef(null);
+    const fileInputRef = useRef(null);
+    const [drag, setDrag] = useState(null); // { id, mode: 'move', 'start' or 'end', offset }
+
+    const getTimeFromX = (x) => getViewTimeAt(view, trackRef.current.getBoundingClientRect(), x);
+
+    const handleDragStart = (e, track, mode) => {
+        e.stopPropagation();
+        setDrag({ id: track.id, mode, offset: getTimeFromX(e.clientX) - track.start });
+    };
+
+    useEffect(() => {
+        if (!drag) return;
+        const handleMouseMove = (e) => {
+            const track = tracks.find(t => t.id === drag.id);
+            if (!track) return;
+            const time = getTimeFromX(e.clientX);
+
+            if (drag.mode === 'move') {
+                const start = Math.max(0, Math.min(time - drag.offset, videoDuration - MIN_TRACK_DURATION));
+                onUpdate(track.id, { start });
+            } else if (drag.mode === 'start') {
+                // The left edge trims the file's start, keeping the rest in place
+                const shift = Math.max(-track.trimStart, Math.min(time - track.start, track.trimEnd - track.trimStart - MIN_TRACK_DURATION));
+                onUpdate(track.id, { start: track.start + shift, trimStart: track.trimStart + shift });
+            } else {
+                const trimEnd = Math.max(track.trimStart + MIN_TRACK_DURATION, Math.min(track.duration, track.trimStart + time - track.start));
+                onUpdate(track.id, { trimEnd });
+            }
+        };
+        const handleMouseUp = () => setDrag(null);
+        window.addEventListener('mousemove', handleMouseMove);
+        window.addEventListener('mouseup', handleMouseUp);
+        return () => {
+            window.removeEventListener('mousemove', handleMouseMove);
+            window.removeEventListener('mouseup', handleMouseUp);
+        };
+    });
+
+    const toPercent = (time) => toViewPercent(view, time);
+
+    return (
+        <div className="audio-tracks-container" style={{ marginTop: '1rem', width: '100%' }}>
+            <div className="audio-tracks-header">
+                <span>Audio Tracks</span>
+                <button className="audio-mute-btn" onClick={() => fileInputRef.current?.click()}>
+                    Add audio
+                </button>
+            </div>
+
+            {tracks.length === 0 && (
+                <div className="audio-tracks-empty">Add music or a voiceover to play under the clip</div>
+            )}
+
+            <div className="audio-tracks-lanes" ref={trackRef}>
+                {tracks.map(track => (
+                    <div key={track.id} className="audio-track">
+                        <div className="audio-track-lane">
+                            <div
+                                className={`audio-track-bar ${drag?.id === track.id ? 'dragging' : ''}`}
+                                style={{
+                                    left: toPercent(track.start),
+                                    width: `calc(${toPercent(getTrackEnd(track))} - ${toPercent(track.start)})`,
+                                }}
+                                onMouseDown={(e) => handleDragStart(e, track, 'move')}
+                                title={`${track.name} - ${(track.trimEnd - track.trimStart).toFixed(1)}s`}
+                            >
+                                <div className="audio-track-handle start" onMouseDown={(e) => handleDragStart(e, track, 'start')} />
+                                <span className="audio-track-name">{track.name}</span>
+                                <div className="audio-track-handle end" onMouseDown={(e) => handleDragStart(e, track, 'end')} />
+                            </div>
+                        </div>
+
+                        <div className="audio-controls">
+                            <label className="audio-control">
+                                <span>Volume</span>
+                                <input
+                                    type="range"
+                                    min={GAIN_RANGE.min}
+                                    max={GAIN_RANGE.max}
+                                    step={0.5}
+                                    value={track.gain}
+                                    onChange={(e) => onUpdate(track.id, { gain: Number(e.target.value) })}
+                                    onDoubleClick={() => onUpdate(track.id, { gain: 0 })}
+                                    title="Double-click to reset"
+                                />
+                                <span className="audio-control-value">{formatDb(track.gain)}</span>
+                            </label>
+
+                            <label className="audio-control" title="Lower the track while the clip's own audio plays">
+                                <span>Duck</span>
+                                <input
+                                    type="range"
+                                    min={DUCK_RANGE.min}
+                                    max={DUCK_RANGE.max}
+                                    step={1}
+                                    value={track.duck}
+                                    onChange={(e) => onUpdate(track.id, { duck: Number(e.target.value) })}
+                                />
+                                <span className="audio-control-value">{track.duck < 0 ? formatDb(track.duck) : 'Off'}</span>
+                            </label>
+
+                            <button className="audio-mute-btn" onClick={() => onRemove(track.id)}>
+                                Remove
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <input
+                type="file"
+                ref={fileInputRef}
+                onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    if (file) onAdd(file);
+                    e.target.value = '';
+                }}
+                accept={AUDIO_TRACK_ACCEPT}
+                style={{ display: 'none' }}
+            />
+        </div>
+    );
+};
+
+export default AudioTracks;
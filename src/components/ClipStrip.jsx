@@ -0,0 +1,102 @@
+import { useRef, useState } from 'react';
+
+const formatClipDuration = (seconds) => {
+    const totalSeconds = Math.round(seconds);
+    return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+};
+
+/**
+ * Clips of the project in playback order
+ * Blocks are sized by their trimmed duration; drag one to reorder,
+ * click it to edit that clip.
+ */
+const ClipStrip = ({ clips, activeClipId, durations, onSelect, onReorder, onRemove, onAdd }) => {
+    const fileInputRef = useRef(null);
+    const [dragIndex, setDragIndex] = useState(null);
+    const [dropIndex, setDropIndex] = useState(null);
+
+    // Clips without a known duration yet still get a block
+    const totalDuration = clips.reduce((sum, clip) => sum + (durations[clip.id] || 1), 0);
+
+    const handleDrop = (e, index) => {
+        e.preventDefault();
+        if (dragIndex !== null && dragIndex !== index) {
+            onReorder(dragIndex, index);
+        }
+        setDragIndex(null);
+        setDropIndex(null);
+    };
+
+    return (
+        <div className="clip-strip-container" style={{ marginTop: '1rem', width: '100%' }}>
+            <div className="text-timeline-header" style={{ color: '#888', fontSize: '0.8rem', marginBottom: '0.5rem' }}>
+                Clips
+            </div>
+            <div className="clip-strip">
+                {clips.map((clip, index) => {
+                    const duration = durations[clip.id];
+                    return (
+                        <div
+                            key={clip.id}
+                            className={`clip-block ${clip.id === activeClipId ? 'active' : ''} ${dropIndex === index && dragIndex !== index ? 'drop-target' : ''}`}
+                            style={{ flexGrow: (duration || 1) / totalDuration }}
+                            draggable
+                            onDragStart={(e) => {
+                                e.dataTransfer.effectAllowed = 'move';
+                                setDragIndex(index);
+                            }}
+                            onDragOver={(e) => {
+                                e.preventDefault();
+                                setDropIndex(index);
+                            }}
+                            onDragEnd={() => {
+                                setDragIndex(null);
+                                setDropIndex(null);
+                            }}
+                            onDrop={(e) => handleDrop(e, index)}
+                            onClick={() => onSelect(clip.id)}
+                            title={clip.file.name}
+                        >
+                            <span className="clip-block-name">{clip.file.name}</span>
+                            <span className="clip-block-duration">
+                                {duration !== undefined ? formatClipDuration(duration) : '…'}
+                            </span>
+                            <button
+                                className="clip-block-remove"
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onRemove(clip.id);
+                                }}
+                                title="Remove clip"
+                            >
+                                ×
+                            </button>
+                        </div>
+                    );
+                })}
+
+                <button
+                    className="clip-add-btn"
+                    onClick={() => fileInputRef.current?.click()}
+                    title="Add clips"
+                >
+                    +
+                </button>
+                <input
+                    type="file"
+                    ref={fileInputRef}
+                    onChange={(e) => {
+                        onAdd(e);
+                        // Allow adding the same file again
+                        e.target.value = '';
+                    }}
+                    accept="video/mp4,audio/wav,video/x-m4v,video/*"
+                    multiple
+                    style={{ display: 'none' }}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default ClipStrip;
@@ -0,0 +1,264 @@
+import React from 'react';
+import {
+    CONTAINERS,
+    VIDEO_CODECS,
+    AUDIO_CODECS,
+    RESOLUTIONS,
+    TRIM_MODES,
+    normalizeSettings,
+    getOutputSize,
+    canStreamCopy,
+    getOutputFileName,
+    MIN_CUSTOM_SIZE,
+} from '../utils/exportSettings';
+import { getExportMethod, getUnsupportedMessage, EXPORT_METHODS } from '../utils/exportRouter';
+import { formatFrameRate, COMMON_FRAME_RATES } from '../utils/mediaInfo';
+import { canSmartRender } from '../utils/smartTrim';
+
+const AUDIO_BITRATES = [96, 128, 192, 256, 320];
+
+const METHOD_LABELS = {
+    [EXPORT_METHODS.WEBCODECS]: 'WebCodecs (fast, offline)',
+    [EXPORT_METHODS.MEDIARECORDER]: 'MediaRecorder (real time)',
+    [EXPORT_METHODS.CANVAS]: 'Canvas frames + FFmpeg (slow, frame-accurate)',
+    [EXPORT_METHODS.CONCAT]: 'FFmpeg (clips joined, letterboxed to the canvas)',
+    [EXPORT_METHODS.FFMPEG]: 'FFmpeg',
+};
+
+const ExportSettingsDialog = ({ settings, mediaInfo, textLayers, hasCuts = false, hasAudioEdits = false, clipCount = 1, sourceName, onChange, onExport, onClose }) => {
+    const update = (updates) => {
+        onChange(normalizeSettings({ ...settings, ...updates }));
+    };
+
+    const container = CONTAINERS[settings.container];
+    const outputSize = mediaInfo ? getOutputSize(settings, mediaInfo.width, mediaInfo.height) : null;
+    const exportMethod = getExportMethod({ textLayers, settings, clipCount });
+    // Cuts are joined by re-encoding
+    const isStreamCopy = exportMethod === EXPORT_METHODS.FFMPEG && !hasCuts && !hasAudioEdits && canStreamCopy(settings, mediaInfo);
+    const isSmartRender = isStreamCopy && settings.trimMode === 'smart';
+
+    const getMethodLabel = () => {
+        if (isSmartRender) {
+            return canSmartRender(mediaInfo)
+                ? 'Smart render (re-encodes up to the first keyframe)'
+                : 'Re-encode (smart render needs H.264 with known keyframes)';
+        }
+        return isStreamCopy ? 'Stream copy (no re-encode)' : METHOD_LABELS[exportMethod];
+    };
+
+    const handleKeyDown = (e) => {
+        // Keep editor hotkeys (Space, T, X...) from firing while the dialog is open
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+        // Buttons handle Enter themselves
+        if (e.key === 'Enter' && e.target.tagName !== 'BUTTON' && exportMethod !== EXPORT_METHODS.UNSUPPORTED) {
+            e.preventDefault();
+            onExport(settings);
+        }
+    };
+
+    return (
+        <div className="export-dialog-backdrop" onClick={onClose} onKeyDown={handleKeyDown}>
+            <div
+                className="export-dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="export-dialog-title"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h2 id="export-dialog-title">Export</h2>
+
+                <label className="export-field">
+                    <span>File name</span>
+                    <input
+                        type="text"
+                        autoFocus
+                        value={settings.fileName}
+                        placeholder={getOutputFileName({ ...settings, fileName: '' }, sourceName).replace(/\.[^.]+$/, '')}
+                        onChange={(e) => update({ fileName: e.target.value })}
+                    />
+                </label>
+
+                <div className="export-row">
+                    <label className="export-field">
+                        <span>Format</span>
+                        <select value={settings.container} onChange={(e) => update({ container: e.target.value })}>
+                            {Object.entries(CONTAINERS).map(([key, { label }]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    <label className="export-field">
+                        <span>Video codec</span>
+                        <select value={settings.videoCodec} onChange={(e) => update({ videoCodec: e.target.value })}>
+                            {container.videoCodecs.map(key => (
+                                <option key={key} value={key}>{VIDEO_CODECS[key].label}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+
+                <div className="export-row">
+                    <label className="export-field">
+                        <span>Resolution</span>
+                        <select value={settings.resolution} onChange={(e) => update({ resolution: e.target.value })}>
+                            {Object.entries(RESOLUTIONS).map(([key, { label }]) => (
+                                <option key={key} value={key}>
+                                    {key === 'source' && mediaInfo ? `${label} (${mediaInfo.width}x${mediaInfo.height})` : label}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+
+                    <label className="export-field">
+                        <span>Frame rate</span>
+                        <select
+                            value={settings.fps || ''}
+                            onChange={(e) => update({ fps: e.target.value ? parseFloat(e.target.value) : null })}
+                        >
+                            <option value="">
+                                Source{mediaInfo ? ` (${mediaInfo.isVFR ? 'VFR ~' : ''}${formatFrameRate(mediaInfo.fps)} fps)` : ''}
+                            </option>
+                            {COMMON_FRAME_RATES.map(rate => (
+                                <option key={rate} value={rate}>{formatFrameRate(rate)} fps</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+
+                {settings.resolution === 'custom' && (
+                    <div className="export-row">
+                        <label className="export-field">
+                            <span>Width</span>
+                            <input
+                                type="number"
+                                min={MIN_CUSTOM_SIZE}
+                                step={2}
+                                value={settings.customWidth}
+                                onChange={(e) => update({ customWidth: parseInt(e.target.value, 10) || 0 })}
+                            />
+                        </label>
+                        <label className="export-field">
+                            <span>Height</span>
+                            <input
+                                type="number"
+                                min={MIN_CUSTOM_SIZE}
+                                step={2}
+                                value={settings.customHeight}
+                                onChange={(e) => update({ customHeight: parseInt(e.target.value, 10) || 0 })}
+                            />
+                        </label>
+                    </div>
+                )}
+
+                <div className="export-row">
+                    <label className="export-field">
+                        <span>Quality</span>
+                        <select value={settings.rateControl} onChange={(e) => update({ rateControl: e.target.value })}>
+                            <option value="crf">Constant quality (CRF)</option>
+                            <option value="bitrate">Target bitrate</option>
+                        </select>
+                    </label>
+
+                    {settings.rateControl === 'crf' ? (
+                        <label className="export-field">
+                            <span>CRF {settings.crf} <em>(lower = better)</em></span>
+                            <input
+                                type="range"
+                                min={15}
+                                max={40}
+                                value={settings.crf}
+                                onChange={(e) => update({ crf: parseInt(e.target.value, 10) })}
+                            />
+                        </label>
+                    ) : (
+                        <label className="export-field">
+                            <span>Bitrate (kbps)</span>
+                            <input
+                                type="number"
+                                min={100}
+                                step={500}
+                                value={settings.videoBitrate}
+                                onChange={(e) => update({ videoBitrate: parseInt(e.target.value, 10) || 0 })}
+                            />
+                        </label>
+                    )}
+                </div>
+
+                <div className="export-row">
+                    <label className="export-field">
+                        <span>Audio codec</span>
+                        <select value={settings.audioCodec} onChange={(e) => update({ audioCodec: e.target.value })}>
+                            {container.audioCodecs.map(key => (
+                                <option key={key} value={key}>{AUDIO_CODECS[key].label}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    <label className="export-field">
+                        <span>Audio bitrate</span>
+                        <select
+                            value={settings.audioBitrate}
+                            onChange={(e) => update({ audioBitrate: parseInt(e.target.value, 10) })}
+                        >
+                            {AUDIO_BITRATES.map(rate => (
+                                <option key={rate} value={rate}>{rate} kbps</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+
+                <label className="export-checkbox">
+                    <input
+                        type="checkbox"
+                        checked={settings.streamCopy}
+                        onChange={(e) => update({ streamCopy: e.target.checked })}
+                    />
+                    <span>Skip re-encoding when possible (fast, lossless trim)</span>
+                </label>
+
+                {isStreamCopy && (
+                    <label className="export-field">
+                        <span>Trim start</span>
+                        <select value={settings.trimMode} onChange={(e) => update({ trimMode: e.target.value })}>
+                            {Object.entries(TRIM_MODES).map(([key, { label }]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+
+                <div className="export-summary">
+                    {exportMethod === EXPORT_METHODS.UNSUPPORTED ? (
+                        <span className="export-summary-warning">{getUnsupportedMessage(settings)}</span>
+                    ) : (
+                        <span>
+                            {outputSize ? `${outputSize.width}x${outputSize.height} · ` : ''}
+                            {getMethodLabel()}
+                        </span>
+                    )}
+                </div>
+
+                <div className="export-actions">
+                    <button className="export-btn secondary" onClick={onClose}>
+                        Cancel <span className="hotkey-badge">Esc</span>
+                    </button>
+                    <button
+                        className="export-btn primary"
+                        onClick={() => onExport(settings)}
+                        disabled={exportMethod === EXPORT_METHODS.UNSUPPORTED}
+                    >
+                        Export <span className="hotkey-badge">Enter</span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ExportSettingsDialog;
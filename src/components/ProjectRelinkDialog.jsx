@@ -0,0 +1,115 @@
+import { useRef } from 'react';
+import { getProjectSources } from '../utils/projectFile';
+import { AUDIO_TRACK_ACCEPT } from '../utils/audioTracks';
+
+/**
+ * Re-link the files of a project being opened
+ * Lists every clip and audio track with the file found for it; pick more
+ * files to link the missing ones. Clips and tracks still missing are left
+ * out when opening.
+ */
+const ProjectRelinkDialog = ({ project, linked, changed, isMatching, onChooseFiles, onOpen, onClose }) => {
+    const fileInputRef = useRef(null);
+    const sources = getProjectSources(project);
+    const clipIds = new Set(project.clips.map(clip => clip.id));
+    const linkedCount = project.clips.filter(clip => linked[clip.id]).length;
+    const missingCount = sources.filter(({ id }) => !linked[id]).length;
+
+    const getStatus = ({ id, source }) => {
+        const file = linked[id];
+        if (file) {
+            return file.name === source.name ? 'Linked' : `Linked to ${file.name}`;
+        }
+        return changed.includes(source.name) ? 'Changed since saving' : 'Missing';
+    };
+
+    const handleKeyDown = (e) => {
+        // Keep editor hotkeys from firing while the dialog is open
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+        if (e.key === 'Enter' && e.target.tagName !== 'BUTTON' && linkedCount > 0 && !isMatching) {
+            e.preventDefault();
+            onOpen();
+        }
+    };
+
+    return (
+        <div className="export-dialog-backdrop" onClick={onClose} onKeyDown={handleKeyDown}>
+            <div
+                className="export-dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="relink-dialog-title"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h2 id="relink-dialog-title">Open project</h2>
+
+                <ul className="relink-list">
+                    {sources.map(item => (
+                        <li key={item.id} className={`relink-item ${linked[item.id] ? 'linked' : 'missing'}`}>
+                            <span className="relink-name" title={item.source.name}>
+                                {!clipIds.has(item.id) && <span className="relink-kind">Audio</span>}
+                                {item.source.name}
+                            </span>
+                            <span className="relink-status">{getStatus(item)}</span>
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="export-summary">
+                    {isMatching ? (
+                        <span>Matching files...</span>
+                    ) : missingCount > 0 ? (
+                        <span className="export-summary-warning">
+                            {missingCount} of {sources.length} files missing - choose them, or open without them
+                        </span>
+                    ) : (
+                        <span>All files found</span>
+                    )}
+                </div>
+
+                <div className="export-actions">
+                    <button className="export-btn secondary" onClick={onClose}>
+                        Cancel <span className="hotkey-badge">Esc</span>
+                    </button>
+                    {missingCount > 0 && (
+                        <button
+                            className="export-btn secondary"
+                            onClick={() => fileInputRef.current?.click()}
+                            disabled={isMatching}
+                            autoFocus
+                        >
+                            Choose files
+                        </button>
+                    )}
+                    <button
+                        className="export-btn primary"
+                        onClick={onOpen}
+                        disabled={linkedCount === 0 || isMatching}
+                        autoFocus={missingCount === 0}
+                    >
+                        Open <span className="hotkey-badge">Enter</span>
+                    </button>
+                </div>
+
+                <input
+                    type="file"
+                    ref={fileInputRef}
+                    onChange={(e) => {
+                        onChooseFiles(Array.from(e.target.files || []));
+                        e.target.value = '';
+                    }}
+                    accept={`video/mp4,video/x-m4v,video/*,${AUDIO_TRACK_ACCEPT}`}
+                    multiple
+                    style={{ display: 'none' }}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default ProjectRelinkDialog;
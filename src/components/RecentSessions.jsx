@@ -0,0 +1,81 @@
+const formatSavedAt = (timestamp) => {
+    const date = new Date(timestamp);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Autosaved sessions on the upload screen
+ * The latest one gets a restore prompt, the others are listed below it.
+ */
+const RecentSessions = ({ sessions, restoringId, onRestore, onDelete }) => {
+    if (sessions.length === 0) return null;
+    const [latest, ...older] = sessions;
+
+    const describe = (session) => (
+        `${session.clipCount > 1 ? `${session.clipCount} clips · ` : ''}${formatSavedAt(session.updatedAt)}`
+    );
+
+    return (
+        <div className="recent-sessions">
+            <div className="restore-prompt">
+                <div className="restore-prompt-text">
+                    <span>Restore previous session?</span>
+                    <span className="recent-session-details" title={latest.name}>
+                        {latest.name} · {describe(latest)}
+                    </span>
+                </div>
+                <button
+                    className="export-btn primary"
+                    onClick={() => onRestore(latest.id)}
+                    disabled={restoringId !== null}
+                >
+                    {restoringId === latest.id ? 'Restoring...' : 'Restore'}
+                </button>
+                <button
+                    className="recent-session-remove"
+                    onClick={() => onDelete(latest.id)}
+                    title="Discard this session"
+                >
+                    ×
+                </button>
+            </div>
+
+            {older.length > 0 && (
+                <>
+                    <div className="text-timeline-header" style={{ color: '#888', fontSize: '0.8rem' }}>
+                        Recent projects
+                    </div>
+                    <ul className="recent-session-list">
+                        {older.map(session => (
+                            <li key={session.id} className="recent-session">
+                                <button
+                                    className="recent-session-open"
+                                    onClick={() => onRestore(session.id)}
+                                    disabled={restoringId !== null}
+                                    title={session.name}
+                                >
+                                    <span className="recent-session-name">
+                                        {restoringId === session.id ? 'Restoring...' : session.name}
+                                    </span>
+                                    <span className="recent-session-details">{describe(session)}</span>
+                                </button>
+                                <button
+                                    className="recent-session-remove"
+                                    onClick={() => onDelete(session.id)}
+                                    title="Discard this session"
+                                >
+                                    ×
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RecentSessions;
@@ -0,0 +1,276 @@
+import { useState } from 'react';
+import { getAnimatedTransform, getTransformEdit, shiftKeyframes } from '../utils/keyframes';
+import { getWrapWidth } from '../utils/textLayout';
+import {
+    DEFAULT_BACKGROUND,
+    DEFAULT_GRADIENT,
+    DEFAULT_SHADOW,
+    DEFAULT_STROKE,
+    FONT_FAMILIES,
+    TEXT_ALIGNMENTS,
+    getFontWeights,
+    resolveTextStyle,
+} from '../utils/textStyle';
+
+// Shortest a layer can be made here, like on the timeline (seconds)
+const MIN_LAYER_DURATION = 0.5;
+
+/**
+ * Labelled slider with its value
+ */
+const StyleSlider = ({ label, value, min, max, step = 1, unit = '', onChange }) => (
+    <label className="inspector-field">
+        <span className="inspector-label">{label}</span>
+        <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={value}
+            onChange={(e) => onChange(Number(e.target.value))}
+        />
+        <span className="inspector-value">{value}{unit}</span>
+    </label>
+);
+
+/**
+ * Labelled color picker
+ */
+const StyleColor = ({ label, value, onChange }) => (
+    <label className="inspector-field">
+        <span className="inspector-label">{label}</span>
+        <input type="color" value={value} onChange={(e) => onChange(e.target.value)} />
+    </label>
+);
+
+/**
+ * Labelled number box
+ * Keeps what's typed while it has focus, so partial numbers ("1.", "-")
+ * aren't rounded away; every valid number is applied right away.
+ */
+const NumberField = ({ label, value, step = 1, unit = '', onChange }) => {
+    const [draft, setDraft] = useState(null);
+    return (
+        <label className="inspector-field">
+            <span className="inspector-label">{label}</span>
+            <input
+                type="number"
+                step={step}
+                value={draft ?? Number(value.toFixed(2))}
+                onChange={(e) => {
+                    setDraft(e.target.value);
+                    const number = Number(e.target.value);
+                    if (e.target.value !== '' && Number.isFinite(number)) onChange(number);
+                }}
+                onBlur={() => setDraft(null)}
+            />
+            <span className="inspector-value">{unit}</span>
+        </label>
+    );
+};
+
+/**
+ * Labelled dropdown
+ */
+const SelectField = ({ label, value, options, onChange }) => (
+    <label className="inspector-field">
+        <span className="inspector-label">{label}</span>
+        <select value={value} onChange={(e) => onChange(e.target.value)}>
+            {options.map(({ value: option, label: optionLabel }) => (
+                <option key={option} value={option}>{optionLabel}</option>
+            ))}
+        </select>
+    </label>
+);
+
+/**
+ * Effect that can be switched on and off, with its options while it's on
+ */
+const StyleEffect = ({ label, enabled, onToggle, children }) => (
+    <div className="inspector-section">
+        <label className="inspector-section-header">
+            <input type="checkbox" checked={enabled} onChange={onToggle} />
+            <span>{label}</span>
+        </label>
+        {enabled && children}
+    </div>
+);
+
+/**
+ * Inspector for the selected overlay
+ * Placement and timing for every layer, font and style for text. Position,
+ * rotation, scale and opacity are the values at the playhead: on a
+ * keyframed property a change keys it there, like the handles on the video.
+ */
+const TextInspector = ({ layer, currentTime, videoDuration, onUpdate }) => {
+    const isText = layer.type !== 'image';
+    const style = resolveTextStyle(layer.style);
+    const { stroke, shadow, background, gradient } = style;
+    const transform = getAnimatedTransform(layer, currentTime);
+
+    const updateStyle = (changes) => onUpdate({ style: { ...layer.style, ...changes } });
+    const toggleEffect = (key, defaults) => updateStyle({ [key]: style[key] ? null : { ...defaults } });
+    const updateEffect = (key, changes) => updateStyle({ [key]: { ...style[key], ...changes } });
+    const updateTransform = (changes) => onUpdate(getTransformEdit(layer, changes, currentTime));
+
+    const setStart = (value) => {
+        const start = Math.max(0, Math.min(value, layer.timing.end - MIN_LAYER_DURATION));
+        // Keyframes are timed from the start - keep them where they are in the video
+        onUpdate({
+            timing: { ...layer.timing, start },
+            keyframes: shiftKeyframes(layer.keyframes, layer.timing.start - start),
+        });
+    };
+    const setEnd = (value) => {
+        const end = Math.min(videoDuration, Math.max(value, layer.timing.start + MIN_LAYER_DURATION));
+        onUpdate({ timing: { ...layer.timing, end } });
+    };
+
+    return (
+        <div className="text-inspector">
+            <div className="inspector-header">{isText ? 'Text' : 'Drawing'}</div>
+
+            {isText && (
+                <div className="inspector-section">
+                    <SelectField
+                        label="Font"
+                        value={style.fontFamily}
+                        options={FONT_FAMILIES.map(({ value }) => ({ value, label: value }))}
+                        onChange={(fontFamily) => {
+                            // Keep the weight if the new font has it, else take its closest
+                            const weights = getFontWeights(fontFamily).map(({ value }) => value);
+                            const fontWeight = weights.includes(style.fontWeight)
+                                ? style.fontWeight
+                                : weights.reduce((closest, weight) => (
+                                    Math.abs(weight - style.fontWeight) < Math.abs(closest - style.fontWeight) ? weight : closest
+                                ));
+                            updateStyle({ fontFamily, fontWeight });
+                        }}
+                    />
+                    <NumberField label="Size" value={style.fontSize} unit="px" onChange={(fontSize) => updateStyle({ fontSize: Math.max(1, fontSize) })} />
+                    <SelectField
+                        label="Weight"
+                        value={style.fontWeight}
+                        options={getFontWeights(style.fontFamily)}
+                        onChange={(fontWeight) => updateStyle({ fontWeight })}
+                    />
+                    <StyleColor label="Color" value={style.color} onChange={(color) => updateStyle({ color })} />
+                    <div className="inspector-field">
+                        <span className="inspector-label">Align</span>
+                        <div className="inspector-buttons">
+                            {TEXT_ALIGNMENTS.map(({ value, label }) => (
+                                <button
+                                    key={value}
+                                    className={`inspector-toggle ${style.textAlign === value ? 'active' : ''}`}
+                                    onClick={() => updateStyle({ textAlign: value })}
+                                    title={`Align ${value}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            <div className="inspector-section">
+                <NumberField label="X" value={transform.x} unit="px" onChange={(x) => updateTransform({ x })} />
+                <NumberField label="Y" value={transform.y} unit="px" onChange={(y) => updateTransform({ y })} />
+                <NumberField label="Rotation" value={transform.rotate} unit="°" onChange={(rotate) => updateTransform({ rotate })} />
+                <NumberField
+                    label="Scale"
+                    value={transform.scale[0]}
+                    step={0.1}
+                    unit="×"
+                    onChange={(scale) => updateTransform({ scale: [scale, scale] })}
+                />
+                {isText && (
+                    // Text wraps at this width - 0 keeps every line whole
+                    <NumberField
+                        label="Width"
+                        value={getWrapWidth(layer.transform) ?? 0}
+                        unit="px"
+                        onChange={(width) => onUpdate({ transform: { ...layer.transform, width: width > 0 ? width : null } })}
+                    />
+                )}
+                <StyleSlider
+                    label="Opacity"
+                    value={transform.opacity}
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    onChange={(opacity) => updateTransform({ opacity })}
+                />
+                <NumberField label="Start" value={layer.timing.start} step={0.1} unit="s" onChange={setStart} />
+                <NumberField label="End" value={layer.timing.end} step={0.1} unit="s" onChange={setEnd} />
+            </div>
+
+            {isText && (
+                <>
+                    <div className="inspector-section">
+                        <div className="inspector-buttons">
+                            <button
+                                className={`inspector-toggle ${style.fontStyle === 'italic' ? 'active' : ''}`}
+                                onClick={() => updateStyle({ fontStyle: style.fontStyle === 'italic' ? 'normal' : 'italic' })}
+                                title="Italic"
+                            >
+                                <i>I</i>
+                            </button>
+                            <button
+                                className={`inspector-toggle ${style.textDecoration === 'underline' ? 'active' : ''}`}
+                                onClick={() => updateStyle({ textDecoration: style.textDecoration === 'underline' ? 'none' : 'underline' })}
+                                title="Underline"
+                            >
+                                <u>U</u>
+                            </button>
+                        </div>
+                        <StyleSlider
+                            label="Spacing"
+                            value={style.letterSpacing}
+                            min={-5}
+                            max={30}
+                            unit="px"
+                            onChange={(letterSpacing) => updateStyle({ letterSpacing })}
+                        />
+                        <StyleSlider
+                            label="Line height"
+                            value={style.lineHeight}
+                            min={0.8}
+                            max={3}
+                            step={0.05}
+                            onChange={(lineHeight) => updateStyle({ lineHeight })}
+                        />
+                    </div>
+
+                    <StyleEffect label="Outline" enabled={Boolean(stroke)} onToggle={() => toggleEffect('stroke', DEFAULT_STROKE)}>
+                        <StyleColor label="Color" value={stroke?.color} onChange={(color) => updateEffect('stroke', { color })} />
+                        <StyleSlider label="Width" value={stroke?.width} min={1} max={20} unit="px" onChange={(width) => updateEffect('stroke', { width })} />
+                    </StyleEffect>
+
+                    <StyleEffect label="Shadow" enabled={Boolean(shadow)} onToggle={() => toggleEffect('shadow', DEFAULT_SHADOW)}>
+                        <StyleColor label="Color" value={shadow?.color} onChange={(color) => updateEffect('shadow', { color })} />
+                        <StyleSlider label="Opacity" value={shadow?.opacity} min={0} max={1} step={0.05} onChange={(opacity) => updateEffect('shadow', { opacity })} />
+                        <StyleSlider label="Blur" value={shadow?.blur} min={0} max={40} unit="px" onChange={(blur) => updateEffect('shadow', { blur })} />
+                        <StyleSlider label="Offset X" value={shadow?.offsetX} min={-20} max={20} unit="px" onChange={(offsetX) => updateEffect('shadow', { offsetX })} />
+                        <StyleSlider label="Offset Y" value={shadow?.offsetY} min={-20} max={20} unit="px" onChange={(offsetY) => updateEffect('shadow', { offsetY })} />
+                    </StyleEffect>
+
+                    <StyleEffect label="Background" enabled={Boolean(background)} onToggle={() => toggleEffect('background', DEFAULT_BACKGROUND)}>
+                        <StyleColor label="Color" value={background?.color} onChange={(color) => updateEffect('background', { color })} />
+                        <StyleSlider label="Opacity" value={background?.opacity} min={0} max={1} step={0.05} onChange={(opacity) => updateEffect('background', { opacity })} />
+                        <StyleSlider label="Padding" value={background?.padding} min={0} max={40} unit="px" onChange={(padding) => updateEffect('background', { padding })} />
+                        <StyleSlider label="Rounding" value={background?.radius} min={0} max={100} unit="px" onChange={(radius) => updateEffect('background', { radius })} />
+                    </StyleEffect>
+
+                    <StyleEffect label="Gradient" enabled={Boolean(gradient)} onToggle={() => toggleEffect('gradient', DEFAULT_GRADIENT)}>
+                        <StyleColor label="From" value={gradient?.from} onChange={(from) => updateEffect('gradient', { from })} />
+                        <StyleColor label="To" value={gradient?.to} onChange={(to) => updateEffect('gradient', { to })} />
+                        <StyleSlider label="Angle" value={gradient?.angle} min={0} max={360} step={5} unit="°" onChange={(angle) => updateEffect('gradient', { angle })} />
+                    </StyleEffect>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TextInspector;
@@ -1,5 +1,9 @@
 import React, { useRef, useEffect, useState } from 'react';
 import Moveable from 'react-moveable';
+import { getAnimatedTransform, getTransformEdit } from '../utils/keyframes';
+import { getOverlayAt } from '../utils/overlayTransitions';
+import { getRevealedText, getWrapWidth, layoutText } from '../utils/textLayout';
+import { getBoxCss, getTextCss } from '../utils/textStyle';
 
 const TextOverlayLayer = ({
     textLayers,
@@ -7,11 +11,17 @@ const TextOverlayLayer = ({
     onUpdate,
     onSelect,
     currentTime,
-    containerRef
+    frameSize
 }) => {
     const targetRef = useRef(null);
     const currentRotationRef = useRef(0);
     const [isEditing, setIsEditing] = useState(false);
+    const [, setFontsLoaded] = useState(false);
+
+    // Lines are measured on a canvas - measure again once web fonts have loaded
+    useEffect(() => {
+        document.fonts?.ready.then(() => setFontsLoaded(true));
+    }, []);
 
     // Filter visible layers based on current time
     const visibleLayers = textLayers.filter(layer =>
@@ -20,6 +30,17 @@ const TextOverlayLayer = ({
 
     const selectedLayer = textLayers.find(l => l.id === selectedId);
     const isSelectedVisible = selectedLayer && visibleLayers.some(l => l.id === selectedId);
+    // Keyframed layers are shown, and edited, as they are at the playhead
+    const selectedTransform = selectedLayer && getAnimatedTransform(selectedLayer, currentTime);
+    // Handles move the layer as shown - mid-transition that's off its keyframed place
+    const shownTransform = selectedLayer && getOverlayAt(selectedLayer, currentTime, frameSize).transform;
+    const toUnscaled = (scale) => scale.map((value, i) => (
+        shownTransform.scale[i] ? value * selectedTransform.scale[i] / shownTransform.scale[i] : selectedTransform.scale[i]
+    ));
+
+    const handleTransformChange = (changes) => {
+        onUpdate(selectedId, getTransformEdit(selectedLayer, changes, currentTime));
+    };
 
     const handleTextChange = (e, id) => {
         onUpdate(id, { text: e.target.innerText });
@@ -35,8 +56,11 @@ const TextOverlayLayer = ({
             pointerEvents: 'none', // Allow clicks to pass through to video if not hitting text
             zIndex: 30
         }}>
-            {visibleLayers.map(layer => (
-                layer.type === 'image' ? (
+            {visibleLayers.map(layer => {
+                const shown = getOverlayAt(layer, currentTime, frameSize);
+                const { transform } = shown;
+                const isEditingLayer = isEditing && selectedId === layer.id;
+                return layer.type === 'image' ? (
                     <img
                         key={layer.id}
                         id={`text-layer-${layer.id}`}
@@ -45,10 +69,12 @@ const TextOverlayLayer = ({
                         alt="drawing"
                         style={{
                             position: 'absolute',
-                            left: `${layer.transform.x}px`,
-                            top: `${layer.transform.y}px`,
+                            left: `${transform.x}px`,
+                            top: `${transform.y}px`,
                             width: 'auto',
                             height: 'auto',
+                            transform: `rotate(${transform.rotate}deg) scale(${transform.scale[0]}, ${transform.scale[1]})`,
+                            opacity: transform.opacity,
                             pointerEvents: 'auto', // Enable clicking
                             userSelect: 'none',
                             cursor: 'pointer', // Show pointer to indicate selectability
@@ -67,17 +93,17 @@ const TextOverlayLayer = ({
                         className={`text-element ${selectedId === layer.id ? 'selected' : ''}`}
                         style={{
                             position: 'absolute',
-                            left: `${layer.transform.x}px`,
-                            top: `${layer.transform.y}px`,
+                            left: `${transform.x}px`,
+                            top: `${transform.y}px`,
                             width: 'max-content',
-                            transform: `rotate(${layer.transform.rotate}deg) scale(${layer.transform.scale[0]}, ${layer.transform.scale[1]})`,
-                            whiteSpace: 'pre-wrap',
+                            transform: `rotate(${transform.rotate}deg) scale(${transform.scale[0]}, ${transform.scale[1]})`,
+                            opacity: transform.opacity,
+                            whiteSpace: 'pre',
                             // transformOrigin removed to default to center
-                            ...layer.style,
+                            ...getBoxCss(layer.style),
                             pointerEvents: 'auto', // Re-enable pointer events for text
                             cursor: 'move',
                             border: selectedId === layer.id ? '1px dashed #3b82f6' : '1px dashed transparent',
-                            padding: '4px'
                         }}
                         onClick={(e) => {
                             e.stopPropagation();
@@ -87,17 +113,48 @@ const TextOverlayLayer = ({
                             e.stopPropagation();
                             setIsEditing(true);
                         }}
-                        contentEditable={isEditing && selectedId === layer.id}
+                        contentEditable={isEditingLayer}
                         suppressContentEditableWarning
                         onBlur={(e) => {
                             setIsEditing(false);
                             handleTextChange(e, layer.id);
                         }}
                     >
-                        {layer.text}
+                        {isEditingLayer ? (
+                            // The raw text while it's typed, wrapped by the browser
+                            <div
+                                key="editing"
+                                style={{
+                                    ...getTextCss(layer.style),
+                                    whiteSpace: 'pre-wrap',
+                                    overflowWrap: 'anywhere',
+                                    maxWidth: getWrapWidth(layer.transform) ?? 'none',
+                                }}
+                            >
+                                {layer.text}
+                            </div>
+                        ) : (
+                            // The lines the exporters draw, one element each
+                            <div key="lines" style={getTextCss(layer.style)}>
+                                {layoutText(layer.text, layer.style, getWrapWidth(layer.transform)).lines.map((line, i) => {
+                                    const revealed = getRevealedText(line, shown.revealed);
+                                    return (
+                                        <div key={i}>
+                                            {revealed}
+                                            {revealed.length < line.text.length && (
+                                                // Text transitions hide the rest without moving the shown part
+                                                <span style={{ visibility: 'hidden' }}>{line.text.slice(revealed.length)}</span>
+                                            )}
+                                            {/* Keeps the height of an empty line */}
+                                            {!line.text && '\u200b'}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        )}
                     </div>
-                )
-            ))}
+                );
+            })}
 
             {isSelectedVisible && !isEditing && selectedLayer?.type !== 'image' && (
                 <Moveable
@@ -110,7 +167,7 @@ const TextOverlayLayer = ({
                     throttleScale={0}
                     rotatable={true}
                     throttleRotate={0}
-                    rotation={selectedLayer.transform.rotate}
+                    rotation={shownTransform.rotate}
                     origin={true}
 
                     onDrag={({ target, left, top }) => {
@@ -118,14 +175,9 @@ const TextOverlayLayer = ({
                         target.style.top = `${top}px`;
                     }}
                     onDragEnd={({ target }) => {
-                        const rect = target.getBoundingClientRect();
-                        const containerRect = containerRef.current.getBoundingClientRect();
-                        onUpdate(selectedId, {
-                            transform: {
-                                ...selectedLayer.transform,
-                                x: parseFloat(target.style.left),
-                                y: parseFloat(target.style.top),
-                            }
+                        handleTransformChange({
+                            x: parseFloat(target.style.left) - shownTransform.x + selectedTransform.x,
+                            y: parseFloat(target.style.top) - shownTransform.y + selectedTransform.y,
                         });
                     }}
 
@@ -137,29 +189,21 @@ const TextOverlayLayer = ({
                             const { drag, scale } = lastEvent;
                             const [tx, ty] = drag.beforeTranslate;
 
-                            onUpdate(selectedId, {
-                                transform: {
-                                    ...selectedLayer.transform,
-                                    x: selectedLayer.transform.x + tx,
-                                    y: selectedLayer.transform.y + ty,
-                                    scale: scale
-                                }
+                            handleTransformChange({
+                                x: selectedTransform.x + tx,
+                                y: selectedTransform.y + ty,
+                                scale: toUnscaled(scale)
                             });
                         }
                     }}
 
                     onRotate={({ target, rotation }) => {
-                        target.style.transform = `rotate(${rotation}deg) scale(${selectedLayer.transform.scale[0]}, ${selectedLayer.transform.scale[1]})`;
+                        target.style.transform = `rotate(${rotation}deg) scale(${shownTransform.scale[0]}, ${shownTransform.scale[1]})`;
                         currentRotationRef.current = rotation;
                     }}
                     onRotateEnd={({ target }) => {
                         // Use the rotation value stored in the ref
-                        onUpdate(selectedId, {
-                            transform: {
-                                ...selectedLayer.transform,
-                                rotate: currentRotationRef.current
-                            }
-                        });
+                        handleTransformChange({ rotate: currentRotationRef.current });
                     }}
                 />
             )}
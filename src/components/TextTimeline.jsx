@@ -1,6 +1,22 @@
 import React, { useRef, useState } from 'react';
+import { getViewTimeAt, toViewPercent } from '../utils/timelineView';
+import {
+    EASINGS,
+    addKeyframes,
+    findKeyframeTime,
+    getKeyframeEasing,
+    getKeyframeTimes,
+    removeKeyframes,
+    setKeyframeEasing,
+    shiftKeyframes,
+} from '../utils/keyframes';
+import {
+    DEFAULT_TRANSITIONS,
+    TRANSITION_DURATION_RANGE,
+    getTransitionOptions,
+} from '../utils/overlayTransitions';
 
-const TextTimeline = ({ textLayers, videoDuration, onUpdate, selectedId, onSelect }) => {
+const TextTimeline = ({ textLayers, videoDuration, view, currentTime, onUpdate, selectedId, onSelect, onSeek }) => {
     const trackRef = useRef(null);
     const [draggingId, setDraggingId] = useState(null);
     const [resizingId, setResizingId] = useState(null);
@@ -8,9 +24,8 @@ const TextTimeline = ({ textLayers, videoDuration, onUpdate, selectedId, onSelec
 
     const getTimeFromX = (x) => {
         if (!trackRef.current || !videoDuration) return 0;
-        const rect = trackRef.current.getBoundingClientRect();
-        const percentage = Math.max(0, Math.min(1, (x - rect.left) / rect.width));
-        return percentage * videoDuration;
+        // Times in the zoomed timeline's view
+        return getViewTimeAt(view, trackRef.current.getBoundingClientRect(), x);
     };
 
     const handleMouseDown = (e, id) => {
@@ -59,8 +74,10 @@ const TextTimeline = ({ textLayers, videoDuration, onUpdate, selectedId, onSelec
 
             if (resizeEdge === 'start') {
                 if (newTime < layer.timing.end - 0.5 && newTime >= 0) {
+                    // Keyframes are timed from the start - keep them where they are in the video
                     onUpdate(resizingId, {
-                        timing: { ...layer.timing, start: newTime }
+                        timing: { ...layer.timing, start: newTime },
+                        keyframes: shiftKeyframes(layer.keyframes, layer.timing.start - newTime),
                     });
                 }
             } else {
@@ -88,7 +105,7 @@ const TextTimeline = ({ textLayers, videoDuration, onUpdate, selectedId, onSelec
             window.removeEventListener('mousemove', handleMouseMove);
             window.removeEventListener('mouseup', handleMouseUp);
         };
-    }, [draggingId, resizingId, textLayers, videoDuration]);
+    }, [draggingId, resizingId, textLayers, videoDuration, view]);
 
     // Calculate layout rows to avoid overlap
     const getLayerRows = () => {
@@ -124,6 +141,27 @@ const TextTimeline = ({ textLayers, videoDuration, onUpdate, selectedId, onSelec
         return { layerRowMap, totalRows: rows.length };
     };
 
+    // Keyframe editing of the selected layer, at the playhead
+    const selectedLayer = textLayers.find(layer => layer.id === selectedId);
+    const isInLayer = selectedLayer && currentTime >= selectedLayer.timing.start && currentTime <= selectedLayer.timing.end;
+    const keyframeOffset = isInLayer ? findKeyframeTime(selectedLayer, currentTime) : null;
+    const easing = keyframeOffset !== null ? getKeyframeEasing(selectedLayer, keyframeOffset) : null;
+
+    const handleTransitionChange = (side, changes) => {
+        const transitions = { ...DEFAULT_TRANSITIONS, ...selectedLayer.transitions };
+        onUpdate(selectedLayer.id, {
+            transitions: { ...transitions, [side]: { ...transitions[side], ...changes } },
+        });
+    };
+
+    const handleToggleKeyframe = () => {
+        onUpdate(selectedLayer.id, {
+            keyframes: keyframeOffset !== null
+                ? removeKeyframes(selectedLayer, keyframeOffset)
+                : addKeyframes(selectedLayer, currentTime),
+        });
+    };
+
     const { layerRowMap, totalRows } = getLayerRows();
     const rowHeight = 30;
     const gap = 4;
@@ -151,8 +189,7 @@ const TextTimeline = ({ textLayers, videoDuration, onUpdate, selectedId, onSelec
             >
                 <div style={{ height: `${Math.max(totalContentHeight, fixedContainerHeight)}px`, width: '100%', position: 'relative' }}>
                     {textLayers.map(layer => {
-                        const startPercent = (layer.timing.start / videoDuration) * 100;
-                        const durationPercent = ((layer.timing.end - layer.timing.start) / videoDuration) * 100;
+                        const durationPercent = ((layer.timing.end - layer.timing.start) / (view.end - view.start)) * 100;
                         const isSelected = selectedId === layer.id;
                         const isDrawing = layer.type === 'image';
                         const rowIndex = layerRowMap[layer.id] || 0;
@@ -163,7 +200,7 @@ const TextTimeline = ({ textLayers, videoDuration, onUpdate, selectedId, onSelec
                                 className={`timeline-bar ${isSelected ? 'selected' : ''}`}
                                 style={{
                                     position: 'absolute',
-                                    left: `${startPercent}%`,
+                                    left: toViewPercent(view, layer.timing.start),
                                     top: `${rowIndex * (rowHeight + gap)}px`,
                                     width: `${durationPercent}%`,
                                     height: `${rowHeight}px`,
@@ -211,6 +248,26 @@ const TextTimeline = ({ textLayers, videoDuration, onUpdate, selectedId, onSelec
                                         />
                                     </>
                                 )}
+                                {['in', 'out'].filter(side => (layer.transitions?.[side]?.type || 'none') !== 'none').map(side => (
+                                    <div
+                                        key={side}
+                                        className={`timeline-bar-transition ${side}`}
+                                        style={{ width: `${Math.min(100, (layer.transitions[side].duration / (layer.timing.end - layer.timing.start)) * 100)}%` }}
+                                    />
+                                ))}
+                                {getKeyframeTimes(layer).map(time => (
+                                    <div
+                                        key={time}
+                                        className={`keyframe-diamond ${isSelected && time === keyframeOffset ? 'current' : ''}`}
+                                        style={{ left: `${(time / (layer.timing.end - layer.timing.start)) * 100}%` }}
+                                        onMouseDown={(e) => {
+                                            e.stopPropagation();
+                                            onSelect(layer.id);
+                                            onSeek(layer.timing.start + time);
+                                        }}
+                                        title={`Keyframe at ${(layer.timing.start + time).toFixed(2)}s`}
+                                    />
+                                ))}
                                 <span style={{
                                     position: 'absolute',
                                     left: '8px',
@@ -230,6 +287,66 @@ const TextTimeline = ({ textLayers, videoDuration, onUpdate, selectedId, onSelec
                     })}
                 </div>
             </div>
+
+            {selectedLayer && (
+                <div className="layer-controls">
+                    <button
+                        className={`keyframe-btn ${keyframeOffset !== null ? 'active' : ''}`}
+                        onClick={handleToggleKeyframe}
+                        disabled={!isInLayer}
+                        title={keyframeOffset !== null ? 'Remove the keyframe at the playhead' : 'Keyframe position, scale, rotation and opacity at the playhead'}
+                    >
+                        ◆ {keyframeOffset !== null ? 'Remove keyframe' : 'Add keyframe'}
+                    </button>
+
+                    <label className="layer-control">
+                        <span>Easing</span>
+                        <select
+                            value={easing || ''}
+                            onChange={(e) => onUpdate(selectedLayer.id, { keyframes: setKeyframeEasing(selectedLayer, keyframeOffset, e.target.value) })}
+                            disabled={!easing}
+                            title="How the animation moves on to the next keyframe"
+                        >
+                            {!easing && <option value="">-</option>}
+                            {Object.entries(EASINGS).map(([value, { label }]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+            )}
+
+            {selectedLayer && (
+                <div className="layer-controls">
+                    {['in', 'out'].map(side => {
+                        const transition = selectedLayer.transitions?.[side] || DEFAULT_TRANSITIONS[side];
+                        return (
+                            <label className="layer-control" key={side}>
+                                <span>{side === 'in' ? 'In' : 'Out'}</span>
+                                <select
+                                    value={transition.type}
+                                    onChange={(e) => handleTransitionChange(side, { type: e.target.value })}
+                                >
+                                    {getTransitionOptions(selectedLayer).map(([value, { label }]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="range"
+                                    min={TRANSITION_DURATION_RANGE.min}
+                                    max={TRANSITION_DURATION_RANGE.max}
+                                    step={0.1}
+                                    value={transition.duration}
+                                    onChange={(e) => handleTransitionChange(side, { duration: Number(e.target.value) })}
+                                    disabled={transition.type === 'none'}
+                                    title={`${side === 'in' ? 'In' : 'Out'} transition length`}
+                                />
+                                <span className="layer-control-value">{transition.duration.toFixed(1)}s</span>
+                            </label>
+                        );
+                    })}
+                </div>
+            )}
         </div>
     );
 };
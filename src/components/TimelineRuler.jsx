@@ -0,0 +1,60 @@
+import { useEffect, useRef, useState } from 'react';
+import { getRulerTicks, getViewTimeAt, toViewPercent } from '../utils/timelineView';
+
+/**
+ * Time ruler above the timeline
+ * Tick labels get finer as the timeline zooms in. Click or drag on the ruler
+ * to scrub - it works in every tool, trim included.
+ */
+const TimelineRuler = ({ view, onSeek }) => {
+    const rulerRef = useRef(null);
+    const [width, setWidth] = useState(0);
+    const [isScrubbing, setIsScrubbing] = useState(false);
+
+    useEffect(() => {
+        const ruler = rulerRef.current;
+        if (!ruler) return;
+        const observer = new ResizeObserver(() => setWidth(ruler.clientWidth));
+        observer.observe(ruler);
+        return () => observer.disconnect();
+    }, []);
+
+    const seekTo = (clientX) => {
+        onSeek(getViewTimeAt(view, rulerRef.current.getBoundingClientRect(), clientX));
+    };
+
+    useEffect(() => {
+        if (!isScrubbing) return;
+        const handleMouseMove = (e) => seekTo(e.clientX);
+        const handleMouseUp = () => setIsScrubbing(false);
+        window.addEventListener('mousemove', handleMouseMove);
+        window.addEventListener('mouseup', handleMouseUp);
+        return () => {
+            window.removeEventListener('mousemove', handleMouseMove);
+            window.removeEventListener('mouseup', handleMouseUp);
+        };
+    });
+
+    return (
+        <div
+            className="timeline-ruler"
+            ref={rulerRef}
+            onMouseDown={(e) => {
+                setIsScrubbing(true);
+                seekTo(e.clientX);
+            }}
+        >
+            {getRulerTicks(view, width).map(tick => (
+                <div
+                    key={tick.time}
+                    className={`ruler-tick ${tick.label ? 'major' : ''}`}
+                    style={{ left: toViewPercent(view, tick.time) }}
+                >
+                    {tick.label && <span className="ruler-label">{tick.label}</span>}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default TimelineRuler;
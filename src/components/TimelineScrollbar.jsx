@@ -0,0 +1,87 @@
+import { useEffect, useRef, useState } from 'react';
+import { ZOOM_STEP, getFullView, getZoom, scrollView, zoomView } from '../utils/timelineView';
+
+/**
+ * Zoom buttons and scrollbar under the timeline
+ * The thumb is the visible part of the clip - drag it, or click the bar to
+ * jump there. Ctrl+wheel (or a trackpad pinch) over the timeline zooms too.
+ */
+const TimelineScrollbar = ({ view, duration, currentTime, onChange }) => {
+    const barRef = useRef(null);
+    const [dragOffset, setDragOffset] = useState(null); // Seconds between the pointer and the view start
+    const zoom = getZoom(view, duration);
+    const visible = view.end - view.start;
+
+    const getTimeFromX = (x) => {
+        const rect = barRef.current.getBoundingClientRect();
+        return ((x - rect.left) / rect.width) * duration;
+    };
+
+    useEffect(() => {
+        if (dragOffset === null) return;
+        const handleMouseMove = (e) => {
+            onChange(scrollView(view, getTimeFromX(e.clientX) - dragOffset - view.start, duration));
+        };
+        const handleMouseUp = () => setDragOffset(null);
+        window.addEventListener('mousemove', handleMouseMove);
+        window.addEventListener('mouseup', handleMouseUp);
+        return () => {
+            window.removeEventListener('mousemove', handleMouseMove);
+            window.removeEventListener('mouseup', handleMouseUp);
+        };
+    });
+
+    // Buttons zoom around the playhead while it's in view
+    const anchor = currentTime >= view.start && currentTime <= view.end ? currentTime : (view.start + view.end) / 2;
+
+    return (
+        <div className="timeline-zoom">
+            <button
+                className="timeline-zoom-btn"
+                onClick={() => onChange(zoomView(view, ZOOM_STEP, anchor, duration))}
+                disabled={zoom <= 1}
+                title="Zoom out (Ctrl+wheel)"
+            >
+                −
+            </button>
+            <button
+                className="timeline-zoom-btn"
+                onClick={() => onChange(zoomView(view, 1 / ZOOM_STEP, anchor, duration))}
+                title="Zoom in (Ctrl+wheel)"
+            >
+                +
+            </button>
+            <div
+                className="timeline-scrollbar"
+                ref={barRef}
+                onMouseDown={(e) => {
+                    // Jump so the thumb centres on the click
+                    const time = getTimeFromX(e.clientX);
+                    onChange(scrollView(view, time - visible / 2 - view.start, duration));
+                }}
+            >
+                {zoom > 1 && (
+                    <div
+                        className="timeline-scrollbar-thumb"
+                        style={{ left: `${(view.start / duration) * 100}%`, width: `${(visible / duration) * 100}%` }}
+                        onMouseDown={(e) => {
+                            e.stopPropagation();
+                            setDragOffset(getTimeFromX(e.clientX) - view.start);
+                        }}
+                    />
+                )}
+            </div>
+            <button
+                className="timeline-zoom-btn"
+                onClick={() => onChange(getFullView(duration))}
+                disabled={zoom <= 1}
+                title="Show the whole clip"
+            >
+                Fit
+            </button>
+            <span className="timeline-zoom-level">{zoom.toFixed(zoom < 10 ? 1 : 0)}×</span>
+        </div>
+    );
+};
+
+export default TimelineScrollbar;
@@ -0,0 +1,48 @@
+import { useEffect, useRef, useState } from 'react';
+import { getPeak } from '../utils/audioAnalysis';
+
+const WAVEFORM_COLOR = 'rgba(255, 255, 255, 0.55)';
+
+/**
+ * Waveform of the clip's source audio, under the timeline thumbnails
+ * Drawn from the peaks of the clip's analysis (decoded once per file), so
+ * resizing and zooming only redraw the visible part. Quiet stretches show
+ * where to cut.
+ */
+const TimelineWaveform = ({ analysis, view }) => {
+    const canvasRef = useRef(null);
+    const [size, setSize] = useState({ width: 0, height: 0 });
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const observer = new ResizeObserver(() => setSize({ width: canvas.clientWidth, height: canvas.clientHeight }));
+        observer.observe(canvas);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !size.width) return;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(size.width * ratio);
+        canvas.height = Math.round(size.height * ratio);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const visible = view.end - view.start;
+        if (!analysis || !(visible > 0)) return;
+
+        const middle = canvas.height / 2;
+        const toTime = (x) => view.start + (x / canvas.width) * visible;
+        ctx.fillStyle = WAVEFORM_COLOR;
+        for (let x = 0; x < canvas.width; x++) {
+            const peak = getPeak(analysis, toTime(x), toTime(x + 1));
+            const height = Math.max(ratio / 2, Math.min(1, peak) * middle);
+            ctx.fillRect(x, middle - height, 1, height * 2);
+        }
+    }, [analysis, view.start, view.end, size]);
+
+    return <canvas ref={canvasRef} className="timeline-waveform" />;
+};
+
+export default TimelineWaveform;
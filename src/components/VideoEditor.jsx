@@ -1,36 +1,245 @@
-import { useState, useRef, useEffect, useImperativeHandle, forwardRef } from 'react';
-import { FFmpeg } from '@ffmpeg/ffmpeg';
-import { fetchFile, toBlobURL } from '@ffmpeg/util';
+import { useState, useRef, useEffect, useMemo, useCallback, useImperativeHandle, forwardRef } from 'react';
+import { fetchFile } from '@ffmpeg/util';
 import Slider from 'rc-slider';
 import 'rc-slider/assets/index.css';
 import trimIcon from '../assets/trim.png';
 import TextOverlayLayer from './TextOverlayLayer';
 import TextTimeline from './TextTimeline';
+import TextInspector from './TextInspector';
 import DrawingCanvas from './DrawingCanvas';
+import ExportSettingsDialog from './ExportSettingsDialog';
+import ClipStrip from './ClipStrip';
+import ProjectRelinkDialog from './ProjectRelinkDialog';
+import RecentSessions from './RecentSessions';
+import AudioLane from './AudioLane';
+import AudioTracks from './AudioTracks';
+import TimelineWaveform from './TimelineWaveform';
+import TimelineRuler from './TimelineRuler';
+import TimelineScrollbar from './TimelineScrollbar';
 import { getExportMethod, getUnsupportedMessage, EXPORT_METHODS } from '../utils/exportRouter';
-import { exportWithWebCodecs } from '../utils/webcodecsExporter';
-
-const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTrim, onDownload }, ref) => {
-    const [loaded, setLoaded] = useState(false);
-    const [isLoading, setIsLoading] = useState(false);
+import { buildOverlayFilters } from '../utils/overlaySegments';
+import { cleanupExportFiles } from '../utils/ffmpegFs';
+import { planStreamCopyTrim, runSmartTrim, snapToKeyframe } from '../utils/smartTrim';
+import {
+    normalizeRanges,
+    getKeepRanges,
+    getRangesDuration,
+    findRangeAt,
+    toOutputTime,
+    getSelectExpression,
+} from '../utils/timeRanges';
+import {
+    DEFAULT_AUDIO_EDIT,
+    isAudioEdited,
+    getNormalizeGain,
+    getAudioGainAt,
+    setGainParam,
+    getFFmpegAudioFilters,
+} from '../utils/audioEdits';
+import { getAudioAnalysis } from '../utils/audioAnalysis';
+import { TrackPreview } from '../utils/trackPreview';
+import {
+    getFullView,
+    clampView,
+    zoomView,
+    scrollView,
+    getWheelZoomFactor,
+    getViewTimeAt,
+    getContentStyle,
+} from '../utils/timelineView';
+import {
+    readAudioDuration,
+    createAudioTrack,
+    getDuckRanges,
+    writeTrackInputs,
+    buildAudioMixFilters,
+} from '../utils/audioTracks';
+import {
+    FFMPEG_STATUS,
+    getFFmpeg,
+    getFFmpegState,
+    subscribeFFmpegState,
+    loadFFmpeg,
+    terminateFFmpeg,
+} from '../utils/ffmpegLoader';
+import { ExportProgress, EXPORT_STAGES, formatDuration, parseFFmpegTime } from '../utils/exportProgress';
+import { exportWithWebCodecs, exportWithMediaRecorder } from '../utils/webcodecsExporter';
+import { exportWithCanvasFrames } from '../utils/canvasFrameExporter';
+import { exportClips } from '../utils/clipConcatExporter';
+import { EditHistory } from '../utils/editHistory';
+import { getMediaInfo, formatFrameRate, DEFAULT_FPS } from '../utils/mediaInfo';
+import {
+    PROJECT_EXTENSION,
+    serializeProject,
+    parseProject,
+    relinkSources,
+    getProjectSources,
+    isProjectFile,
+    getProjectFileName,
+} from '../utils/projectFile';
+import {
+    isSessionStoreSupported,
+    listSessions,
+    saveSession,
+    loadSession,
+    deleteSession,
+} from '../utils/sessionStore';
+import {
+    CONTAINERS,
+    DEFAULT_EXPORT_SETTINGS,
+    getOutputSize,
+    canStreamCopy,
+    getFFmpegCodecArgs,
+    getExporterOptions,
+    getOutputFileName,
+} from '../utils/exportSettings';
+
+// Quiet time after an edit before the session is autosaved
+const AUTOSAVE_DELAY = 1000;
+
+// Quiet time after zooming before the thumbnails are redrawn
+const THUMBNAIL_DELAY = 300;
+
+// Thumbnails drawn at most, however far the timeline zooms in (they stretch beyond)
+const MAX_THUMBNAILS = 100;
+
+// Fastest J/L shuttle speed
+const MAX_SHUTTLE_RATE = 8;
+
+// How long a status message stays up
+const MESSAGE_DURATION = 4000;
+
+const VideoEditor = forwardRef(({ clips = [], activeTool, onUpload, onOpenProject, onReorderClips, onRemoveClip, onClose, onTrim, onDownload }, ref) => {
+    const [ffmpegState, setFFmpegState] = useState(getFFmpegState);
+    const [pendingFFmpegExport, setPendingFFmpegExport] = useState(null); // Settings of an export waiting for FFmpeg to load
     const [videoUrl, setVideoUrl] = useState(null);
-    const [message, setMessage] = useState('Initializing FFmpeg...');
+    const [message, setMessage] = useState(null); // Status shown for a few seconds, e.g. after an undo or a cut
     const [startTime, setStartTime] = useState(0);
     const [endTime, setEndTime] = useState(0);
     const [videoDuration, setVideoDuration] = useState(0);
     const [isPlaying, setIsPlaying] = useState(false);
     const [currentTime, setCurrentTime] = useState(0);
     const [thumbnails, setThumbnails] = useState([]);
+    const [zoomedView, setZoomedView] = useState(null); // Part of the clip the timeline shows { start, end }, null for all of it
+    const [shuttleRate, setShuttleRate] = useState(0); // J/K/L speed, negative plays backwards
     const [isDrawing, setIsDrawing] = useState(false);
     const [isExporting, setIsExporting] = useState(false);
-    const [exportProgress, setExportProgress] = useState(0);
+    const [exportStatus, setExportStatus] = useState(null); // ExportProgress snapshot
     const [browserWarning, setBrowserWarning] = useState(null);
+    const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS);
+    const [isExportDialogOpen, setIsExportDialogOpen] = useState(false);
+    // Video Dimensions for Constraining Overlays
+    const [videoDimensions, setVideoDimensions] = useState({ width: 0, height: 0, top: 0, left: 0 });
+
+    // Clip State - the editor works on one clip of the project at a time
+    const [activeClipId, setActiveClipId] = useState(null);
+    const [clipInfos, setClipInfos] = useState({}); // Media info per clip id
+    const [clipEdits, setClipEdits] = useState({}); // Trim, cuts and overlays of the clips not being edited
+    const [nextClipUrl, setNextClipUrl] = useState(null);
+    const [pendingProject, setPendingProject] = useState(null); // { project, linked, changed, isMatching, session } of a project being opened
+    const [recentSessions, setRecentSessions] = useState([]); // Autosaved sessions, most recent first
+    const [restoringSessionId, setRestoringSessionId] = useState(null);
+    const activeIndex = Math.max(0, clips.findIndex(clip => clip.id === activeClipId));
+    const activeClip = clips[activeIndex] || null;
+    const activeClipKey = activeClip ? activeClip.id : null;
+    const nextClip = clips[activeIndex + 1] || null;
+    const videoFile = activeClip ? activeClip.file : null;
+    const mediaInfo = activeClip ? clipInfos[activeClip.id] || null : null;
+
+    // Every timeline lane maps time through the same view (see timelineView.js)
+    const timelineView = useMemo(
+        () => (zoomedView && videoDuration > 0 ? clampView(zoomedView, videoDuration) : getFullView(videoDuration)),
+        [zoomedView, videoDuration]
+    );
+    const visibleDuration = timelineView.end - timelineView.start;
+    // Arrow keys, scrubbing and the trim handles move by whole source frames
+    const frameDuration = 1 / (mediaInfo?.fps || DEFAULT_FPS);
 
     // Text Feature State
     const [textLayers, setTextLayers] = useState([]);
     const [selectedTextId, setSelectedTextId] = useState(null);
+    const selectedTextLayer = textLayers.find(layer => layer.id === selectedTextId);
+
+    // Cut State - source ranges removed from the middle of the clip
+    const [cutRanges, setCutRanges] = useState([]);
+    const [pendingCutStart, setPendingCutStart] = useState(null); // First edge of the cut being marked
+
+    // Audio State - volume, mute, fades and normalization (see audioEdits.js)
+    const [audioEdit, setAudioEdit] = useState(DEFAULT_AUDIO_EDIT);
+    const [audioAnalyses, setAudioAnalyses] = useState({}); // Waveform and loudness per clip id, null without audio
+    const normalizeGain = getNormalizeGain(audioAnalyses[activeClipKey]);
+
+    // Music and voiceover under the clip (see audioTracks.js)
+    const [audioTracks, setAudioTracks] = useState([]);
+    const activeAnalysis = audioAnalyses[activeClipKey];
+    const duckRanges = useMemo(
+        () => (audioEdit.muted ? [] : getDuckRanges(activeAnalysis)),
+        [audioEdit.muted, activeAnalysis]
+    );
+
+    /**
+     * Editable state of the clip being edited, as stored by the undo history
+     * @returns {Object} - { startTime, endTime, cutRanges, textLayers, audio, audioTracks }
+     */
+    const getEditSnapshot = () => ({ startTime, endTime, cutRanges, textLayers, audio: audioEdit, audioTracks });
+
+    /**
+     * Undo history of the clip being edited (each clip has its own)
+     * @returns {EditHistory}
+     */
+    const getHistory = () => {
+        if (!historiesRef.current.has(activeClipKey)) {
+            historiesRef.current.set(activeClipKey, new EditHistory());
+        }
+        return historiesRef.current.get(activeClipKey);
+    };
+
+    /**
+     * Remember the state before an edit, for undo
+     * @param {string|null} key - The same for every keystroke typed into a field, so it undoes at once
+     */
+    const recordEdit = (key = null) => {
+        if (!activeClipKey) return;
+        getHistory().record(getEditSnapshot(), key);
+    };
+
+    const applyEditSnapshot = (snapshot) => {
+        setStartTime(snapshot.startTime);
+        setEndTime(snapshot.endTime);
+        setCutRanges(snapshot.cutRanges);
+        setTextLayers(snapshot.textLayers);
+        setAudioEdit(snapshot.audio);
+        setAudioTracks(snapshot.audioTracks);
+        setPendingCutStart(null);
+        if (selectedTextId && !snapshot.textLayers.some(layer => layer.id === selectedTextId)) {
+            setSelectedTextId(null);
+        }
+    };
+
+    const handleUndo = () => {
+        if (!activeClipKey) return;
+        const snapshot = getHistory().undo(getEditSnapshot());
+        if (!snapshot) {
+            setMessage('Nothing to undo');
+            return;
+        }
+        applyEditSnapshot(snapshot);
+        setMessage('Undo');
+    };
+
+    const handleRedo = () => {
+        if (!activeClipKey) return;
+        const snapshot = getHistory().redo(getEditSnapshot());
+        if (!snapshot) {
+            setMessage('Nothing to redo');
+            return;
+        }
+        applyEditSnapshot(snapshot);
+        setMessage('Redo');
+    };
 
     const handleAddText = () => {
+        recordEdit();
         const newText = {
             id: Date.now().toString(),
             text: 'Double Click to Edit',
@@ -70,6 +279,8 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
 
     const handleSaveDrawing = (dataUrl, x = 0, y = 0) => {
         console.log("HANDLESAVEDRAWING");
+        // Every stroke is a layer of its own, so undo takes back one stroke
+        recordEdit();
         const newId = Date.now();
         const newLayer = {
             id: newId,
@@ -93,148 +304,439 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
         setSelectedTextId(newId);
     };
 
+    /**
+     * Mark a cut at the playhead - the first press sets one edge, the second
+     * sets the other and removes everything in between
+     */
+    const handleCut = () => {
+        const time = videoRef.current ? videoRef.current.currentTime : currentTime;
+        if (pendingCutStart === null) {
+            setPendingCutStart(time);
+            setMessage('Cut started - move to where it ends and press C again');
+            return;
+        }
+
+        const start = Math.min(pendingCutStart, time);
+        const end = Math.max(pendingCutStart, time);
+        setPendingCutStart(null);
+        if (end - start < 0.05) {
+            setMessage('Cut cancelled - move the playhead before pressing C again');
+            return;
+        }
+        // Overlapping cuts merge into one
+        recordEdit();
+        setCutRanges(cuts => normalizeRanges([...cuts, { id: Date.now().toString(), start, end }]));
+        setMessage(`Cut ${formatTime(start)} - ${formatTime(end)}`);
+    };
+
+    const handleRemoveCut = (id) => {
+        recordEdit();
+        setCutRanges(cuts => cuts.filter(cut => cut.id !== id));
+    };
+
+    /**
+     * Edits of the clip being edited, as stored for the other clips
+     * @returns {Object} - { startTime, endTime, cutRanges, textLayers, audio, audioTracks, displayWidth, displayHeight }
+     */
+    const getActiveClipEdits = useCallback(() => ({
+        startTime,
+        endTime,
+        cutRanges,
+        textLayers,
+        audio: audioEdit,
+        audioTracks,
+        // Overlays are placed in display pixels of this clip
+        displayWidth: videoDimensions.width,
+        displayHeight: videoDimensions.height,
+    }), [startTime, endTime, cutRanges, textLayers, audioEdit, audioTracks, videoDimensions]);
+
+    /**
+     * Switch the editor to another clip, keeping the edits of the current one
+     * @param {string} id - Clip id
+     * @param {boolean} play - Keep playing from the start of the new clip
+     */
+    const handleSelectClip = useCallback((id, play = false) => {
+        if (!activeClip || id === activeClip.id) return;
+        videoRef.current?.pause();
+        resumePlaybackRef.current = play;
+        setActiveClipId(id);
+    }, [activeClip]);
+
     const handleUpdateText = (id, updates) => {
+        // Timeline drags and typing update continuously - one undo step each
+        recordEdit(`layer-${id}-${Object.keys(updates).sort().join(',')}`);
         setTextLayers(layers => layers.map(layer =>
             layer.id === id ? { ...layer, ...updates } : layer
         ));
     };
 
+    /**
+     * Change the audio edit of the clip being edited
+     * @param {Object} updates - Changed fields of the audio edit
+     * @param {string|null} key - Set for slider and fade handle drags, so they undo at once
+     */
+    const handleUpdateAudio = (updates, key = null) => {
+        recordEdit(key && `audio-${key}`);
+        setAudioEdit(edit => ({ ...edit, ...updates }));
+    };
+
+    /**
+     * Add music or a voiceover under the clip, starting at the playhead
+     * @param {File} file - Audio file
+     */
+    const handleAddAudioTrack = async (file) => {
+        try {
+            const duration = await readAudioDuration(file);
+            const start = videoRef.current ? videoRef.current.currentTime : currentTime;
+            recordEdit();
+            setAudioTracks(tracks => [...tracks, createAudioTrack(file, duration, start)]);
+            setMessage(`Added ${file.name}`);
+        } catch (error) {
+            console.error(error);
+            alert('Adding audio failed: ' + error.message);
+        }
+    };
+
+    /**
+     * Change an audio track
+     * @param {string} id - Track id
+     * @param {Object} updates - Changed fields
+     */
+    const handleUpdateAudioTrack = (id, updates) => {
+        // Drags and sliders update continuously - one undo step each
+        recordEdit(`track-${id}-${Object.keys(updates).sort().join(',')}`);
+        setAudioTracks(tracks => tracks.map(track =>
+            track.id === id ? { ...track, ...updates } : track
+        ));
+    };
+
+    const handleRemoveAudioTrack = (id) => {
+        recordEdit();
+        setAudioTracks(tracks => tracks.filter(track => track.id !== id));
+    };
+
     const handleRemoveText = (id) => {
+        recordEdit();
         setTextLayers(layers => layers.filter(layer => layer.id !== id));
         if (selectedTextId === id) setSelectedTextId(null);
     };
 
-    const ffmpegRef = useRef(new FFmpeg());
     const videoRef = useRef(null);
     const wrapperRef = useRef(null);
     const timelineRef = useRef(null);
     const fileInputRef = useRef(null);
+    const projectInputRef = useRef(null);
+    const exportAbortRef = useRef(null); // AbortController of the running export
+    const ffmpegLogRef = useRef(null); // Log handler of the running FFmpeg export
+    const infoRequestsRef = useRef(new Set()); // Clip ids whose media info was requested
+    const restoredEditRef = useRef(null); // Saved edits of the clip being loaded
+    const loadedClipKeyRef = useRef(null); // Clip the edit state belongs to
+    const resumePlaybackRef = useRef(false); // Play the clip being loaded once it's ready
+    const sessionIdRef = useRef(null); // Autosave session of the open project
+    const autosaveRef = useRef(null);
+    const autosavePendingRef = useRef(false); // Edits the debounced autosave hasn't saved yet
+    const historiesRef = useRef(new Map()); // Undo history per clip id
+    const analysisRequestsRef = useRef(new Map()); // Audio analysis promises per clip id
+    const audioGraphRef = useRef(null); // Preview Web Audio graph { context, source, gain, element, tracks }
+    const timelineAreaRef = useRef(null);
+    const timelineViewportRef = useRef(null); // Visible part of the timeline track (timelineRef is the whole, zoomed clip)
+    const thumbnailRequestRef = useRef(0); // Latest thumbnail generation, so older ones are dropped
+    const shuttleRateRef = useRef(0); // shuttleRate for key handlers
+    const isHoldingKRef = useRef(false); // K held down - J and L step frames
 
     useImperativeHandle(ref, () => ({
-        transcode
+        transcode,
+        openExportSettings
     }));
 
     useEffect(() => {
-        load();
+        // FFmpeg loads on demand (see ensureFFmpeg) - only follow its status here.
+        // Listeners survive the worker being terminated and reloaded.
+        const ffmpeg = getFFmpeg();
+        const handleLog = (data) => {
+            if (data && data.message) {
+                console.log(data.message);
+                // Stats lines drive the export progress
+                ffmpegLogRef.current?.(data.message);
+            }
+        };
+        ffmpeg.on('log', handleLog);
+        const unsubscribe = subscribeFFmpegState(setFFmpegState);
+        return () => {
+            ffmpeg.off('log', handleLog);
+            unsubscribe();
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!message) return;
+        const timer = setTimeout(() => setMessage(null), MESSAGE_DURATION);
+        return () => clearTimeout(timer);
+    }, [message]);
+
+    // A press of the mouse, pen or finger is one undo step, whatever it drags
+    // (overlays, timeline bars, trim handles, sliders) and however it pauses
+    useEffect(() => {
+        const beginGesture = () => historiesRef.current.forEach(history => history.beginGesture());
+        const endGesture = () => historiesRef.current.forEach(history => history.endGesture());
+        // Capture phase, so handlers that stop propagation don't hide the press
+        window.addEventListener('pointerdown', beginGesture, true);
+        window.addEventListener('pointerup', endGesture, true);
+        window.addEventListener('pointercancel', endGesture, true);
+        window.addEventListener('blur', endGesture);
+        return () => {
+            window.removeEventListener('pointerdown', beginGesture, true);
+            window.removeEventListener('pointerup', endGesture, true);
+            window.removeEventListener('pointercancel', endGesture, true);
+            window.removeEventListener('blur', endGesture);
+        };
     }, []);
 
+    // Pin the clip being edited by id, so reordering the strip doesn't switch
+    // to whichever clip ends up first; a removed clip hands over to the first
+    useEffect(() => {
+        if (clips.length > 0 && !clips.some(clip => clip.id === activeClipId)) {
+            setActiveClipId(clips[0].id);
+        }
+    }, [clips, activeClipId]);
+
+    // What the clip switch below reads - it runs when the clip changes, not
+    // when these do, and this effect runs first so they're never stale
+    const clipSwitchRef = useRef(null);
     useEffect(() => {
+        clipSwitchRef.current = { videoFile, clips, clipEdits, getActiveClipEdits };
+    });
+
+    useEffect(() => {
+        const { videoFile, clips, clipEdits, getActiveClipEdits } = clipSwitchRef.current;
         if (videoFile) {
             const url = URL.createObjectURL(videoFile);
             setVideoUrl(url);
             setMessage(`Loaded ${videoFile.name} `);
-            setStartTime(0);
-            setEndTime(0);
+            // The state still holds the edits of the clip being left, whatever
+            // switched clips (selection, reorder, removal) - keep them
+            const leftKey = loadedClipKeyRef.current;
+            if (leftKey && clips.some(clip => clip.id === leftKey)) {
+                const leftEdits = getActiveClipEdits();
+                setClipEdits(edits => ({ ...edits, [leftKey]: leftEdits }));
+            }
+            loadedClipKeyRef.current = activeClipKey;
+
+            // A clip edited before comes back the way it was left
+            const saved = clipEdits[activeClipKey] || null;
+            restoredEditRef.current = saved;
+            setStartTime(saved ? saved.startTime : 0);
+            setEndTime(saved ? saved.endTime : 0);
             setVideoDuration(0);
             setIsPlaying(false);
             setThumbnails([]);
+            setZoomedView(null);
+            shuttleRateRef.current = 0;
+            setShuttleRate(0);
+            setCutRanges(saved ? saved.cutRanges : []);
+            setTextLayers(saved ? saved.textLayers : []);
+            setAudioEdit(saved?.audio || DEFAULT_AUDIO_EDIT);
+            setAudioTracks(saved?.audioTracks || []);
+            setSelectedTextId(saved?.selectedTextId || null);
+            setPendingCutStart(null);
             // Generate thumbnails will be triggered by duration change
+
+            return () => URL.revokeObjectURL(url);
         } else {
+            loadedClipKeyRef.current = null;
             setVideoUrl(null);
-            setLoaded(false);
             setThumbnails([]);
-            if (videoUrl) {
-                URL.revokeObjectURL(videoUrl);
-            }
+            // Frame rate and file name belong to the closed project
+            setExportSettings(settings => ({ ...settings, fps: null, fileName: '' }));
         }
-    }, [videoFile]);
+    }, [activeClipKey]);
 
+    // Read the media info of every clip once - durations for the clip strip,
+    // canvas size and audio for multi-clip exports
     useEffect(() => {
-        if (videoFile && videoDuration > 0 && timelineRef.current) {
-            generateThumbnails(videoFile);
+        if (clips.length === 0) {
+            infoRequestsRef.current.clear();
+            setClipInfos({});
+            setClipEdits({});
+            // The next project gets a session of its own
+            sessionIdRef.current = null;
+            historiesRef.current.clear();
+            analysisRequestsRef.current.clear();
+            setAudioAnalyses({});
+            return;
         }
-    }, [videoFile, videoDuration]);
-
-    const load = async () => {
-        if (loaded) return;
-        setIsLoading(true);
-        const baseURL = 'https://unpkg.com/@ffmpeg/core-mt@0.12.6/dist/esm';
-        const ffmpeg = ffmpegRef.current;
-
-        // Polyfill startsWith for WASM worker environment
-        if (!String.prototype.startsWith) {
-            String.prototype.startsWith = function (search, pos) {
-                return this.substr(!pos || pos < 0 ? 0 : +pos, search.length) === search;
-            };
+        for (const clip of clips) {
+            if (infoRequestsRef.current.has(clip.id)) continue;
+            infoRequestsRef.current.add(clip.id);
+            getMediaInfo(clip.file)
+                .then(info => setClipInfos(infos => ({ ...infos, [clip.id]: info })))
+                .catch(error => console.error('Failed to read media info:', error));
         }
-        if (!String.prototype.endsWith) {
-            String.prototype.endsWith = function (search, this_len) {
-                if (this_len === undefined || this_len > this.length) {
-                    this_len = this.length;
-                }
-                return this.substring(this_len - search.length, this_len) === search;
-            };
+    }, [clips]);
+
+    /**
+     * Analyse a clip's audio, once per clip (and once per file, see getAudioAnalysis)
+     * @param {Object} clip - Clip { id, file }
+     * @returns {Promise<Object|null>} - From analyzeAudio(), null without audio or if it failed
+     */
+    const requestAudioAnalysis = useCallback((clip) => {
+        if (!analysisRequestsRef.current.has(clip.id)) {
+            const request = getAudioAnalysis(clip.file)
+                .catch(error => {
+                    console.error('Failed to analyse audio:', error);
+                    return null;
+                })
+                .then(analysis => {
+                    setAudioAnalyses(analyses => ({ ...analyses, [clip.id]: analysis }));
+                    return analysis;
+                });
+            analysisRequestsRef.current.set(clip.id, request);
         }
+        return analysisRequestsRef.current.get(clip.id);
+    }, []);
 
-        try {
-            // Set up event listeners before loading
-            ffmpeg.on('log', (data) => {
-                if (data && data.message) {
-                    console.log(data.message);
-                }
-            });
+    /**
+     * Normalization gain of a clip, measuring it first if needed
+     * @param {Object} clip - Clip { id, file }
+     * @param {Object} edit - The clip's audio edit
+     * @returns {Promise<number>} - dB, 0 unless the edit normalizes
+     */
+    const getClipNormalizeGain = async (clip, edit) => {
+        return edit?.normalize ? getNormalizeGain(await requestAudioAnalysis(clip)) : 0;
+    };
 
-            await ffmpeg.load({
-                coreURL: await toBlobURL(`${baseURL}/ffmpeg-core.js`, 'text/javascript'),
-                wasmURL: await toBlobURL(`${baseURL}/ffmpeg-core.wasm`, 'application/wasm'),
-                workerURL: await toBlobURL(`${baseURL}/ffmpeg-core.worker.js`, 'text/javascript'),
-            });
-            setLoaded(true);
-            setMessage('Ready');
+    /**
+     * Where a clip's tracks duck, measuring the clip first if needed
+     * @param {Object} clip - Clip { id, file }
+     * @param {Object} edit - The clip's edits { audio, audioTracks }
+     * @returns {Promise<Array<Object>>} - From getDuckRanges(), empty if no track ducks
+     */
+    const getClipDuckRanges = async (clip, edit) => {
+        const ducks = edit?.audioTracks?.some(track => track.duck < 0);
+        if (!ducks || edit.audio?.muted) return [];
+        return getDuckRanges(await requestAudioAnalysis(clip));
+    };
+
+    // The timeline and the audio lane show the waveform of the clip being edited
+    useEffect(() => {
+        if (activeClip) requestAudioAnalysis(activeClip);
+    }, [activeClip, requestAudioAnalysis]);
+
+    /**
+     * Route the preview's audio through a gain node, so it plays the audio edit
+     * Created on the first play (audio contexts need a user gesture); a new
+     * video element gets a new source on the same context. The audio tracks
+     * play on the same context.
+     * @returns {Object|null} - { context, source, gain, element, tracks }
+     */
+    const ensureAudioGraph = () => {
+        const video = videoRef.current;
+        if (!video) return null;
+        try {
+            if (!audioGraphRef.current) {
+                const context = new AudioContext();
+                const gain = context.createGain();
+                gain.connect(context.destination);
+                audioGraphRef.current = { context, source: null, gain, element: null, tracks: new TrackPreview(context) };
+            }
+            const graph = audioGraphRef.current;
+            if (graph.element !== video) {
+                graph.source?.disconnect();
+                graph.source = graph.context.createMediaElementSource(video);
+                graph.source.connect(graph.gain);
+                graph.element = video;
+            }
+            if (graph.context.state === 'suspended') {
+                graph.context.resume();
+            }
+            return graph;
         } catch (error) {
-            console.error(error);
-            setMessage('Failed to load FFmpeg');
-        } finally {
-            setIsLoading(false);
+            // Plays unprocessed rather than not at all
+            console.warn('Audio preview unavailable:', error);
+            return null;
         }
     };
 
+    // Load the next clip ahead, so playback moves on to it without a stall
+    useEffect(() => {
+        if (!nextClip) {
+            setNextClipUrl(null);
+            return;
+        }
+        const url = URL.createObjectURL(nextClip.file);
+        setNextClipUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [nextClip]);
+
+    // Thumbnails cover the whole clip at the timeline's zoom, redrawn once zooming settles
+    useEffect(() => {
+        if (!videoFile || videoDuration === 0) return;
+        const timer = setTimeout(() => {
+            if (timelineRef.current) generateThumbnails(videoFile);
+        }, THUMBNAIL_DELAY);
+        return () => clearTimeout(timer);
+    }, [videoFile, videoDuration, visibleDuration]);
+
     const generateThumbnails = async (file) => {
         if (!timelineRef.current) return;
+        const request = ++thumbnailRequestRef.current;
 
+        const url = URL.createObjectURL(file);
         const video = document.createElement('video');
-        video.src = URL.createObjectURL(file);
-        video.crossOrigin = 'anonymous';
-        video.muted = true;
-
-        await new Promise((resolve) => {
-            video.onloadedmetadata = () => {
-                resolve();
-            };
-        });
-
-        const duration = video.duration;
-        const videoWidth = video.videoWidth;
-        const videoHeight = video.videoHeight;
-        const aspectRatio = videoWidth / videoHeight;
-
-        const timelineWidth = timelineRef.current.clientWidth;
-        const thumbnailHeight = 50; // Must match CSS height
-        const thumbnailWidth = thumbnailHeight * aspectRatio;
-        const count = Math.ceil(timelineWidth / thumbnailWidth);
-
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const thumbs = [];
-
-        canvas.width = thumbnailWidth;
-        canvas.height = thumbnailHeight;
-
-        for (let i = 0; i < count; i++) {
-            const time = (duration / count) * i;
-            video.currentTime = time;
+        video.src = url;
+        try {
+            video.crossOrigin = 'anonymous';
+            video.muted = true;
 
-            await new Promise(resolve => {
-                video.onseeked = () => {
-                    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-                    thumbs.push(canvas.toDataURL());
+            await new Promise((resolve) => {
+                video.onloadedmetadata = () => {
                     resolve();
                 };
             });
-        }
 
-        setThumbnails(thumbs);
-        video.remove();
+            const duration = video.duration;
+            const videoWidth = video.videoWidth;
+            const videoHeight = video.videoHeight;
+            const aspectRatio = videoWidth / videoHeight;
+
+            // The zoomed width - wider than the screen when zoomed in
+            const timelineWidth = timelineRef.current.clientWidth;
+            const thumbnailHeight = 50; // Must match CSS height
+            const thumbnailWidth = thumbnailHeight * aspectRatio;
+            const count = Math.min(MAX_THUMBNAILS, Math.ceil(timelineWidth / thumbnailWidth));
+
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            const thumbs = [];
+
+            canvas.width = thumbnailWidth;
+            canvas.height = thumbnailHeight;
+
+            for (let i = 0; i < count; i++) {
+                // A newer zoom or clip took over
+                if (request !== thumbnailRequestRef.current) break;
+                const time = (duration / count) * i;
+                video.currentTime = time;
+
+                await new Promise(resolve => {
+                    video.onseeked = () => {
+                        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                        thumbs.push(canvas.toDataURL());
+                        resolve();
+                    };
+                });
+            }
+
+            if (request === thumbnailRequestRef.current) {
+                setThumbnails(thumbs);
+            }
+        } finally {
+            // Every zoom step loads the file again - release it, however the loop ended
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+            video.remove();
+        }
     };
 
     useEffect(() => {
@@ -250,13 +752,34 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
 
     useEffect(() => {
         let animationFrameId;
+        const previewRanges = getKeepRanges(startTime, endTime, cutRanges);
+        const previewDuration = getRangesDuration(previewRanges);
 
         const updateProgress = () => {
             if (videoRef.current) {
                 setCurrentTime(videoRef.current.currentTime);
 
+                // Skip over cuts, like the export will
+                const cut = findRangeAt(cutRanges, videoRef.current.currentTime);
+                if (cut) {
+                    videoRef.current.currentTime = cut.end;
+                }
+
+                // Play the audio at the level the export will have
+                const graph = audioGraphRef.current;
+                if (graph) {
+                    const outputTime = toOutputTime(previewRanges, videoRef.current.currentTime);
+                    setGainParam(graph.gain.gain, graph.context, getAudioGainAt(audioEdit, outputTime, previewDuration, normalizeGain));
+                    graph.tracks.sync(audioTracks, videoRef.current.currentTime, duckRanges, videoRef.current.playbackRate);
+                }
+
                 // Check trim end logic here too for smoother stopping
                 if (videoRef.current.currentTime >= endTime) {
+                    // Clips play back to back
+                    if (nextClip) {
+                        handleSelectClip(nextClip.id, true);
+                        return;
+                    }
                     videoRef.current.pause();
                     setIsPlaying(false);
                     videoRef.current.currentTime = startTime;
@@ -273,7 +796,23 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
         }
 
         return () => cancelAnimationFrame(animationFrameId);
-    }, [isPlaying, activeTool, endTime, startTime]);
+    }, [isPlaying, activeTool, endTime, startTime, cutRanges, audioEdit, normalizeGain, audioTracks, duckRanges, nextClip, handleSelectClip]);
+
+    // The tracks follow the video, but only while it plays
+    useEffect(() => {
+        if (isPlaying) return;
+        audioGraphRef.current?.tracks.pause();
+        // Playback stopped at the end - the next L starts at normal speed
+        if (shuttleRateRef.current > 0) {
+            shuttleRateRef.current = 0;
+            setShuttleRate(0);
+            if (videoRef.current) videoRef.current.playbackRate = 1;
+        }
+    }, [isPlaying]);
+
+    useEffect(() => {
+        return () => audioGraphRef.current?.tracks.dispose();
+    }, []);
 
 
 
@@ -290,13 +829,47 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
         const handleKeyDown = (e) => {
             const isTyping = document.activeElement.tagName === 'INPUT' ||
                 document.activeElement.tagName === 'TEXTAREA' ||
+                document.activeElement.tagName === 'SELECT' ||
                 document.activeElement.isContentEditable;
 
+            // Text fields keep their own undo
+            if ((e.ctrlKey || e.metaKey) && e.code === 'KeyZ' && !isTyping) {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    handleRedo();
+                } else {
+                    handleUndo();
+                }
+                return;
+            }
+
             if (e.code === 'Space' && !isTyping) {
                 e.preventDefault();
                 togglePlay();
             }
 
+            // Frame stepping - Shift steps a second
+            if ((e.code === 'ArrowLeft' || e.code === 'ArrowRight') && !isTyping && videoUrl) {
+                e.preventDefault();
+                const frames = e.shiftKey ? Math.round(1 / frameDuration) : 1;
+                stepFrames(e.code === 'ArrowLeft' ? -frames : frames);
+            }
+
+            // J/K/L shuttle; with K held, J and L step a frame
+            if (e.code === 'KeyK' && !isTyping && videoUrl) {
+                e.preventDefault();
+                isHoldingKRef.current = true;
+                handleShuttle('K');
+            }
+            if ((e.code === 'KeyJ' || e.code === 'KeyL') && !isTyping && videoUrl) {
+                e.preventDefault();
+                if (isHoldingKRef.current) {
+                    stepFrames(e.code === 'KeyJ' ? -1 : 1);
+                } else {
+                    handleShuttle(e.code === 'KeyJ' ? 'J' : 'L');
+                }
+            }
+
             if (e.code === 'KeyT' && !isTyping) {
                 e.preventDefault();
                 onTrim();
@@ -317,9 +890,23 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                 handleToggleDrawing();
             }
 
+            if (e.code === 'KeyC' && !isTyping) {
+                e.preventDefault();
+                handleCut();
+            }
+
             if (e.code === 'KeyX' && !isTyping) {
                 e.preventDefault();
-                onClose();
+                handleClose();
+            }
+
+            if (e.code === 'Escape' && isExporting) {
+                e.preventDefault();
+                handleCancelExport();
+            } else if (e.code === 'Escape' && pendingCutStart !== null) {
+                e.preventDefault();
+                setPendingCutStart(null);
+                setMessage('Cut cancelled');
             }
 
             if ((e.code === 'Delete' || e.code === 'Backspace') && !isTyping) {
@@ -333,34 +920,273 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                 e.preventDefault();
                 fileInputRef.current?.click();
             }
+
+            if (e.code === 'KeyP' && !isTyping && videoUrl) {
+                e.preventDefault();
+                handleSaveProject();
+            }
+
+            if (e.code === 'KeyO' && !isTyping && !isExporting) {
+                e.preventDefault();
+                projectInputRef.current?.click();
+            }
+        };
+
+        const handleKeyUp = (e) => {
+            if (e.code === 'KeyK') isHoldingKRef.current = false;
         };
 
         window.addEventListener('keydown', handleKeyDown);
-        return () => window.removeEventListener('keydown', handleKeyDown);
+        window.addEventListener('keyup', handleKeyUp);
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+        };
     }, [isPlaying, onTrim, onDownload, onClose, handleAddText]); // Removed isEditing dependency
 
     const togglePlay = () => {
         if (videoRef.current) {
+            setShuttle(0);
             if (isPlaying) {
                 videoRef.current.pause();
             } else {
                 if (activeTool === 'trim' && videoRef.current.currentTime >= endTime) {
                     videoRef.current.currentTime = startTime;
                 }
+                ensureAudioGraph();
                 videoRef.current.play();
             }
             setIsPlaying(!isPlaying);
         }
     };
 
+    /**
+     * Set the J/K/L shuttle speed, without starting or stopping playback
+     * @param {number} rate - Playback rate, negative plays backwards, 0 stops the shuttle
+     */
+    const setShuttle = (rate) => {
+        shuttleRateRef.current = rate;
+        setShuttleRate(rate);
+        if (videoRef.current) videoRef.current.playbackRate = Math.max(1, rate);
+    };
+
+    /**
+     * Move the playhead, onto the start of a frame
+     * @param {number} time - Source time in seconds
+     */
+    const seekTo = (time) => {
+        if (!videoRef.current) return;
+        const frame = Math.round(Math.max(0, Math.min(time, videoDuration)) / frameDuration);
+        const snapped = Math.min(frame * frameDuration, videoDuration);
+        videoRef.current.currentTime = snapped;
+        setCurrentTime(snapped);
+    };
+
+    /**
+     * Move the playhead onto a keyframe - exactly, so edits there change it
+     * instead of adding one a fraction of a frame away
+     * @param {number} time - Source time in seconds
+     */
+    const seekToKeyframe = (time) => {
+        if (!videoRef.current) return;
+        videoRef.current.currentTime = time;
+        setCurrentTime(time);
+    };
+
+    /**
+     * Pause and step the playhead by whole frames (arrow keys, K+J/L)
+     * @param {number} count - Frames to move, negative steps back
+     */
+    const stepFrames = (count) => {
+        const video = videoRef.current;
+        if (!video) return;
+        if (isPlaying) {
+            video.pause();
+            setIsPlaying(false);
+        }
+        setShuttle(0);
+        seekTo((Math.round(video.currentTime / frameDuration) + count) * frameDuration);
+    };
+
+    /**
+     * J/K/L shuttle - L plays forward and speeds up with every press, J does
+     * the same backwards, K stops
+     * @param {string} key - 'J', 'K' or 'L'
+     */
+    const handleShuttle = (key) => {
+        const video = videoRef.current;
+        if (!video) return;
+        const rate = shuttleRateRef.current;
+        let next = 0;
+        if (key === 'L') {
+            next = rate > 0 ? Math.min(rate * 2, MAX_SHUTTLE_RATE) : 1;
+        } else if (key === 'J') {
+            next = rate < 0 ? Math.max(rate * 2, -MAX_SHUTTLE_RATE) : -1;
+        }
+        setShuttle(next);
+
+        if (next > 0) {
+            if (video.paused) {
+                if (video.currentTime >= endTime) {
+                    video.currentTime = startTime;
+                }
+                ensureAudioGraph();
+                video.play();
+                setIsPlaying(true);
+            }
+        } else if (isPlaying) {
+            // Backwards playback seeks frame by frame (see the shuttle effect)
+            video.pause();
+            setIsPlaying(false);
+        }
+        setMessage(next === 0 ? 'Stopped' : `${next > 0 ? 'Playing' : 'Reversing'} at ${Math.abs(next)}×`);
+    };
+
+    // Videos can't play backwards - J seeks back every frame instead, skipping cuts
+    useEffect(() => {
+        if (shuttleRate >= 0) return;
+        let animationFrameId;
+        let lastTime = performance.now();
+        const stepBack = (now) => {
+            const video = videoRef.current;
+            if (!video) return;
+            let time = video.currentTime + (shuttleRate * (now - lastTime)) / 1000;
+            lastTime = now;
+            const cut = findRangeAt(cutRanges, time);
+            if (cut) time = cut.start - 0.001;
+            if (time <= startTime) {
+                video.currentTime = startTime;
+                setCurrentTime(startTime);
+                shuttleRateRef.current = 0;
+                setShuttleRate(0);
+                return;
+            }
+            video.currentTime = time;
+            setCurrentTime(time);
+            animationFrameId = requestAnimationFrame(stepBack);
+        };
+        animationFrameId = requestAnimationFrame(stepBack);
+        return () => cancelAnimationFrame(animationFrameId);
+    }, [shuttleRate, cutRanges, startTime]);
+
+    // Ctrl+wheel (and trackpad pinches, which arrive as Ctrl+wheel) zooms the
+    // timeline around the pointer; horizontal wheel movement scrolls it
+    useEffect(() => {
+        const area = timelineAreaRef.current;
+        if (!area || videoDuration === 0) return;
+
+        const getPointerTime = (view, clientX) => {
+            return getViewTimeAt(view, timelineViewportRef.current.getBoundingClientRect(), clientX);
+        };
+        const handleWheel = (e) => {
+            if (!timelineViewportRef.current) return;
+            // Firefox reports lines rather than pixels
+            const scale = e.deltaMode === 1 ? 16 : 1;
+            if (e.ctrlKey || e.metaKey) {
+                e.preventDefault();
+                setZoomedView(current => {
+                    const view = clampView(current || getFullView(videoDuration), videoDuration);
+                    return zoomView(view, getWheelZoomFactor(e.deltaY * scale), getPointerTime(view, e.clientX), videoDuration);
+                });
+                return;
+            }
+            const delta = (e.shiftKey ? e.deltaY : e.deltaX) * scale;
+            if (delta === 0 || !zoomedView) return;
+            e.preventDefault();
+            const width = timelineViewportRef.current.clientWidth;
+            setZoomedView(current => {
+                const view = clampView(current || getFullView(videoDuration), videoDuration);
+                return scrollView(view, (delta / width) * (view.end - view.start), videoDuration);
+            });
+        };
+
+        // Safari reports pinches as gesture events instead
+        let gestureScale = 1;
+        const handleGestureStart = (e) => {
+            e.preventDefault();
+            gestureScale = 1;
+        };
+        const handleGestureChange = (e) => {
+            e.preventDefault();
+            const factor = gestureScale / e.scale;
+            gestureScale = e.scale;
+            setZoomedView(current => {
+                const view = clampView(current || getFullView(videoDuration), videoDuration);
+                return zoomView(view, factor, getPointerTime(view, e.clientX), videoDuration);
+            });
+        };
+
+        area.addEventListener('wheel', handleWheel, { passive: false });
+        area.addEventListener('gesturestart', handleGestureStart);
+        area.addEventListener('gesturechange', handleGestureChange);
+        return () => {
+            area.removeEventListener('wheel', handleWheel);
+            area.removeEventListener('gesturestart', handleGestureStart);
+            area.removeEventListener('gesturechange', handleGestureChange);
+        };
+    }, [videoDuration, zoomedView]);
+
+    // A zoomed timeline pages along with playback, so the playhead stays in view
+    const isMoving = isPlaying || shuttleRate !== 0;
+    useEffect(() => {
+        if (!isMoving || !zoomedView) return;
+        if (currentTime < timelineView.start || currentTime > timelineView.end) {
+            const lead = (timelineView.end - timelineView.start) * (shuttleRate < 0 ? 0.9 : 0.1);
+            setZoomedView(scrollView(timelineView, currentTime - lead - timelineView.start, videoDuration));
+        }
+    }, [isMoving, zoomedView, timelineView, currentTime, shuttleRate, videoDuration]);
+
+    // Parts of the trim range left after the cuts, played back to back on export
+    const keepRanges = useMemo(
+        () => getKeepRanges(startTime, endTime, cutRanges),
+        [startTime, endTime, cutRanges]
+    );
+    const hasCuts = keepRanges.length > 1;
+
+    // Kept duration of every clip with known media info, for the clip strip
+    const clipDurations = useMemo(() => {
+        const durations = {};
+        for (const clip of clips) {
+            const info = clipInfos[clip.id];
+            if (!info) continue;
+            if (clip.id === activeClipKey) {
+                durations[clip.id] = getRangesDuration(endTime > 0 ? keepRanges : [{ start: 0, end: info.duration }]);
+                continue;
+            }
+            const edit = clipEdits[clip.id];
+            durations[clip.id] = edit
+                ? getRangesDuration(getKeepRanges(edit.startTime, edit.endTime || info.duration, edit.cutRanges))
+                : info.duration;
+        }
+        return durations;
+    }, [clips, clipInfos, clipEdits, activeClipKey, keepRanges, endTime]);
+
+    // Lossless trims start on a keyframe, so the start handle snaps to them
+    // and the preview shows what the export will contain
+    const hasAudioEdits = isAudioEdited(audioEdit) || audioTracks.length > 0;
+    const snapsToKeyframes = exportSettings.trimMode === 'snap' &&
+        textLayers.length === 0 &&
+        !hasCuts &&
+        !hasAudioEdits &&
+        canStreamCopy(exportSettings, mediaInfo) &&
+        Boolean(mediaInfo?.keyframes?.length);
+
+    // Keyframe ticks on the trim slider (rc-slider marks)
+    const keyframeMarks = useMemo(() => {
+        if (!mediaInfo?.keyframes) return undefined;
+        return Object.fromEntries(mediaInfo.keyframes.map(time => [time, '']));
+    }, [mediaInfo]);
+
     const handleSliderChange = (value) => {
-        setStartTime(value[0]);
+        const newStart = snapsToKeyframes ? snapToKeyframe(mediaInfo.keyframes, value[0]) : value[0];
+        recordEdit('trim');
+        setStartTime(newStart);
         setEndTime(value[1]);
 
         if (videoRef.current) {
             // Seek if start time changed significantly
-            if (Math.abs(value[0] - startTime) > 0.1) {
-                videoRef.current.currentTime = value[0];
+            if (Math.abs(newStart - startTime) > 0.1) {
+                videoRef.current.currentTime = newStart;
             }
         }
     };
@@ -368,13 +1194,11 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
     const handleTimelineClick = (e) => {
         if (activeTool === 'trim' || !timelineRef.current || !videoRef.current) return;
 
+        // timelineRef spans the whole clip, so this holds at any zoom
         const rect = timelineRef.current.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const percentage = x / rect.width;
-        const newTime = percentage * videoDuration;
-
-        videoRef.current.currentTime = newTime;
-        setCurrentTime(newTime);
+        seekTo(percentage * videoDuration);
     };
 
     const formatTime = (seconds) => {
@@ -384,91 +1208,194 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
         return `${m}:${s.toString().padStart(2, '0')}`;
     };
 
-    const renderTextToImage = async (layer) => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
-        // We need to render the text at high resolution to avoid blurriness
-        // The layer.style.fontSize is in screen pixels (relative to the editor view)
-        // We should probably render it at a reasonable scale.
-
-        // Let's use the layer's style properties
-        const fontSize = layer.style.fontSize;
-        const fontFamily = layer.style.fontFamily;
-        const fontWeight = layer.style.fontWeight;
-        const color = layer.style.color;
-
-        // Set font to measure
-        ctx.font = `${fontWeight} ${fontSize}px "${fontFamily}"`;
-
-        // Measure text
-        const textMetrics = ctx.measureText(layer.text);
-        const textWidth = textMetrics.width;
-        const textHeight = fontSize * 1.2; // Approximate height
-
-        // Add some padding
-        const padding = 4; // Match editor padding
-        canvas.width = textWidth + padding * 2;
-        canvas.height = textHeight + padding * 2;
-
-        // Clear and set styles again (resizing clears canvas)
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.font = `${fontWeight} ${fontSize}px "${fontFamily}"`;
-        ctx.fillStyle = color;
-        ctx.textBaseline = 'middle';
-        ctx.textAlign = 'center';
-
-        // Draw text
-        ctx.fillText(layer.text, canvas.width / 2, canvas.height / 2);
-
-        // Return as blob (better for large images) or data URL
-        // FFmpeg fetchFile handles data URLs well
-        return canvas.toDataURL('image/png');
+    /**
+     * Open the export settings dialog (S shortcut / Save button)
+     */
+    const openExportSettings = () => {
+        if (!videoFile || isExporting) return;
+        if (videoRef.current) videoRef.current.pause();
+        setIsPlaying(false);
+        setIsExportDialogOpen(true);
     };
 
-    // Calculate finite loop count to avoid infinite loop in FFmpeg WASM
-    // The loop=-1 (infinite) combined with trim causes timestamp corruption
-    const calculateLoopCount = (durationInSeconds, videoFps = 30) => {
-        const exactFrames = durationInSeconds * videoFps;
-        // Round up and add 1 as safety buffer to prevent frame cutoff
-        return Math.ceil(exactFrames) + 1;
+    /**
+     * Cancel the running export
+     * FFmpeg can't interrupt a running command, so the FFmpeg path
+     * terminates its worker on abort and reloads it afterwards
+     */
+    const handleCancelExport = () => {
+        const controller = exportAbortRef.current;
+        if (!controller || controller.signal.aborted) return;
+        setMessage('Cancelling export...');
+        controller.abort();
+    };
+
+    /**
+     * Close the video, stopping any export first
+     */
+    const handleClose = () => {
+        handleCancelExport();
+        // The project's state goes with it - save what the autosave delay holds back
+        flushAutosave();
+        onClose();
+    };
+
+    /**
+     * Save a blob through a temporary download link
+     */
+    const downloadBlob = (blob, fileName) => {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.style.display = 'none';
+        document.body.appendChild(a);
+        a.click();
+
+        // Cleanup
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 100);
     };
 
     /**
      * Main transcode router - determines export method and routes appropriately
+     * @param {Object} settings - Export settings from the dialog
      */
-    const transcode = async () => {
+    const transcode = async (settings = exportSettings) => {
         console.log("TRANSCODE");
-        if (!videoFile || !loaded) return;
+        setIsExportDialogOpen(false);
+        if (!videoFile) {
+            setBrowserWarning('Open a video before exporting.');
+            return;
+        }
 
-        // Determine export method based on browser capabilities and requirements
-        const exportMethod = getExportMethod({ textLayers });
+        // Determine export method based on browser capabilities, overlays and settings
+        const exportMethod = getExportMethod({ textLayers, settings, clipCount: clips.length });
 
         console.log('Export method:', exportMethod);
 
+        if (exportMethod === EXPORT_METHODS.CONCAT && clips.some(clip => !clipInfos[clip.id])) {
+            setBrowserWarning('Still reading the clips - try again in a moment.');
+            return;
+        }
+
+        // These backends encode with FFmpeg - load it first, or offer a retry
+        if (exportMethod === EXPORT_METHODS.FFMPEG || exportMethod === EXPORT_METHODS.CANVAS || exportMethod === EXPORT_METHODS.CONCAT) {
+            if (!(await ensureFFmpeg(settings))) return;
+        }
+
         switch (exportMethod) {
+            case EXPORT_METHODS.CONCAT:
+                await transcodeWithExporter(settings, exportProject);
+                break;
             case EXPORT_METHODS.WEBCODECS:
-                await transcodeWithWebCodecs();
+                await transcodeWithExporter(settings, exportWithWebCodecs);
+                break;
+            case EXPORT_METHODS.MEDIARECORDER:
+                await transcodeWithExporter(settings, exportWithMediaRecorder);
+                break;
+            case EXPORT_METHODS.CANVAS:
+                // Burning in pre-rendered overlay segments still works if seeking fails
+                if (!(await transcodeWithExporter(settings, exportWithCanvasFrames, { canFallBack: true }))) {
+                    await transcodeWithFFmpeg(settings);
+                }
                 break;
             case EXPORT_METHODS.UNSUPPORTED:
-                setBrowserWarning(getUnsupportedMessage());
+                setBrowserWarning(getUnsupportedMessage(settings));
                 return;
             case EXPORT_METHODS.FFMPEG:
             default:
-                await transcodeWithFFmpeg();
+                await transcodeWithFFmpeg(settings);
                 break;
         }
     };
 
     /**
-     * Export using WebCodecs API (for Chrome/Edge with overlays)
+     * Export every clip of the project joined into one file
+     * Gets the options transcodeWithExporter builds and adds the clips and the
+     * project canvas: the export resolution applied to the first clip
+     * @param {Object} options - Exporter options
+     * @returns {Promise<Object>} - Export result { blob, container, mimeType }
+     */
+    const exportProject = async (options) => {
+        const edits = { ...clipEdits, [activeClip.id]: getActiveClipEdits() };
+        const projectClips = await Promise.all(clips.map(async clip => {
+            const info = clipInfos[clip.id];
+            const edit = edits[clip.id];
+            return {
+                file: clip.file,
+                mediaInfo: info,
+                startTime: edit ? edit.startTime : 0,
+                endTime: (edit && edit.endTime) || info.duration,
+                cuts: edit ? edit.cutRanges : [],
+                overlays: edit ? edit.textLayers : [],
+                audio: edit?.audio,
+                normalizeGain: await getClipNormalizeGain(clip, edit?.audio),
+                audioTracks: edit?.audioTracks || [],
+                duckRanges: await getClipDuckRanges(clip, edit),
+                displayWidth: edit?.displayWidth,
+                displayHeight: edit?.displayHeight,
+            };
+        }));
+
+        const first = projectClips[0].mediaInfo;
+        const canvas = getOutputSize(options.settings, first.width, first.height);
+        return exportClips({
+            ...options,
+            clips: projectClips,
+            width: canvas.width,
+            height: canvas.height,
+            fps: options.settings.fps || first.fps || DEFAULT_FPS,
+        });
+    };
+
+    /**
+     * Load FFmpeg for an export
+     * On failure the export is kept so the retry action can run it again
+     * @param {Object} settings - Export settings of the export that needs FFmpeg
+     * @returns {Promise<boolean>} - true if FFmpeg is ready
+     */
+    const ensureFFmpeg = async (settings) => {
+        setPendingFFmpegExport(null);
+        try {
+            setMessage('Loading FFmpeg...');
+            await loadFFmpeg();
+            return true;
+        } catch (error) {
+            setMessage('Failed to load FFmpeg: ' + error.message);
+            setPendingFFmpegExport(settings);
+            return false;
+        }
+    };
+
+    /**
+     * Retry the export that was waiting for FFmpeg
      */
-    const transcodeWithWebCodecs = async () => {
-        console.log("TRANSCODE WITH WEBCODECS");
-        if (!videoFile) return;
+    const handleRetryFFmpeg = () => {
+        const settings = pendingFFmpegExport;
+        setPendingFFmpegExport(null);
+        transcode(settings);
+    };
+
+    /**
+     * Export through a canvas pipeline (WebCodecs, MediaRecorder for WebM/VP9/AV1,
+     * or canvas frames encoded by FFmpeg where WebCodecs is missing)
+     * @param {Object} settings - Export settings
+     * @param {Function} exportFn - exportWithWebCodecs, exportWithMediaRecorder or exportWithCanvasFrames
+     * @param {Object} options
+     * @param {boolean} options.canFallBack - Caller retries another way, so don't report failures
+     * @returns {Promise<boolean>} - false if the export failed and a fallback should run
+     */
+    const transcodeWithExporter = async (settings, exportFn, { canFallBack = false } = {}) => {
+        console.log("TRANSCODE WITH EXPORTER");
+        if (!videoFile) return true;
 
+        const controller = new AbortController();
+        exportAbortRef.current = controller;
         setIsExporting(true);
-        setExportProgress(0);
+        setExportStatus(null);
         setMessage('Preparing export...');
 
         try {
@@ -477,139 +1404,137 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
             const displayWidth = videoDimensions.width || video?.clientWidth || video?.videoWidth;
             const displayHeight = videoDimensions.height || video?.clientHeight || video?.videoHeight;
 
-            const blob = await exportWithWebCodecs({
+            const result = await exportFn({
                 videoFile,
                 startTime,
                 endTime: endTime || undefined,
+                cuts: cutRanges,
                 overlays: textLayers,
+                audio: audioEdit,
+                normalizeGain: await getClipNormalizeGain(activeClip, audioEdit),
+                audioTracks,
+                duckRanges: await getClipDuckRanges(activeClip, getActiveClipEdits()),
+                // Output size, frame rate, bitrate/quality and MIME preference
+                ...getExporterOptions(settings, { width: video?.videoWidth, height: video?.videoHeight, ...mediaInfo }),
+                mediaInfo,
+                settings,
+                // Encodes canvas frames (loaded by transcode), and remuxes recordings
+                // the browser couldn't make in the chosen container
+                ffmpeg: getFFmpeg(),
+                loadFFmpeg,
                 displayWidth,
                 displayHeight,
-                onProgress: (progress) => {
-                    setExportProgress(Math.round(progress * 100));
-                },
+                signal: controller.signal,
+                onProgress: setExportStatus,
                 onLog: (msg) => {
                     console.log('[WebCodecs]', msg);
                     setMessage(msg);
                 }
             });
 
-            // Download the result
-            // MP4Box saves with weird filename, so we create a proper download
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `cuddles_export_${Date.now()}.mp4`;
-            a.style.display = 'none';
-            document.body.appendChild(a);
-            a.click();
-
-            // Cleanup
-            setTimeout(() => {
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-            }, 100);
-
-            setMessage('Export complete! Video downloaded.');
+            // Name the file after the container it really is (and the project's first clip)
+            downloadBlob(result.blob, getOutputFileName({ ...settings, container: result.container }, clips[0].file.name));
+
+            if (result.container !== settings.container) {
+                setMessage(`Export complete! Saved as ${CONTAINERS[result.container].label} - this browser can't produce ${CONTAINERS[settings.container].label} with these settings.`);
+            } else {
+                setMessage('Export complete! Video downloaded.');
+            }
+            return true;
         } catch (error) {
+            if (error.name === 'AbortError') {
+                setMessage('Export cancelled');
+                return true;
+            }
+            if (canFallBack) {
+                console.warn('Canvas export failed, falling back to FFmpeg:', error);
+                setMessage('Retrying with FFmpeg...');
+                return false;
+            }
             console.error('WebCodecs export error:', error);
             setMessage('Export failed: ' + error.message);
             alert('Export failed: ' + error.message);
+            return true;
         } finally {
+            exportAbortRef.current = null;
             setIsExporting(false);
-            setExportProgress(0);
+            setExportStatus(null);
         }
     };
 
     /**
      * Export using FFmpeg WASM (for trim-only or fallback)
+     * Handles cancellation and cleans the virtual FS afterwards
+     * @param {Object} settings - Export settings
      */
-    const transcodeWithFFmpeg = async () => {
+    const transcodeWithFFmpeg = async (settings) => {
         console.log("TRANSCODE");
-        if (!videoFile || !loaded) return;
-
-        const ffmpeg = ffmpegRef.current;
-        setMessage('Trimming...');
 
-        const ext = getFileExtension(videoFile.name);
-        const inputName = `input${ext}`;
-        const outputName = `output.mp4`; // Always output MP4 for compatibility when re-encoding
+        // Loaded by transcode
+        const ffmpeg = getFFmpeg();
+        const controller = new AbortController();
+        exportAbortRef.current = controller;
+        // Terminating the worker rejects every pending FFmpeg call
+        controller.signal.addEventListener('abort', terminateFFmpeg, { once: true });
 
-        await ffmpeg.writeFile(inputName, await fetchFile(videoFile));
+        setIsExporting(true);
+        const progress = new ExportProgress(setExportStatus);
 
-        // Load font and setup fontconfig for WASM
-        const fontUrl = '/fonts/ClashDisplay-Semibold.ttf';
-        let fontLoaded = false;
         try {
-            const fontData = await fetchFile(fontUrl);
-            // Verify it's not an HTML file (common 404 error)
-            const view = new Uint8Array(fontData.buffer || fontData);
-            if (view.length > 4) {
-                // Check for HTML/XML start (<) or newlines (0x0A)
-                if (view[0] === 0x3C || view[0] === 0x0A) {
-                    throw new Error('File appears to be HTML/Text, not a font');
-                }
-            }
-
-            console.log(`Font loaded. Size: ${fontData.byteLength} bytes`);
-
-            // Create font directory structure that fontconfig expects
-            try {
-                await ffmpeg.createDir('/usr');
-                await ffmpeg.createDir('/usr/share');
-                await ffmpeg.createDir('/usr/share/fonts');
-                await ffmpeg.createDir('/usr/share/fonts/truetype');
-            } catch (e) {
-                // Directories might already exist, ignore errors
+            await runFFmpegExport(settings, controller.signal, progress);
+        } catch (error) {
+            if (controller.signal.aborted) {
+                setMessage('Export cancelled');
+            } else {
+                console.error('FFmpeg export error:', error);
+                setMessage('Export failed: ' + error.message);
+                alert('Export failed: ' + error.message);
             }
+        } finally {
+            exportAbortRef.current = null;
+            ffmpegLogRef.current = null;
+            setIsExporting(false);
+            setExportStatus(null);
 
-            // Write font to standard location
-            await ffmpeg.writeFile('/usr/share/fonts/truetype/ClashDisplay-Semibold.ttf', fontData);
-
-            // Create a minimal fontconfig file
-            const fontconfigXml = `<?xml version="1.0"?>
-<!DOCTYPE fontconfig SYSTEM "fonts.dtd">
-<fontconfig>
-  <dir>/usr/share/fonts/truetype</dir>
-  <cachedir>/tmp</cachedir>
-</fontconfig>`;
-
-            try {
-                await ffmpeg.createDir('/etc');
-                await ffmpeg.createDir('/etc/fonts');
-            } catch (e) {
-                // Ignore
+            // A terminated worker took its FS with it - the next export loads a fresh one
+            if (!controller.signal.aborted) {
+                try {
+                    await cleanupExportFiles(ffmpeg);
+                } catch (error) {
+                    console.warn('Failed to clean up FFmpeg files:', error);
+                }
             }
+        }
+    };
 
-            await ffmpeg.writeFile('/etc/fonts/fonts.conf', new TextEncoder().encode(fontconfigXml));
+    /**
+     * Write the inputs, build the FFmpeg command and download the output
+     * @param {Object} settings - Export settings
+     * @param {AbortSignal} signal - Fires when the export is cancelled
+     * @param {ExportProgress} progress - Progress tracker
+     */
+    const runFFmpegExport = async (settings, signal, progress) => {
+        const ffmpeg = getFFmpeg();
+        setMessage('Trimming...');
 
-            fontLoaded = true;
-            console.log('Font and fontconfig setup complete');
-        } catch (e) {
-            console.error('Failed to load local font, trying fallback:', e);
-            try {
-                // Fallback to a reliable remote font (Roboto)
-                const fallbackUrl = 'https://raw.githubusercontent.com/google/fonts/main/ofl/roboto/Roboto-Regular.ttf';
-                const fallbackData = await fetchFile(fallbackUrl);
-                console.log(`Fallback font loaded. Size: ${fallbackData.byteLength} bytes`);
+        // The kept parts of the clip play back to back in the output
+        if (keepRanges.length === 0) {
+            throw new Error('Nothing to export - the whole clip is cut');
+        }
+        const rangeStart = keepRanges[0].start;
+        const rangeEnd = keepRanges[keepRanges.length - 1].end;
 
-                try {
-                    await ffmpeg.createDir('/usr');
-                    await ffmpeg.createDir('/usr/share');
-                    await ffmpeg.createDir('/usr/share/fonts');
-                    await ffmpeg.createDir('/usr/share/fonts/truetype');
-                } catch (e) {
-                    // Ignore
-                }
+        const ext = getFileExtension(videoFile.name);
+        const inputName = `input${ext}`;
+        const container = CONTAINERS[settings.container];
+        const outputName = `output.${container.extension}`;
 
-                await ffmpeg.writeFile('/usr/share/fonts/truetype/Roboto-Regular.ttf', fallbackData);
-                fontLoaded = true;
-                console.log('Loaded fallback font successfully');
-            } catch (fallbackError) {
-                console.error('Failed to load fallback font:', fallbackError);
-            }
-        }
+        progress.setStage(EXPORT_STAGES.WRITING);
+        await ffmpeg.writeFile(inputName, await fetchFile(videoFile));
 
-        const duration = endTime - startTime;
+        const duration = getRangesDuration(keepRanges);
+        // Output frame rate - the source rate unless the user picked one
+        const outputFps = settings.fps || mediaInfo?.fps || DEFAULT_FPS;
 
         // Calculate scale factors
         const video = videoRef.current;
@@ -618,164 +1543,145 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
         const displayWidth = videoDimensions.width || video.clientWidth || video.videoWidth;
         const displayHeight = videoDimensions.height || video.clientHeight || video.videoHeight;
 
-        const scaleX = video.videoWidth / displayWidth;
-        const scaleY = video.videoHeight / displayHeight;
+        // Overlays are placed after the video is scaled to the output size
+        const outputSize = getOutputSize(settings, video.videoWidth, video.videoHeight);
+        const needsScale = outputSize.width !== video.videoWidth || outputSize.height !== video.videoHeight;
+        const scaleFilter = `scale=${outputSize.width}:${outputSize.height}:flags=bicubic,setsar=1`;
+
+        // Cuts drop the removed frames and close the gaps (timestamps start
+        // at 0 after -ss), then the result is scaled
+        const cutSelect = getSelectExpression(keepRanges, rangeStart);
+        const baseFilters = [];
+        if (hasCuts) {
+            baseFilters.push(`select='${cutSelect}'`, 'setpts=N/FRAME_RATE/TB');
+        }
+        if (needsScale) {
+            baseFilters.push(scaleFilter);
+        }
+
+        const scaleX = outputSize.width / displayWidth;
+        const scaleY = outputSize.height / displayHeight;
 
         console.log('Export Dimensions:', {
             videoWidth: video.videoWidth,
             videoHeight: video.videoHeight,
+            outputWidth: outputSize.width,
+            outputHeight: outputSize.height,
             displayWidth,
             displayHeight,
             scaleX,
             scaleY
         });
 
-        // Build filter complex
-        let filterComplex = [];
-        let currentStream = '[0:v]';
-        let inputIndex = 1; // 0 is video, 1+ are images
-
-        // Sort layers by ID (creation time) or add a z-index if needed. 
-        // Assuming textLayers order is z-order.
-
-
-        // We need to construct the args and filter_complex together.
-        const inputs = [];
-
-        for (let i = 0; i < textLayers.length; i++) {
-            const layer = textLayers[i];
-            const start = Math.max(0, layer.timing.start - startTime);
-            const end = Math.min(duration, layer.timing.end - startTime);
-            if (end <= 0 || start >= duration) continue;
-
-            if (layer.type === 'image') {
-                const imgFileName = `layer_${layer.id}.png`;
-                // File already written above? No, let's do it here.
-                await ffmpeg.writeFile(imgFileName, await fetchFile(layer.src));
-                // Use -loop 1 input flag with -t duration instead of loop filter
-                // The loop filter has issues in FFmpeg WASM even with finite counts
-                inputs.push('-loop', '1', '-t', duration.toString(), '-i', imgFileName);
-
-                const layerIndex = inputIndex++;
-                const nextStream = `[v${layerIndex}]`;
-
-                // Scale image to match video resolution
-                // The drawing was made on clientWidth/clientHeight.
-                // We need to scale it by scaleX/scaleY.
-                // Also handle layer transform (x, y, scale).
-                // Overlay filter handles x and y.
-                // Scale filter handles size.
-
-                // Complex scaling:
-                // 1. Scale the input image itself based on layer.transform.scale AND video/client ratio.
-                const scaleFactorX = layer.transform.scale[0] * scaleX;
-                const scaleFactorY = layer.transform.scale[1] * scaleY;
-
-                // Ensure dimensions are even integers and at least 2x2
-                // FFmpeg requires even dimensions for many codecs (like 4:2:0 H.264)
-                const targetWidth = `trunc(iw*${scaleFactorX}/2)*2`;
-                const targetHeight = `trunc(ih*${scaleFactorY}/2)*2`;
-
-                const scaledImg = `[img${layerIndex}]`;
-                // Scale -> format=rgba -> setsar=1 -> setpts (no loop filter needed, using -loop 1 input instead)
-                filterComplex.push(`[${layerIndex}:v]scale=${targetWidth}:${targetHeight}:flags=bicubic,format=rgba,setsar=1,setpts=PTS-STARTPTS${scaledImg}`);
-
-                const x = Math.round(layer.transform.x * scaleX);
-                const y = Math.round(layer.transform.y * scaleY);
-
-                console.log(`Layer ${i} (Image): start=${start}, end=${end}, x=${x}, y=${y}, scaleX=${scaleFactorX}, scaleY=${scaleFactorY}`);
-
-                // Note: removed enable parameter as it causes WASM crashes
-                filterComplex.push(`${currentStream}${scaledImg}overlay=x=${x}:y=${y}${nextStream}`);
-                currentStream = nextStream;
-
-
-            } else {
-                // Text Layer - Render to image first to avoid FFmpeg WASM drawtext crashes
-                const textImgData = await renderTextToImage(layer);
-                const imgFileName = `text_layer_${layer.id}.png`;
-
-                await ffmpeg.writeFile(imgFileName, await fetchFile(textImgData));
-                // Use -loop 1 input flag with -t duration instead of loop filter
-                // The loop filter has issues in FFmpeg WASM even with finite counts
-                inputs.push('-loop', '1', '-t', duration.toString(), '-i', imgFileName);
-
-                const layerIndex = inputIndex++;
-                const nextStream = `[v${layerIndex}]`;
-
-                // Scale logic for text-as-image
-                // The canvas created in renderTextToImage should be sized to the text content
-                // We need to place it correctly.
-                // Note: renderTextToImage returns a data URL or blob.
-                // We assume the canvas was created with the exact dimensions of the text or a bounding box.
-
-                // For simplicity, let's assume renderTextToImage returns an image that needs to be scaled
-                // similarly to how we scale the video/display ratio.
-
-                // However, since we draw the text at a specific pixel size on the canvas,
-                // we might need to adjust the scale.
-                // Let's look at renderTextToImage implementation (below).
-
-                // If renderTextToImage creates a canvas matching the visual size of the text on screen,
-                // then we just need to scale it by (scaleX, scaleY).
-
-                const scaleFactorX = layer.transform.scale[0] * scaleX;
-                const scaleFactorY = layer.transform.scale[1] * scaleY;
-
-                // Ensure dimensions are even
-                const targetWidth = `trunc(iw*${scaleFactorX}/2)*2`;
-                const targetHeight = `trunc(ih*${scaleFactorY}/2)*2`;
-
-                const scaledImg = `[txt${layerIndex}]`;
-                // Scale -> format=rgba -> setsar=1 -> setpts (no loop filter needed, using -loop 1 input instead)
-                filterComplex.push(`[${layerIndex}:v]scale=${targetWidth}:${targetHeight}:flags=bicubic,format=rgba,setsar=1,setpts=PTS-STARTPTS${scaledImg}`);
-
-                const x = Math.round(layer.transform.x * scaleX);
-                const y = Math.round(layer.transform.y * scaleY);
-
-                console.log(`Layer ${i} (Text->Image): start=${start}, end=${end}, x=${x}, y=${y}`);
+        // Overlays are drawn on the cut and scaled video
+        progress.setStage(EXPORT_STAGES.RENDERING);
+        const { inputs, filters: filterComplex, outputStream: currentStream } = await buildOverlayFilters(ffmpeg, {
+            overlays: textLayers,
+            keepRanges,
+            inputStream: baseFilters.length > 0 ? '[base]' : '[0:v]',
+            width: outputSize.width,
+            height: outputSize.height,
+            scaleX,
+            scaleY,
+            fps: outputFps,
+            onProgress: (fraction) => progress.setStageProgress(fraction),
+        });
 
-                // Use overlay filter instead of drawtext
-                filterComplex.push(`${currentStream}${scaledImg}overlay=x=${x}:y=${y}${nextStream}`);
-                currentStream = nextStream;
-            }
-        }
+        // Stream copy can only start on a keyframe: snap back to one, or
+        // smart render the frames before the next one (see smartTrim.js).
+        // Cuts and audio edits always need a re-encode.
+        const trimPlan = filterComplex.length === 0 && !hasCuts && !hasAudioEdits && canStreamCopy(settings, mediaInfo)
+            ? planStreamCopyTrim(settings, mediaInfo, rangeStart)
+            : null;
+        const isStreamCopy = trimPlan?.type === 'copy';
+        const isSmartRender = trimPlan?.type === 'smart';
+        const trimStart = isStreamCopy ? trimPlan.start : rangeStart;
+
+        // Audio tracks are extra inputs after the overlays
+        const trackInputs = await writeTrackInputs(ffmpeg, audioTracks, {
+            prefix: 'track_',
+            firstIndex: 1 + inputs.length / 2,
+        });
+        const mixesTracks = trackInputs.tracks.length > 0;
 
         const args = [
             '-threads', '1', // Single thread for WASM stability
-            '-ss', startTime.toString(),
+            '-ss', trimStart.toString(),
             '-i', inputName,
             ...inputs,
-            '-t', duration.toString()
+            ...trackInputs.inputs,
+            '-t', (rangeEnd - trimStart).toString()
         ];
 
+        const sourceAudioFilters = getFFmpegAudioFilters(audioEdit, duration, await getClipNormalizeGain(activeClip, audioEdit));
+        if (mixesTracks) {
+            // The tracks are mixed in the filter graph, with the clip's audio if it has any
+            filterComplex.push(...buildAudioMixFilters({
+                source: mediaInfo?.hasAudio === false ? null : '[0:a:0]',
+                sourceFilters: sourceAudioFilters,
+                tracks: trackInputs.tracks,
+                keepRanges,
+                duckRanges: await getClipDuckRanges(activeClip, getActiveClipEdits()),
+                output: '[aout]',
+            }));
+        } else {
+            // Same ranges for the audio, then the audio edit, as a simple filter on the mapped stream
+            const audioFilters = [
+                ...(hasCuts ? [`aselect='${cutSelect}'`, 'asetpts=N/SR/TB'] : []),
+                ...sourceAudioFilters,
+            ];
+            if (audioFilters.length > 0) {
+                args.push('-af', audioFilters.join(','));
+            }
+        }
+
         if (filterComplex.length > 0) {
+            if (baseFilters.length > 0) {
+                filterComplex.unshift(`[0:v]${baseFilters.join(',')}[base]`);
+            }
             const complexFilterStr = filterComplex.join(';');
             console.log('Generated Filter Complex:', complexFilterStr);
-            // Map the final stream to output
+            // Map the final stream to output (the untouched video if only the audio is filtered)
             args.push('-filter_complex', complexFilterStr);
-            args.push('-map', currentStream);
-            args.push('-map', '0:a'); // Map audio from original video (0)
+            args.push('-map', currentStream === '[0:v]' ? '0:v:0' : currentStream);
+            args.push('-map', mixesTracks ? '[aout]' : '0:a?'); // Map audio from original video (0), if it has any
 
-            args.push('-c:v', 'libx264'); // Explicit encoder
-            args.push('-c:a', 'copy');
-            args.push('-preset', 'veryfast'); // More stable than ultrafast in WASM
-        } else {
+            // Constant frame rate output at the source (or chosen) rate
+            args.push('-r', outputFps.toString(), '-fps_mode', 'cfr');
+            args.push(...getFFmpegCodecArgs(settings));
+        } else if (isStreamCopy) {
             args.push('-c', 'copy');
+        } else {
+            // Resolution, frame rate, codec, container change or cuts need a re-encode
+            if (baseFilters.length > 0) {
+                args.push('-vf', baseFilters.join(','));
+            }
+            args.push('-r', outputFps.toString(), '-fps_mode', 'cfr');
+            args.push(...getFFmpegCodecArgs(settings));
         }
 
         args.push(outputName);
 
         console.log('FFmpeg args:', args);
 
-        setIsExporting(true);
-        setExportProgress(0);
-
-        ffmpeg.on('progress', (data) => {
-            if (data && typeof data.progress === 'number') {
-                setExportProgress(Math.round(data.progress * 100));
+        // FFmpeg's own progress event is wrong with -ss/-t, so progress comes
+        // from the output timestamp in its stats lines instead
+        const totalFrames = Math.ceil(duration * outputFps);
+        if (isStreamCopy || isSmartRender) {
+            // No frames are encoded - copying is all muxing
+            progress.setStage(EXPORT_STAGES.MUXING);
+        } else {
+            progress.setStage(EXPORT_STAGES.ENCODING, { totalFrames });
+        }
+        ffmpegLogRef.current = (logMessage) => {
+            const time = parseFFmpegTime(logMessage);
+            if (time === null) return;
+            if (isStreamCopy) {
+                progress.setStageProgress(time / duration);
+            } else {
+                progress.setFrames(Math.min(Math.round(time * outputFps), totalFrames));
             }
-        });
+        };
 
         // Cleanup stale output file
         try {
@@ -784,32 +1690,43 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
             // Ignore if file doesn't exist
         }
 
-        try {
-            await ffmpeg.exec(args);
-        } catch (error) {
-            console.warn('FFmpeg exec error (might be benign abort):', error);
+        if (isSmartRender) {
+            ffmpegLogRef.current = null;
+            await runSmartTrim(ffmpeg, {
+                inputName,
+                outputName,
+                start: rangeStart,
+                end: rangeEnd,
+                keyframe: trimPlan.keyframe,
+                settings,
+                mediaInfo,
+                onStep: (fraction) => progress.setStageProgress(fraction),
+            });
+        } else {
+            try {
+                await ffmpeg.exec(args);
+            } catch (error) {
+                if (signal.aborted) throw error;
+                console.warn('FFmpeg exec error (might be benign abort):', error);
+            }
         }
 
-        setIsExporting(false);
-        setExportProgress(100);
+        ffmpegLogRef.current = null;
+        progress.setStage(EXPORT_STAGES.SAVING);
 
         try {
             const data = await ffmpeg.readFile(outputName);
 
-            // Create a download link
-            const url = URL.createObjectURL(new Blob([data.buffer], { type: videoFile.type }));
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `trimmed_${videoFile.name}`;
-            document.body.appendChild(a);
-            a.click();
+            downloadBlob(new Blob([data.buffer], { type: container.mimeType }), getOutputFileName(settings, videoFile.name));
+            progress.complete();
 
-            // Cleanup
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-
-            setMessage('Done!');
+            if (rangeStart - trimStart > 0.01) {
+                setMessage(`Done! Starts ${(rangeStart - trimStart).toFixed(2)}s early, on the keyframe at ${trimStart.toFixed(2)}s (lossless trim).`);
+            } else {
+                setMessage('Done!');
+            }
         } catch (readError) {
+            if (signal.aborted) throw readError;
             console.error('Failed to read output file:', readError);
             setMessage('Export failed: Could not read output file.');
             alert('Export failed. Please check the console for details.');
@@ -845,12 +1762,240 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
     const handleDrop = (e) => {
         e.preventDefault();
         setIsDragging(false);
-        const files = e.dataTransfer.files;
-        if (files && files.length > 0) {
+        const files = Array.from(e.dataTransfer.files || []);
+        // A project file dropped with its videos opens the project
+        const projectFile = files.find(isProjectFile);
+        if (projectFile) {
+            openProjectFile(projectFile, files.filter(file => file !== projectFile));
+        } else if (files.length > 0) {
             onUpload({ target: { files: files } });
         }
     };
 
+    /**
+     * Serialize the open project (see projectFile.js)
+     * @returns {Promise<Object>}
+     */
+    const serializeOpenProject = () => serializeProject({
+        clips,
+        edits: { ...clipEdits, [activeClip.id]: getActiveClipEdits() },
+        settings: exportSettings,
+        activeClipId: activeClip.id,
+    });
+
+    /**
+     * Download the project as a project file
+     */
+    const handleSaveProject = async () => {
+        if (!activeClip) return;
+        setMessage('Saving project...');
+        try {
+            const project = await serializeOpenProject();
+            const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+            downloadBlob(blob, getProjectFileName(clips[0].file.name));
+            setMessage('Project saved');
+        } catch (error) {
+            console.error('Failed to save project:', error);
+            alert('Saving the project failed: ' + error.message);
+        }
+    };
+
+    /**
+     * Look for the videos and audio tracks of the project being opened among some files
+     * @param {Object} project - Project from parseProject()
+     * @param {Array<File>} files - Candidate videos and audio
+     * @param {Object} linked - Files already linked, by clip or track id
+     * @param {Array<string>} changed - Files already found changed
+     * @returns {Promise<Object>} - The updated pending project
+     */
+    const matchProjectVideos = async (project, files, linked = {}, changed = []) => {
+        setPendingProject({ project, linked, changed, isMatching: true });
+        const result = await relinkSources(getProjectSources(project), files, linked);
+        const next = {
+            project,
+            linked: result.linked,
+            changed: [...new Set([...changed, ...result.changed])],
+            isMatching: false,
+        };
+        // Unless the dialog was closed meanwhile
+        setPendingProject(current => current && next);
+        return next;
+    };
+
+    /**
+     * Read a project file and re-link its files, asking for the ones not given
+     * @param {File} projectFile - The project file
+     * @param {Array<File>} videoFiles - Videos given along with it
+     */
+    const openProjectFile = async (projectFile, videoFiles = []) => {
+        try {
+            const project = parseProject(await projectFile.text());
+            const pending = await matchProjectVideos(project, videoFiles);
+            if (getProjectSources(project).every(({ id }) => pending.linked[id])) {
+                applyProject(pending);
+            }
+        } catch (error) {
+            console.error('Failed to open project:', error);
+            setPendingProject(null);
+            alert('Opening the project failed: ' + error.message);
+        }
+    };
+
+    const handleChooseProjectVideos = async (files) => {
+        const { project, linked, changed } = pendingProject;
+        try {
+            await matchProjectVideos(project, files, linked, changed);
+        } catch (error) {
+            console.error('Failed to match videos:', error);
+            setPendingProject(current => current && { ...current, isMatching: false });
+        }
+    };
+
+    /**
+     * Replace the open project with the one being opened
+     * Clips without a linked video, and tracks without their audio, are left out.
+     * @param {Object} pending - { project, linked, session } - session { id, state } when restoring one
+     */
+    const applyProject = ({ project, linked, session = null }) => {
+        handleCancelExport();
+        // Fresh ids, so reopening the project that's open still reloads it
+        const now = Date.now();
+        const ids = {};
+        const edits = {};
+        const projectClips = [];
+        project.clips.forEach((clip, index) => {
+            if (!linked[clip.id]) return;
+            const id = `${now}-${index}`;
+            ids[clip.id] = id;
+            projectClips.push({ id, file: linked[clip.id] });
+            edits[id] = {
+                startTime: clip.startTime,
+                endTime: clip.endTime,
+                cutRanges: clip.cuts,
+                textLayers: clip.overlays,
+                audio: clip.audio,
+                audioTracks: clip.audioTracks
+                    .filter(track => linked[track.id])
+                    .map(track => ({ ...track, file: linked[track.id] })),
+                displayWidth: clip.displayWidth,
+                displayHeight: clip.displayHeight,
+            };
+        });
+
+        const activeId = ids[project.activeClipId] || projectClips[0].id;
+        if (session?.state.selectedTextId) {
+            edits[activeId].selectedTextId = session.state.selectedTextId;
+        }
+        // A restored session goes on saving into itself, an opened file starts a new one
+        sessionIdRef.current = session ? session.id : null;
+        historiesRef.current.clear();
+
+        videoRef.current?.pause();
+        setIsPlaying(false);
+        setIsDrawing(false);
+        setPendingProject(null);
+        setClipEdits(edits);
+        setExportSettings(project.settings);
+        setActiveClipId(activeId);
+        onOpenProject(projectClips);
+        setMessage(`Opened project with ${projectClips.length} clips`);
+    };
+
+    /**
+     * Restore an autosaved session, asking for any videos no longer stored
+     * @param {string} id - Session id
+     */
+    const handleRestoreSession = async (id) => {
+        setRestoringSessionId(id);
+        try {
+            const { project, state, linked } = await loadSession(id);
+            const pending = { project, linked, changed: [], isMatching: false, session: { id, state } };
+            if (getProjectSources(project).every(({ id }) => linked[id])) {
+                applyProject(pending);
+            } else {
+                setPendingProject(pending);
+            }
+        } catch (error) {
+            console.error('Failed to restore session:', error);
+            alert('Restoring the session failed: ' + error.message);
+        } finally {
+            setRestoringSessionId(null);
+        }
+    };
+
+    const handleDeleteSession = async (id) => {
+        setRecentSessions(sessions => sessions.filter(session => session.id !== id));
+        try {
+            await deleteSession(id);
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+        }
+    };
+
+    /**
+     * Save the open project into its session (see sessionStore.js)
+     */
+    const autosave = async () => {
+        // The clip being loaded has no trim yet
+        if (!activeClip || videoDuration === 0) return;
+        if (!sessionIdRef.current) {
+            sessionIdRef.current = `session-${Date.now()}`;
+        }
+        const id = sessionIdRef.current;
+        try {
+            const project = await serializeOpenProject();
+            const edits = [...Object.values(clipEdits), getActiveClipEdits()];
+            const audioFiles = edits.flatMap(edit => (edit.audioTracks || []).map(track => track.file));
+            await saveSession({ id, clips, audioFiles, project, state: { selectedTextId } });
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+        }
+    };
+
+    useEffect(() => {
+        autosaveRef.current = autosave;
+    });
+
+    /**
+     * Save edits still waiting for the autosave delay right away
+     * Closing the project, leaving the page or unmounting would otherwise drop them.
+     */
+    const flushAutosave = () => {
+        if (!autosavePendingRef.current) return;
+        autosavePendingRef.current = false;
+        autosaveRef.current();
+    };
+
+    // Autosave once the edits settle
+    useEffect(() => {
+        if (!activeClipKey || !isSessionStoreSupported()) return;
+        autosavePendingRef.current = true;
+        const timer = setTimeout(flushAutosave, AUTOSAVE_DELAY);
+        return () => clearTimeout(timer);
+    }, [clips, clipEdits, activeClipKey, videoDuration, startTime, endTime, cutRanges, textLayers, audioEdit, audioTracks, selectedTextId, exportSettings]);
+
+    // Pages can be closed or killed while hidden - save before that
+    useEffect(() => {
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') flushAutosave();
+        };
+        window.addEventListener('pagehide', flushAutosave);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            window.removeEventListener('pagehide', flushAutosave);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            flushAutosave();
+        };
+    }, []);
+
+    // The upload screen offers the autosaved sessions
+    useEffect(() => {
+        if (videoUrl || !isSessionStoreSupported()) return;
+        listSessions()
+            .then(setRecentSessions)
+            .catch(error => console.warn('Failed to list sessions:', error));
+    }, [videoUrl]);
+
     const [isCopied, setIsCopied] = useState(false);
 
     const handleShare = async () => {
@@ -875,9 +2020,6 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
         }
     };
 
-    // Video Dimensions for Constraining Overlays
-    const [videoDimensions, setVideoDimensions] = useState({ width: 0, height: 0, top: 0, left: 0 });
-
     const updateVideoDimensions = () => {
         const video = videoRef.current;
         if (!video || !wrapperRef.current) return;
@@ -913,9 +2055,26 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
     const handleLoadedMetadata = () => {
         if (videoRef.current) {
             setVideoDuration(videoRef.current.duration);
-            setStartTime(0);
-            setEndTime(videoRef.current.duration);
-            setLoaded(true);
+
+            // A clip edited before keeps its trim
+            const restored = restoredEditRef.current;
+            restoredEditRef.current = null;
+            if (restored) {
+                videoRef.current.currentTime = restored.startTime;
+                // Clips a project file saved untrimmed
+                if (!restored.endTime) setEndTime(videoRef.current.duration);
+            } else {
+                setStartTime(0);
+                setEndTime(videoRef.current.duration);
+            }
+
+            // Playback running on from the previous clip
+            if (resumePlaybackRef.current) {
+                resumePlaybackRef.current = false;
+                ensureAudioGraph();
+                videoRef.current.play();
+                setIsPlaying(true);
+            }
             updateVideoDimensions(); // Call after metadata is loaded
         }
     };
@@ -923,6 +2082,31 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
     return (
         <div className="video-editor">
             <div className="main-content">
+                {/* Project being opened - re-link its videos */}
+                {pendingProject && (
+                    <ProjectRelinkDialog
+                        project={pendingProject.project}
+                        linked={pendingProject.linked}
+                        changed={pendingProject.changed}
+                        isMatching={pendingProject.isMatching}
+                        onChooseFiles={handleChooseProjectVideos}
+                        onOpen={() => applyProject(pendingProject)}
+                        onClose={() => setPendingProject(null)}
+                    />
+                )}
+                <input
+                    type="file"
+                    ref={projectInputRef}
+                    onChange={(e) => {
+                        const file = e.target.files?.[0];
+                        if (file) openProjectFile(file);
+                        // Allow opening the same file again
+                        e.target.value = '';
+                    }}
+                    accept={`${PROJECT_EXTENSION},.json,application/json`}
+                    style={{ display: 'none' }}
+                />
+
                 {videoUrl ? (
                     <div className="video-workspace">
                         {/* Top Left Trim Button */}
@@ -982,8 +2166,26 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                             <div className="hotkey-badge">D</div>
                         </div>
 
-                        {/* Top Left Save Button (Below Draw) */}
+                        {/* Top Left Cut Button (Below Draw) */}
                         <div className="tool-wrapper top-left-4">
+                            <button
+                                className={`editor-tool-btn ${pendingCutStart !== null ? 'active' : ''}`}
+                                onClick={handleCut}
+                                title={pendingCutStart !== null ? 'End Cut' : 'Start Cut'}
+                            >
+                                <svg viewBox="0 0 24 24" width="24" height="24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <circle cx="6" cy="6" r="3" />
+                                    <circle cx="6" cy="18" r="3" />
+                                    <line x1="20" y1="4" x2="8.12" y2="15.88" />
+                                    <line x1="14.47" y1="14.48" x2="20" y2="20" />
+                                    <line x1="8.12" y1="8.12" x2="12" y2="12" />
+                                </svg>
+                            </button>
+                            <div className="hotkey-badge">C</div>
+                        </div>
+
+                        {/* Top Left Save Button (Below Cut) */}
+                        <div className="tool-wrapper top-left-5">
                             <button
                                 className="editor-tool-btn"
                                 onClick={onDownload}
@@ -998,20 +2200,93 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                             <div className="hotkey-badge">S</div>
                         </div>
 
+                        {/* Top Left Save Project Button (Below Save) */}
+                        <div className="tool-wrapper top-left-6">
+                            <button
+                                className="editor-tool-btn"
+                                onClick={handleSaveProject}
+                                title="Save Project"
+                            >
+                                <svg viewBox="0 0 24 24" width="24" height="24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
+                                    <line x1="12" y1="11" x2="12" y2="17" />
+                                    <polyline points="9 14 12 17 15 14" />
+                                </svg>
+                            </button>
+                            <div className="hotkey-badge">P</div>
+                        </div>
 
                         {/* Download Notification */}
                         {isExporting && (
                             <div className="download-notification">
                                 <span>Downloading! :)</span>
-                                <div className="progress-bar-container">
-                                    <div
-                                        className="progress-bar-fill"
-                                        style={{ width: `${exportProgress}%` }}
-                                    />
+                                <div className="progress-bar-row">
+                                    <div className="progress-bar-container">
+                                        <div
+                                            className="progress-bar-fill"
+                                            style={{ width: `${Math.round((exportStatus?.progress || 0) * 100)}%` }}
+                                        />
+                                    </div>
+                                    <button
+                                        className="export-cancel-btn"
+                                        onClick={handleCancelExport}
+                                        title="Cancel export (Esc)"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                                {exportStatus && (
+                                    <span className="export-status">
+                                        {exportStatus.label}
+                                        {exportStatus.stage === EXPORT_STAGES.ENCODING && exportStatus.totalFrames > 0 &&
+                                            ` · ${exportStatus.framesDone}/${exportStatus.totalFrames} frames`}
+                                        {` · ${formatDuration(exportStatus.elapsed)}`}
+                                        {exportStatus.eta !== null && ` · ~${formatDuration(exportStatus.eta)} left`}
+                                    </span>
+                                )}
+                            </div>
+                        )}
+
+                        {/* FFmpeg loads on the first export that needs it */}
+                        {ffmpegState.status === FFMPEG_STATUS.LOADING && (
+                            <div className="ffmpeg-status">
+                                <span>Loading FFmpeg...</span>
+                            </div>
+                        )}
+                        {ffmpegState.status === FFMPEG_STATUS.ERROR && pendingFFmpegExport && (
+                            <div className="ffmpeg-status error">
+                                <span>Couldn't load FFmpeg{ffmpegState.error ? `: ${ffmpegState.error.message}` : ''}</span>
+                                <div className="ffmpeg-status-actions">
+                                    <button className="export-btn primary" onClick={handleRetryFFmpeg}>Retry</button>
+                                    <button className="export-btn secondary" onClick={() => setPendingFFmpegExport(null)}>Dismiss</button>
                                 </div>
                             </div>
                         )}
 
+                        {/* Status of the last action - the notifications above take its place */}
+                        {message && !isExporting && ffmpegState.status !== FFMPEG_STATUS.LOADING && !pendingFFmpegExport && (
+                            <div className="editor-status" role="status">
+                                <span>{message}</span>
+                            </div>
+                        )}
+
+                        {/* Export Settings Dialog */}
+                        {isExportDialogOpen && (
+                            <ExportSettingsDialog
+                                settings={exportSettings}
+                                // The first clip sets the canvas of multi-clip projects
+                                mediaInfo={clips.length > 1 ? clipInfos[clips[0].id] : mediaInfo}
+                                textLayers={textLayers}
+                                hasCuts={hasCuts}
+                                hasAudioEdits={hasAudioEdits}
+                                clipCount={clips.length}
+                                sourceName={clips[0].file.name}
+                                onChange={setExportSettings}
+                                onExport={transcode}
+                                onClose={() => setIsExportDialogOpen(false)}
+                            />
+                        )}
+
                         {/* Browser Warning for WebCodecs */}
                         {browserWarning && (
                             <div className="browser-warning-notification" style={{
@@ -1048,7 +2323,7 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
 
                         {/* Top Right Close Button */}
                         <div className="tool-wrapper top-right">
-                            <button className="close-video-btn" onClick={onClose} title="Close Video">
+                            <button className="close-video-btn" onClick={handleClose} title="Close Video">
                                 <svg viewBox="0 0 24 24" width="24" height="24" fill="none" stroke="currentColor" strokeWidth="2">
                                     <line x1="18" y1="6" x2="6" y2="18"></line>
                                     <line x1="6" y1="6" x2="18" y2="18"></line>
@@ -1057,6 +2332,17 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                             <div className="hotkey-badge">X</div>
                         </div>
 
+                        {/* Properties of the selected layer */}
+                        {selectedTextLayer && (
+                            <TextInspector
+                                key={selectedTextLayer.id}
+                                layer={selectedTextLayer}
+                                currentTime={currentTime}
+                                videoDuration={videoDuration}
+                                onUpdate={(updates) => handleUpdateText(selectedTextLayer.id, updates)}
+                            />
+                        )}
+
 
 
                         <div className="video-wrapper" ref={wrapperRef} onClick={handleBackgroundClick}>
@@ -1070,6 +2356,9 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                                 onTimeUpdate={handleTimeUpdate}
                                 onEnded={() => setIsPlaying(false)}
                             />
+                            {nextClipUrl && (
+                                <video className="clip-preload" src={nextClipUrl} preload="auto" muted />
+                            )}
 
                             {/* Constrained Overlays Container */}
                             <div style={{
@@ -1088,11 +2377,7 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                                         onUpdate={handleUpdateText}
                                         onSelect={setSelectedTextId}
                                         currentTime={currentTime}
-                                        containerRef={wrapperRef} // Keep wrapperRef for now, or change to this container? TextOverlayLayer uses it for bounds. 
-                                    // Actually, TextOverlayLayer uses containerRef to calculate relative positions. 
-                                    // If we change the container, we might need to update TextOverlayLayer logic or just ensure it works relative to this new container.
-                                    // Since this container is exactly the video size, relative positions (percentages) should work fine if TextOverlayLayer uses them.
-                                    // But TextOverlayLayer likely uses pixels. Let's check.
+                                        frameSize={videoDimensions}
                                     />
                                 </div>
 
@@ -1117,7 +2402,7 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                             )}
                         </div>
 
-                        <div className="timeline-area">
+                        <div className="timeline-area" ref={timelineAreaRef}>
                             <div className="time-markers" style={{ position: 'relative', display: 'flex', alignItems: 'center', justifyContent: 'center', marginBottom: '0.5rem', height: '60px' }}>
                                 <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '4px' }}>
                                     <button
@@ -1148,59 +2433,164 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                                     </button>
                                     <div className="hotkey-badge" style={{ fontSize: '10px', height: '16px', padding: '0 4px', minWidth: 'auto' }}>Space</div>
                                 </div>
-                                <div style={{ position: 'absolute', right: 0, display: 'flex', gap: '1rem' }}>
+                                <div style={{ position: 'absolute', right: 0, display: 'flex', gap: '1rem', alignItems: 'center' }}>
+                                    {mediaInfo && (
+                                        <span
+                                            className="fps-label"
+                                            title={mediaInfo.isVFR
+                                                ? `Variable frame rate source (avg ${formatFrameRate(mediaInfo.averageFps)} fps) - exported at a constant rate`
+                                                : `Source frame rate (${mediaInfo.fpsSource}) - change the export rate with S`}
+                                        >
+                                            {!exportSettings.fps && mediaInfo.isVFR ? 'VFR ~' : ''}
+                                            {formatFrameRate(exportSettings.fps || mediaInfo.fps)} fps
+                                        </span>
+                                    )}
                                     <span>{formatTime(currentTime)}</span>
                                     <span>{formatTime(videoDuration)}</span>
                                 </div>
                             </div>
 
+                            {/* Time Ruler - click or drag to scrub */}
+                            {videoDuration > 0 && (
+                                <TimelineRuler view={timelineView} onSeek={seekTo} />
+                            )}
+
                             {videoDuration > 0 && (
                                 <div
                                     className="timeline-track-container"
-                                    ref={timelineRef}
+                                    ref={timelineViewportRef}
                                     onClick={handleTimelineClick}
                                 >
-                                    {/* Thumbnails Layer */}
-                                    <div className="thumbnails-strip">
-                                        {thumbnails.map((thumb, idx) => (
-                                            <img key={idx} src={thumb} alt={`frame-${idx}`} />
-                                        ))}
-                                    </div>
+                                    {/* Waveform Layer - the source audio, beneath the thumbnails */}
+                                    <TimelineWaveform analysis={activeAnalysis} view={timelineView} />
 
-                                    {/* Playback Head */}
+                                    {/* The whole clip, zoomed - only the part in view shows */}
                                     <div
-                                        className="playback-head"
-                                        style={{ left: `${playbackPosition}%` }}
-                                    />
+                                        className="timeline-track-content"
+                                        ref={timelineRef}
+                                        style={getContentStyle(timelineView, videoDuration)}
+                                    >
+                                        {/* Thumbnails Layer */}
+                                        <div className="thumbnails-strip">
+                                            {thumbnails.map((thumb, idx) => (
+                                                <img key={idx} src={thumb} alt={`frame-${idx}`} />
+                                            ))}
+                                        </div>
+
+                                        {/* Cuts - skipped in the preview and left out of the export */}
+                                        {cutRanges.map(cut => (
+                                            <div
+                                                key={cut.id}
+                                                className="cut-range"
+                                                style={{
+                                                    left: `${(cut.start / videoDuration) * 100}%`,
+                                                    width: `${((cut.end - cut.start) / videoDuration) * 100}%`
+                                                }}
+                                            >
+                                                <button
+                                                    className="cut-range-remove"
+                                                    onClick={(e) => {
+                                                        e.stopPropagation();
+                                                        handleRemoveCut(cut.id);
+                                                    }}
+                                                    title="Restore this part"
+                                                >
+                                                    ×
+                                                </button>
+                                            </div>
+                                        ))}
+                                        {pendingCutStart !== null && (
+                                            <div
+                                                className="cut-range pending"
+                                                style={{
+                                                    left: `${(Math.min(pendingCutStart, currentTime) / videoDuration) * 100}%`,
+                                                    width: `${(Math.abs(currentTime - pendingCutStart) / videoDuration) * 100}%`
+                                                }}
+                                            />
+                                        )}
 
-                                    {/* Slider Layer - Always visible, disabled when not trimming */}
-                                    <div className={`slider-wrapper ${activeTool !== 'trim' ? 'disabled' : ''}`}>
-                                        <Slider
-                                            range
-                                            min={0}
-                                            max={videoDuration}
-                                            step={0.1}
-                                            value={[startTime, endTime]}
-                                            onChange={handleSliderChange}
-                                            allowCross={false}
-                                            disabled={activeTool !== 'trim'}
+                                        {/* Playback Head */}
+                                        <div
+                                            className="playback-head"
+                                            style={{ left: `${playbackPosition}%` }}
                                         />
-                                    </div>
 
-                                    {/* Text Timeline */}
+                                        {/* Slider Layer - Always visible, disabled when not trimming */}
+                                        <div className={`slider-wrapper keyframe-marks ${activeTool !== 'trim' ? 'disabled' : ''}`}>
+                                            <Slider
+                                                range
+                                                min={0}
+                                                max={videoDuration}
+                                                step={frameDuration}
+                                                marks={keyframeMarks}
+                                                value={[startTime, endTime]}
+                                                onChange={handleSliderChange}
+                                                allowCross={false}
+                                                disabled={activeTool !== 'trim'}
+                                            />
+                                        </div>
+                                    </div>
                                 </div>
                             )}
 
+                            {/* Zoom and scroll */}
+                            {videoDuration > 0 && (
+                                <TimelineScrollbar
+                                    view={timelineView}
+                                    duration={videoDuration}
+                                    currentTime={currentTime}
+                                    onChange={setZoomedView}
+                                />
+                            )}
+
                             {/* Text Timeline - Moved outside to prevent overlap */}
                             {videoDuration > 0 && (
                                 <TextTimeline
                                     textLayers={textLayers}
                                     videoDuration={videoDuration}
+                                    view={timelineView}
+                                    currentTime={currentTime}
                                     onUpdate={handleUpdateText}
                                     selectedId={selectedTextId}
                                     onSelect={setSelectedTextId}
+                                    onSeek={seekToKeyframe}
+                                />
+                            )}
+
+                            {/* Audio Lane - waveform, gain, mute and fades of the clip */}
+                            {videoDuration > 0 && (
+                                <AudioLane
+                                    edit={audioEdit}
+                                    analysis={audioAnalyses[activeClipKey]}
+                                    view={timelineView}
+                                    keepRanges={keepRanges}
+                                    normalizeGain={normalizeGain}
+                                    onChange={handleUpdateAudio}
+                                />
+                            )}
+
+                            {/* Audio Tracks - music and voiceover mixed under the clip */}
+                            {videoDuration > 0 && (
+                                <AudioTracks
+                                    tracks={audioTracks}
+                                    videoDuration={videoDuration}
+                                    view={timelineView}
+                                    onAdd={handleAddAudioTrack}
+                                    onUpdate={handleUpdateAudioTrack}
+                                    onRemove={handleRemoveAudioTrack}
                                 />
                             )}
+
+                            {/* Clips of the project - drag to reorder, click to edit */}
+                            <ClipStrip
+                                clips={clips}
+                                activeClipId={activeClipKey}
+                                durations={clipDurations}
+                                onSelect={handleSelectClip}
+                                onReorder={onReorderClips}
+                                onRemove={onRemoveClip}
+                                onAdd={onUpload}
+                            />
                         </div>
                     </div>
                 ) : (
@@ -1223,6 +2613,7 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                                 ref={fileInputRef}
                                 onChange={onUpload}
                                 accept="video/mp4,audio/wav,video/x-m4v,video/*"
+                                multiple
                                 style={{ display: 'none' }}
                             />
                             <div className="upload-icon-large">
@@ -1249,6 +2640,21 @@ const VideoEditor = forwardRef(({ videoFile, activeTool, onUpload, onClose, onTr
                             </div>
                         </label>
 
+                        <button
+                            className="open-project-btn"
+                            onClick={() => projectInputRef.current?.click()}
+                            title="Open a saved project"
+                        >
+                            Open Project <span className="hotkey-badge">O</span>
+                        </button>
+
+                        <RecentSessions
+                            sessions={recentSessions}
+                            restoringId={restoringSessionId}
+                            onRestore={handleRestoreSession}
+                            onDelete={handleDeleteSession}
+                        />
+
                         {/* Logo Bottom Left */}
                         <div style={{ position: 'absolute', bottom: '2rem', left: '2rem', opacity: 0.5 }}>
                             <svg viewBox="0 0 24 24" width="32" height="32" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
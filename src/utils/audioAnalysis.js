@@ -0,0 +1,181 @@
+/**
+ * Audio Analysis - Decoded audio, waveform peaks and loudness
+ * Audio is decoded at 48 kHz (the rate the EBU R128 K-weighting filter is
+ * specified at). Loudness is measured per ITU-R BS.1770-4: K-weighted,
+ * 400 ms blocks with 75% overlap, absolute gate at -70 LUFS and relative
+ * gate 10 LU below the ungated level. The whole source is measured, so
+ * normalization doesn't shift while the clip is being trimmed.
+ *
+ * Each file is analysed once (see getAudioAnalysis); the waveforms are drawn
+ * from the peaks at any zoom without decoding again.
+ */
+
+export const ANALYSIS_SAMPLE_RATE = 48000;
+
+// Waveform resolution
+export const PEAKS_PER_SECOND = 100;
+
+// K-weighting at 48 kHz (BS.1770-4, table 1 and 2): high shelf, then high pass
+const SHELF = { b: [1.53512485958697, -2.69169618940638, 1.19839281085285], a: [-1.69065929318241, 0.73248077421585] };
+const HIGH_PASS = { b: [1, -2, 1], a: [-1.99004745483398, 0.99007225036621] };
+
+// Channel weights in WAV/AAC order: L, R, C, LFE (not counted), Ls, Rs
+const CHANNEL_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the ungated loudness
+
+// Files don't change once selected, so each is analysed once
+const analyses = new WeakMap();
+
+/**
+ * Decode the audio of a media file
+ * @param {File|Blob} file - Video or audio file
+ * @returns {Promise<AudioBuffer|null>} - null if it has no (decodable) audio
+ */
+export const decodeAudio = async (file) => {
+    const data = await file.arrayBuffer();
+    // The context only decodes; its length doesn't matter
+    const context = new OfflineAudioContext(1, 1, ANALYSIS_SAMPLE_RATE);
+    try {
+        return await context.decodeAudioData(data);
+    } catch (error) {
+        console.warn('No decodable audio:', error);
+        return null;
+    }
+};
+
+/**
+ * Peak level of every slice of the audio, for the waveform
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @param {number} perSecond - Peaks per second
+ * @returns {Float32Array} - Peaks from 0 to 1, channels combined
+ */
+export const computePeaks = (buffer, perSecond = PEAKS_PER_SECOND) => {
+    const samplesPerPeak = Math.max(1, Math.round(buffer.sampleRate / perSecond));
+    const peaks = new Float32Array(Math.ceil(buffer.length / samplesPerPeak));
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) {
+            const value = Math.abs(data[i]);
+            const index = Math.floor(i / samplesPerPeak);
+            if (value > peaks[index]) peaks[index] = value;
+        }
+    }
+    return peaks;
+};
+
+/**
+ * Highest peak between two points of the audio, for drawing one column of a waveform
+ * @param {Object} analysis - From analyzeAudio()
+ * @param {number} from - Start in seconds
+ * @param {number} to - End in seconds
+ * @returns {number} - 0 to 1
+ */
+export const getPeak = ({ peaks, peaksPerSecond }, from, to) => {
+    let peak = 0;
+    const end = Math.min(peaks.length, Math.ceil(to * peaksPerSecond));
+    for (let i = Math.max(0, Math.floor(from * peaksPerSecond)); i < end; i++) {
+        peak = Math.max(peak, peaks[i]);
+    }
+    return peak;
+};
+
+/**
+ * Run a biquad filter over samples
+ * @param {Float32Array} input - Samples
+ * @param {Object} coefficients - { b: [b0, b1, b2], a: [a1, a2] }
+ * @returns {Float32Array} - Filtered samples
+ */
+const biquad = (input, { b, a }) => {
+    const output = new Float32Array(input.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < input.length; i++) {
+        const x = input[i];
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        output[i] = y;
+    }
+    return output;
+};
+
+/**
+ * Measure integrated loudness and sample peak
+ * @param {AudioBuffer} buffer - Decoded audio at ANALYSIS_SAMPLE_RATE
+ * @returns {Object} - { loudness, peak } - LUFS (-Infinity if silent) and dBFS
+ */
+export const measureLoudness = (buffer) => {
+    const stepSize = Math.round(buffer.sampleRate * 0.1); // 100 ms
+    const steps = Math.floor(buffer.length / stepSize);
+
+    // Weighted mean square of every 100 ms step; a block is four steps
+    const stepPower = new Float64Array(steps);
+    let peak = 0;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const weight = CHANNEL_WEIGHTS[c] ?? 1;
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) {
+            peak = Math.max(peak, Math.abs(data[i]));
+        }
+        if (weight === 0) continue;
+
+        const filtered = biquad(biquad(data, SHELF), HIGH_PASS);
+        for (let s = 0; s < steps; s++) {
+            let sum = 0;
+            for (let i = s * stepSize; i < (s + 1) * stepSize; i++) {
+                sum += filtered[i] * filtered[i];
+            }
+            stepPower[s] += weight * sum / stepSize;
+        }
+    }
+
+    const blocks = [];
+    for (let s = 0; s + 4 <= steps; s++) {
+        blocks.push((stepPower[s] + stepPower[s + 1] + stepPower[s + 2] + stepPower[s + 3]) / 4);
+    }
+
+    const toLoudness = (power) => -0.691 + 10 * Math.log10(power);
+    const gatedMean = (threshold) => {
+        const kept = blocks.filter(power => toLoudness(power) > threshold);
+        return kept.length > 0 ? kept.reduce((sum, power) => sum + power, 0) / kept.length : 0;
+    };
+
+    const ungated = gatedMean(ABSOLUTE_GATE);
+    const loudness = ungated > 0 ? toLoudness(gatedMean(Math.max(ABSOLUTE_GATE, toLoudness(ungated) + RELATIVE_GATE))) : -Infinity;
+    return { loudness, peak: 20 * Math.log10(peak || 1e-10) };
+};
+
+/**
+ * Decode a file and analyse its audio
+ * Only the results are kept - the decoded audio is released
+ * @param {File|Blob} file - Video or audio file
+ * @returns {Promise<Object|null>} - { duration, peaks, peaksPerSecond, loudness, peak }, null without audio
+ */
+export const analyzeAudio = async (file) => {
+    const buffer = await decodeAudio(file);
+    if (!buffer) return null;
+    return {
+        duration: buffer.duration,
+        peaks: computePeaks(buffer),
+        peaksPerSecond: PEAKS_PER_SECOND,
+        ...measureLoudness(buffer),
+    };
+};
+
+/**
+ * Analyse a file's audio, or get the analysis made before
+ * @param {File|Blob} file - Video or audio file
+ * @returns {Promise<Object|null>} - From analyzeAudio()
+ */
+export const getAudioAnalysis = (file) => {
+    if (!analyses.has(file)) {
+        analyses.set(file, analyzeAudio(file).catch(error => {
+            analyses.delete(file);
+            throw error;
+        }));
+    }
+    return analyses.get(file);
+};
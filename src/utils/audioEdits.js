@@ -0,0 +1,174 @@
+/**
+ * Audio Edits - Volume, mute, fades and loudness normalization of a clip
+ * One description of a clip's audio, applied the same way everywhere: as a
+ * gain curve by the preview's Web Audio graph and the MediaRecorder export,
+ * on decoded samples by the WebCodecs export, and as volume/afade filters by
+ * FFmpeg.
+ *
+ * Fades run on the output timeline (after the trim and cuts) and are linear,
+ * like FFmpeg's default afade curve. Normalization is a fixed gain measured
+ * beforehand (see audioAnalysis.js) rather than FFmpeg's dynamic loudnorm,
+ * so the preview and every export agree.
+ */
+
+export const DEFAULT_AUDIO_EDIT = {
+    gain: 0, // dB
+    muted: false,
+    fadeIn: 0, // Seconds
+    fadeOut: 0,
+    normalize: false, // Bring the integrated loudness to LOUDNESS_TARGET
+};
+
+// Gain slider range in dB
+export const GAIN_RANGE = { min: -30, max: 12 };
+
+// EBU R128 integrated loudness target (LUFS)
+export const LOUDNESS_TARGET = -23;
+
+// Normalization never raises the sample peak above this (dBFS)
+const PEAK_CEILING = -1;
+
+// Time constant of Web Audio gain changes (seconds)
+const GAIN_GLIDE = 0.005;
+
+/**
+ * Convert decibels to a linear gain
+ * @param {number} db - Gain in dB
+ * @returns {number}
+ */
+export const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * Bring an audio edit (e.g. from a project file) into a valid shape
+ * @param {Object} edit - Partial or untrusted audio edit
+ * @returns {Object}
+ */
+export const normalizeAudioEdit = (edit = {}) => {
+    const number = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+    return {
+        gain: Math.min(GAIN_RANGE.max, Math.max(GAIN_RANGE.min, number(edit.gain, 0))),
+        muted: Boolean(edit.muted),
+        fadeIn: Math.max(0, number(edit.fadeIn, 0)),
+        fadeOut: Math.max(0, number(edit.fadeOut, 0)),
+        normalize: Boolean(edit.normalize),
+    };
+};
+
+/**
+ * Check whether an edit changes the audio at all
+ * Untouched audio can be stream-copied
+ * @param {Object} edit - Audio edit
+ * @returns {boolean}
+ */
+export const isAudioEdited = (edit) => {
+    return Boolean(edit) && (edit.gain !== 0 || edit.muted || edit.fadeIn > 0 || edit.fadeOut > 0 || edit.normalize);
+};
+
+/**
+ * Gain that normalizes a clip, from its measurement
+ * @param {Object} analysis - { loudness, peak } from audioAnalysis.js
+ * @returns {number} - Gain in dB (0 if the clip is silent or unmeasured)
+ */
+export const getNormalizeGain = (analysis) => {
+    if (!analysis || !Number.isFinite(analysis.loudness)) return 0;
+    return Math.min(LOUDNESS_TARGET - analysis.loudness, PEAK_CEILING - analysis.peak);
+};
+
+/**
+ * Steady gain of a clip (everything but the fades)
+ * @param {Object} edit - Audio edit
+ * @param {number} normalizeGain - From getNormalizeGain(), used if the edit normalizes
+ * @returns {number} - Gain in dB
+ */
+export const getAudioGainDb = (edit, normalizeGain = 0) => {
+    return edit.gain + (edit.normalize ? normalizeGain : 0);
+};
+
+/**
+ * Fade-in and fade-out factor at a point of the output
+ * @param {Object} edit - Audio edit
+ * @param {number} time - Output time in seconds
+ * @param {number} duration - Output duration in seconds
+ * @returns {number} - 0 to 1
+ */
+const getFadeFactor = (edit, time, duration) => {
+    // Both fades multiply, like two afade filters in a row
+    let factor = 1;
+    if (edit.fadeIn > 0) {
+        factor *= Math.min(1, Math.max(0, time / edit.fadeIn));
+    }
+    if (edit.fadeOut > 0) {
+        factor *= Math.min(1, Math.max(0, (duration - time) / edit.fadeOut));
+    }
+    return factor;
+};
+
+/**
+ * Linear gain at a point of the output
+ * @param {Object} edit - Audio edit
+ * @param {number} time - Output time in seconds
+ * @param {number} duration - Output duration in seconds
+ * @param {number} normalizeGain - From getNormalizeGain()
+ * @returns {number}
+ */
+export const getAudioGainAt = (edit, time, duration, normalizeGain = 0) => {
+    if (edit.muted) return 0;
+    return dbToGain(getAudioGainDb(edit, normalizeGain)) * getFadeFactor(edit, time, duration);
+};
+
+/**
+ * Move a Web Audio gain to a value from getAudioGainAt()
+ * Called every frame; the short glide keeps the steps from clicking
+ * @param {AudioParam} param - Gain parameter
+ * @param {BaseAudioContext} context - Its audio context
+ * @param {number} value - Linear gain
+ */
+export const setGainParam = (param, context, value) => {
+    param.setTargetAtTime(value, context.currentTime, GAIN_GLIDE);
+};
+
+/**
+ * Apply an edit to decoded samples in place
+ * @param {Array<Float32Array>} channels - Samples per channel, on the output timeline
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} edit - Audio edit
+ * @param {number} normalizeGain - From getNormalizeGain()
+ */
+export const applyAudioEdit = (channels, sampleRate, edit, normalizeGain = 0) => {
+    if (!isAudioEdited(edit) || channels.length === 0) return;
+    const length = channels[0].length;
+    const duration = length / sampleRate;
+    for (let i = 0; i < length; i++) {
+        const gain = getAudioGainAt(edit, i / sampleRate, duration, normalizeGain);
+        if (gain === 1) continue;
+        for (const channel of channels) {
+            channel[i] *= gain;
+        }
+    }
+};
+
+/**
+ * FFmpeg filters for an edit, to append to a filter chain on the output timeline
+ * (after aselect/asetpts, so time 0 is the start of the output)
+ * @param {Object} edit - Audio edit
+ * @param {number} duration - Output duration in seconds
+ * @param {number} normalizeGain - From getNormalizeGain()
+ * @returns {Array<string>} - e.g. ['volume=3.50dB', 'afade=t=in:st=0:d=1.000']
+ */
+export const getFFmpegAudioFilters = (edit, duration, normalizeGain = 0) => {
+    if (!isAudioEdited(edit)) return [];
+    if (edit.muted) return ['volume=0'];
+
+    const filters = [];
+    const gainDb = getAudioGainDb(edit, normalizeGain);
+    if (gainDb !== 0) {
+        filters.push(`volume=${gainDb.toFixed(2)}dB`);
+    }
+    if (edit.fadeIn > 0) {
+        filters.push(`afade=t=in:st=0:d=${edit.fadeIn.toFixed(3)}`);
+    }
+    if (edit.fadeOut > 0) {
+        filters.push(`afade=t=out:st=${Math.max(0, duration - edit.fadeOut).toFixed(3)}:d=${edit.fadeOut.toFixed(3)}`);
+    }
+    return filters;
+};
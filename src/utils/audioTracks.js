@@ -0,0 +1,318 @@
+/**
+ * Audio Tracks - Music and voiceovers laid under a clip
+ * A track is an audio file placed on the clip's source timeline, like an
+ * overlay: it starts at `start`, plays the part of the file from trimStart to
+ * trimEnd, and loses whatever falls in a cut. Each track has its own gain,
+ * and can duck - drop by `duck` dB while the clip's own audio is playing
+ * (music under speech).
+ *
+ * Ducking follows ranges found once from the clip's waveform, with linear
+ * ramps in and out, so the preview and every export duck at the same times.
+ * The FFmpeg exports mix the tracks with amix; the WebCodecs and
+ * MediaRecorder exports mix decoded samples with mixAudioTracks().
+ */
+
+import { dbToGain } from './audioEdits.js';
+import { getSelectExpression } from './timeRanges.js';
+
+// Duck slider range in dB (0 = no ducking)
+export const DUCK_RANGE = { min: -30, max: 0 };
+
+// Audio the editor imports as tracks
+export const AUDIO_TRACK_ACCEPT = 'audio/mpeg,audio/wav,audio/ogg,audio/mp4,audio/x-m4a,.mp3,.wav,.ogg,.m4a';
+
+// Shortest track left after trimming (seconds)
+export const MIN_TRACK_DURATION = 0.1;
+
+// The clip's audio counts as playing above this peak level (about -26 dBFS)
+const DUCK_THRESHOLD = 0.05;
+// Quieter gaps shorter than this don't release the duck (seconds)
+const DUCK_HOLD = 0.5;
+// Length of the ramps into and out of a duck (seconds) - under half of DUCK_HOLD, so ramps never overlap
+const DUCK_RAMP = 0.2;
+
+/**
+ * Read how long an audio file plays
+ * @param {File} file - Audio file
+ * @returns {Promise<number>} - Duration in seconds
+ */
+export const readAudioDuration = (file) => {
+    return new Promise((resolve, reject) => {
+        const audio = document.createElement('audio');
+        const url = URL.createObjectURL(file);
+        const finish = () => {
+            URL.revokeObjectURL(url);
+            audio.removeAttribute('src');
+        };
+        audio.preload = 'metadata';
+        audio.onloadedmetadata = () => {
+            const { duration } = audio;
+            finish();
+            if (Number.isFinite(duration) && duration > 0) {
+                resolve(duration);
+            } else {
+                reject(new Error(`Can't read the length of ${file.name}`));
+            }
+        };
+        audio.onerror = () => {
+            finish();
+            reject(new Error(`${file.name} is not a supported audio file`));
+        };
+        audio.src = url;
+    });
+};
+
+/**
+ * Create a track for an audio file, starting with the clip
+ * @param {File} file - Audio file
+ * @param {number} duration - Its duration in seconds
+ * @param {number} start - Source time to place it at
+ * @returns {Object} - Track { id, file, name, duration, start, trimStart, trimEnd, gain, duck }
+ */
+export const createAudioTrack = (file, duration, start = 0) => ({
+    id: `track-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    file,
+    name: file.name,
+    duration,
+    start,
+    trimStart: 0,
+    trimEnd: duration,
+    gain: 0, // dB
+    duck: 0, // dB while the clip's audio plays
+});
+
+/**
+ * Bring a track from a project file into a valid shape (without its file)
+ * @param {Object} track - Track from the file
+ * @returns {Object|null} - null if it can't be used
+ */
+export const normalizeAudioTrack = (track) => {
+    if (!track || typeof track !== 'object' || !track.source?.name) return null;
+    const duration = Number(track.duration);
+    if (!Number.isFinite(duration) || duration <= 0) return null;
+    const number = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+    const trimStart = Math.min(Math.max(0, number(track.trimStart, 0)), duration - MIN_TRACK_DURATION);
+    return {
+        id: String(track.id),
+        source: track.source,
+        name: track.source.name,
+        duration,
+        start: Math.max(0, number(track.start, 0)),
+        trimStart,
+        trimEnd: Math.min(duration, Math.max(trimStart + MIN_TRACK_DURATION, number(track.trimEnd, duration))),
+        gain: number(track.gain, 0),
+        duck: Math.min(DUCK_RANGE.max, Math.max(DUCK_RANGE.min, number(track.duck, 0))),
+    };
+};
+
+/**
+ * Source time where a track stops playing
+ * @param {Object} track - Audio track
+ * @returns {number}
+ */
+export const getTrackEnd = (track) => track.start + track.trimEnd - track.trimStart;
+
+/**
+ * Find where the clip's own audio plays, for ducking
+ * @param {Object} analysis - From analyzeAudio() (peaks), null without audio
+ * @returns {Array<Object>} - Source ranges { start, end }, ascending and at least DUCK_HOLD apart
+ */
+export const getDuckRanges = (analysis) => {
+    if (!analysis) return [];
+    const { peaks, peaksPerSecond } = analysis;
+    const ranges = [];
+    for (let i = 0; i < peaks.length; i++) {
+        if (peaks[i] < DUCK_THRESHOLD) continue;
+        const start = i / peaksPerSecond;
+        const end = (i + 1) / peaksPerSecond;
+        const last = ranges[ranges.length - 1];
+        if (last && start - last.end < DUCK_HOLD) {
+            last.end = end;
+        } else {
+            ranges.push({ start, end });
+        }
+    }
+    return ranges;
+};
+
+/**
+ * How far into a duck a point is, counting its ramps
+ * @param {Object} range - Duck range { start, end }
+ * @param {number} time - Source time in seconds
+ * @returns {number} - 0 (not ducked) to 1 (fully ducked)
+ */
+const getDuckDepth = (range, time) => {
+    const rampIn = Math.min(1, Math.max(0, (time - range.start + DUCK_RAMP) / DUCK_RAMP));
+    const rampOut = Math.min(1, Math.max(0, (range.end + DUCK_RAMP - time) / DUCK_RAMP));
+    return rampIn * rampOut;
+};
+
+/**
+ * Linear gain of a track at a point of the clip
+ * @param {Object} track - Audio track
+ * @param {number} time - Source time in seconds
+ * @param {Array<Object>} duckRanges - From getDuckRanges()
+ * @returns {number}
+ */
+export const getTrackGainAt = (track, time, duckRanges) => {
+    const gain = dbToGain(track.gain);
+    if (track.duck >= 0 || duckRanges.length === 0) return gain;
+
+    // Ranges are ascending - find the last one starting (ramp included) before the time
+    let low = 0;
+    let high = duckRanges.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (duckRanges[middle].start - DUCK_RAMP <= time) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    const depth = getDuckDepth(duckRanges[low], time);
+    return gain * (1 - (1 - dbToGain(track.duck)) * depth);
+};
+
+/**
+ * Mix tracks into decoded audio of a clip's output
+ * @param {Array<Float32Array>} channels - Samples per channel on the output timeline, mixed into in place
+ * @param {number} sampleRate - Sample rate of the channels and the track buffers
+ * @param {Array<Object>} tracks - Tracks { track, buffer } - buffer is the decoded AudioBuffer
+ * @param {Array<Object>} keepRanges - Kept source ranges, ascending
+ * @param {Array<Object>} duckRanges - From getDuckRanges()
+ */
+export const mixAudioTracks = (channels, sampleRate, tracks, keepRanges, duckRanges) => {
+    for (const { track, buffer } of tracks) {
+        if (!buffer) continue;
+        // Mono tracks fill every channel
+        const sources = channels.map((_, c) => buffer.getChannelData(Math.min(c, buffer.numberOfChannels - 1)));
+        const trackFrom = Math.ceil(track.start * sampleRate);
+        const trackTo = Math.floor(getTrackEnd(track) * sampleRate);
+        const fileOffset = Math.round(track.trimStart * sampleRate) - Math.round(track.start * sampleRate);
+
+        // Source sample s of a kept range lands at outputOffset + s - rangeFrom
+        let outputOffset = 0;
+        for (const range of keepRanges) {
+            const rangeFrom = Math.round(range.start * sampleRate);
+            const rangeTo = Math.round(range.end * sampleRate);
+            const to = Math.min(rangeTo, trackTo, buffer.length - fileOffset);
+            for (let s = Math.max(rangeFrom, trackFrom); s < to; s++) {
+                const output = outputOffset + s - rangeFrom;
+                if (output >= channels[0].length) break;
+                const gain = getTrackGainAt(track, s / sampleRate, duckRanges);
+                for (let c = 0; c < channels.length; c++) {
+                    channels[c][output] += sources[c][s + fileOffset] * gain;
+                }
+            }
+            outputOffset += rangeTo - rangeFrom;
+        }
+    }
+};
+
+/**
+ * FFmpeg volume expression for a track's ducking
+ * Same ramps as getTrackGainAt(), as a sum of trapezoids
+ * @param {Object} track - Audio track
+ * @param {Array<Object>} duckRanges - From getDuckRanges()
+ * @param {number} offset - Source time of the filter's t = 0
+ * @returns {string|null} - e.g. "volume='1-0.7488*(...)':eval=frame", null without ducking
+ */
+const getDuckFilter = (track, duckRanges, offset) => {
+    if (track.duck >= 0) return null;
+    // Only the ducks the track plays through
+    const ranges = duckRanges.filter(range =>
+        range.end + DUCK_RAMP > track.start && range.start - DUCK_RAMP < getTrackEnd(track)
+    );
+    if (ranges.length === 0) return null;
+
+    const depths = ranges.map(range => {
+        const start = (range.start - offset - DUCK_RAMP).toFixed(3);
+        const end = (range.end - offset + DUCK_RAMP).toFixed(3);
+        return `clip((t-${start})/${DUCK_RAMP},0,1)*clip((${end}-t)/${DUCK_RAMP},0,1)`;
+    });
+    return `volume='1-${(1 - dbToGain(track.duck)).toFixed(4)}*(${depths.join('+')})':eval=frame`;
+};
+
+/**
+ * Write track files to the FFmpeg FS as extra inputs
+ * @param {FFmpeg} ffmpeg - FFmpeg instance
+ * @param {Array<Object>} tracks - Audio tracks
+ * @param {Object} options
+ * @param {string} options.prefix - File name prefix, e.g. 'track_0_'
+ * @param {number} options.firstIndex - FFmpeg input index of the first track
+ * @returns {Promise<Object>} - { inputs, tracks, names } - arguments to add, tracks { track, input }
+ *   for buildAudioMixFilters(), and the files written
+ */
+export const writeTrackInputs = async (ffmpeg, tracks, { prefix, firstIndex }) => {
+    const inputs = [];
+    const labeled = [];
+    const names = [];
+    for (const [i, track] of tracks.entries()) {
+        const extension = track.file.name.match(/\.[^.]+$/)?.[0] || '';
+        const name = `${prefix}${i}${extension}`;
+        await ffmpeg.writeFile(name, new Uint8Array(await track.file.arrayBuffer()));
+        inputs.push('-i', name);
+        labeled.push({ track, input: `[${firstIndex + i}:a:0]` });
+        names.push(name);
+    }
+    return { inputs, tracks: labeled, names };
+};
+
+/**
+ * FFmpeg filter chains that mix a clip's tracks under its own audio
+ * The clip's audio is expected to start at the first kept range (seeked
+ * with -ss); tracks are delayed onto the same timeline, then everything
+ * loses the cuts.
+ * @param {Object} options
+ * @param {string|null} options.source - Input of the clip's audio, e.g. '[0:a:0]', null for silence
+ * @param {Array<string>} options.sourceFilters - Filters of the clip's audio after the cuts (the audio edit)
+ * @param {Array<Object>} options.tracks - Tracks { track, input } from writeTrackInputs()
+ * @param {Array<Object>} options.keepRanges - Kept source ranges, ascending
+ * @param {Array<Object>} options.duckRanges - From getDuckRanges()
+ * @param {Array<string>} options.outputFilters - Filters after the mix, e.g. a sample format
+ * @param {string} options.output - Output label, e.g. '[aout]'
+ * @returns {Array<string>} - Filter chains for -filter_complex
+ */
+export const buildAudioMixFilters = ({ source, sourceFilters = [], tracks, keepRanges, duckRanges, outputFilters = [], output }) => {
+    const offset = keepRanges[0].start;
+    const rangeEnd = keepRanges[keepRanges.length - 1].end;
+    const outputDuration = keepRanges.reduce((sum, range) => sum + range.end - range.start, 0);
+    const cutFilters = keepRanges.length > 1
+        ? [`aselect='${getSelectExpression(keepRanges, offset)}'`, 'asetpts=N/SR/TB']
+        : [];
+
+    // The clip's audio sets the length of the mix
+    const sourceChain = [...cutFilters, ...sourceFilters];
+    const sourceAudio = source
+        ? `${source}${(sourceChain.length > 0 ? sourceChain : ['anull']).join(',')}`
+        : `anullsrc=r=48000:cl=stereo,atrim=duration=${outputDuration}`;
+    const chains = [`${sourceAudio}[mix0]`];
+
+    for (const { track, input } of tracks) {
+        // Parts before the first kept range are skipped, parts after it are cut by the mix
+        const skip = Math.max(0, offset - track.start);
+        const from = track.trimStart + skip;
+        const to = Math.min(track.trimEnd, track.trimStart + rangeEnd - track.start);
+        if (to - from < 0.01) continue;
+
+        const delay = Math.round(Math.max(0, track.start - offset) * 1000);
+        const filters = [
+            `atrim=start=${from.toFixed(3)}:end=${to.toFixed(3)}`,
+            'asetpts=PTS-STARTPTS',
+            track.gain !== 0 && `volume=${track.gain.toFixed(2)}dB`,
+            `adelay=delays=${delay}:all=1`,
+            getDuckFilter(track, duckRanges, offset),
+            ...cutFilters,
+        ].filter(Boolean);
+        chains.push(`${input}${filters.join(',')}[mix${chains.length}]`);
+    }
+
+    if (chains.length === 1) {
+        // Nothing to mix in
+        return [[sourceAudio, ...outputFilters].join(',') + output];
+    }
+    const inputs = chains.map((_, i) => `[mix${i}]`).join('');
+    const mix = [`amix=inputs=${chains.length}:duration=first:normalize=0`, ...outputFilters].join(',');
+    return [...chains, `${inputs}${mix}${output}`];
+};
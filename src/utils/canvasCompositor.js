@@ -3,6 +3,24 @@
  * Used by WebCodecs exporter to composite frames before encoding
  */
 
+import { getOverlayAt } from './overlayTransitions.js';
+import {
+    getLineLeft,
+    getRevealedText,
+    getWrapWidth,
+    layoutText,
+    measureRun,
+    setLetterSpacing,
+} from './textLayout.js';
+import {
+    getBoxPadding,
+    getCanvasFont,
+    getGradientLine,
+    resolveTextStyle,
+    toRgba,
+    traceRoundedRect,
+} from './textStyle.js';
+
 /**
  * Get active overlays at a given timestamp
  * @param {Array} overlays - Array of overlay objects
@@ -51,42 +69,140 @@ export const drawVideoFrame = (ctx, videoFrame, canvasWidth, canvasHeight) => {
     );
 };
 
+/**
+ * Fill or stroke a run of text from its left edge
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} text
+ * @param {number} x - Left edge
+ * @param {number} y - Middle of the line
+ * @param {number} spacing - Canvas pixels, for contexts without letterSpacing
+ * @param {boolean} native - Whether the context spaces the letters itself
+ * @param {string} method - 'fillText' or 'strokeText'
+ */
+const drawRun = (ctx, text, x, y, spacing, native, method) => {
+    if (native) {
+        ctx[method](text, x, y);
+        return;
+    }
+    let left = x;
+    for (const letter of text) {
+        ctx[method](letter, left, y);
+        left += ctx.measureText(letter).width + spacing;
+    }
+};
+
 /**
  * Draw a text overlay to the canvas
+ * Mirrors the CSS box of the preview element: left/top place the top-left
+ * corner at (x, y), the box is padded around the lines from textLayout.js,
+ * and rotate/scale are applied around the box center (the default
+ * transform-origin). The style's effects are drawn back to front: background
+ * box, outline (casting the shadow), fill, underline - see textStyle.js.
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {Object} overlay - Text overlay object
- * @param {number} scaleX - Horizontal scale factor
- * @param {number} scaleY - Vertical scale factor
+ * @param {number} scaleX - Horizontal scale factor (export size / display size)
+ * @param {number} scaleY - Vertical scale factor (export size / display size)
  */
 export const drawTextOverlay = (ctx, overlay, scaleX = 1, scaleY = 1) => {
-    const { style, transform, text } = overlay;
+    const { transform, text } = overlay;
+    const style = resolveTextStyle(overlay.style);
 
     ctx.save();
 
-    // Apply transformations
-    const x = transform.x * scaleX;
-    const y = transform.y * scaleY;
     const scale = transform.scale || [1, 1];
     const rotation = transform.rotate || 0;
+    ctx.globalAlpha = transform.opacity ?? 1;
+
+    const avgScale = (scaleX + scaleY) / 2;
+    const fontSize = Math.max(1, style.fontSize * avgScale);
+    const spacing = style.letterSpacing * avgScale;
+
+    // Lines are broken in display pixels, like the preview, then scaled
+    const layout = layoutText(text, style, getWrapWidth(transform));
+    const textWidth = layout.width * avgScale;
+    const textHeight = layout.height * avgScale;
+    const lineHeight = textHeight / layout.lines.length;
+
+    const padding = getBoxPadding(style) * avgScale;
+    const elementWidth = textWidth + padding * 2;
+    const elementHeight = textHeight + padding * 2;
 
-    ctx.translate(x, y);
+    const x = transform.x * scaleX;
+    const y = transform.y * scaleY;
+
+    // Move to the element's center (where the CSS transform-origin is)
+    ctx.translate(x + elementWidth / 2, y + elementHeight / 2);
     ctx.rotate((rotation * Math.PI) / 180);
-    ctx.scale(scale[0] * scaleX, scale[1] * scaleY);
+    ctx.scale(scale[0], scale[1]);
+
+    const { background, stroke, shadow, gradient } = style;
+    if (background) {
+        ctx.fillStyle = toRgba(background.color, background.opacity);
+        traceRoundedRect(ctx, -elementWidth / 2, -elementHeight / 2, elementWidth, elementHeight, background.radius * avgScale);
+        ctx.fill();
+    }
+
+    if (shadow) {
+        // Canvas shadows ignore the transform - turn and size the offset like CSS does
+        const angle = (rotation * Math.PI) / 180;
+        const offsetX = shadow.offsetX * avgScale * scale[0];
+        const offsetY = shadow.offsetY * avgScale * scale[1];
+        ctx.shadowColor = toRgba(shadow.color, shadow.opacity);
+        ctx.shadowBlur = shadow.blur * avgScale * (Math.abs(scale[0]) + Math.abs(scale[1])) / 2;
+        ctx.shadowOffsetX = offsetX * Math.cos(angle) - offsetY * Math.sin(angle);
+        ctx.shadowOffsetY = offsetX * Math.sin(angle) + offsetY * Math.cos(angle);
+    }
+
+    if (gradient) {
+        // One gradient across the whole block of lines, like the preview's
+        const line = getGradientLine(gradient.angle, textWidth, textHeight);
+        const fill = ctx.createLinearGradient(line.x0, line.y0, line.x1, line.y1);
+        fill.addColorStop(0, gradient.from);
+        fill.addColorStop(1, gradient.to);
+        ctx.fillStyle = fill;
+    } else {
+        ctx.fillStyle = style.color;
+    }
 
-    // Set font properties
-    ctx.font = `${style.fontWeight || '600'} ${style.fontSize || 40}px "${style.fontFamily || 'Arial'}"`;
-    ctx.fillStyle = style.color || '#ffffff';
-    ctx.textAlign = style.textAlign || 'center';
+    ctx.font = getCanvasFont(style, fontSize);
+    const native = setLetterSpacing(ctx, spacing);
+    ctx.textAlign = 'left';
     ctx.textBaseline = 'middle';
 
-    // Draw text
-    ctx.fillText(text, 0, 0);
+    // Typewriter/word transitions show the start of each line where it is in the whole line
+    const lines = layout.lines.map((line, i) => ({
+        shown: getRevealedText(line, overlay.revealed),
+        left: -textWidth / 2 + getLineLeft(style.textAlign, line.width, layout.width) * avgScale,
+        middle: -textHeight / 2 + lineHeight * (i + 0.5),
+    }));
+
+    if (stroke) {
+        // Half the outline is covered by the fill, like paint-order: stroke in CSS
+        ctx.strokeStyle = stroke.color;
+        ctx.lineWidth = stroke.width * avgScale;
+        ctx.lineJoin = 'round';
+        for (const { shown, left, middle } of lines) {
+            drawRun(ctx, shown, left, middle, spacing, native, 'strokeText');
+        }
+        ctx.shadowColor = 'transparent';
+    }
+    for (const { shown, left, middle } of lines) {
+        drawRun(ctx, shown, left, middle, spacing, native, 'fillText');
+    }
+
+    if (style.textDecoration === 'underline') {
+        const thickness = Math.max(1, fontSize / 16);
+        for (const { shown, left, middle } of lines) {
+            if (shown) ctx.fillRect(left, middle + fontSize * 0.4, measureRun(ctx, shown, spacing, native), thickness);
+        }
+    }
 
     ctx.restore();
 };
 
 /**
  * Draw an image overlay (drawing) to the canvas
+ * Images are positioned with their top-left corner at (x, y) like the preview
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {Object} overlay - Image overlay object
  * @param {HTMLImageElement} image - Loaded image element
@@ -98,22 +214,122 @@ export const drawImageOverlay = (ctx, overlay, image, scaleX = 1, scaleY = 1) =>
 
     ctx.save();
 
-    // Apply transformations
-    const x = transform.x * scaleX;
-    const y = transform.y * scaleY;
     const scale = transform.scale || [1, 1];
     const rotation = transform.rotate || 0;
+    ctx.globalAlpha = transform.opacity ?? 1;
 
-    ctx.translate(x, y);
-    ctx.rotate((rotation * Math.PI) / 180);
-    ctx.scale(scale[0] * scaleX, scale[1] * scaleY);
+    // The drawing was made in display pixels, scale it to the export resolution
+    const scaledWidth = image.width * scaleX;
+    const scaledHeight = image.height * scaleY;
+    const x = transform.x * scaleX;
+    const y = transform.y * scaleY;
 
-    // Draw image centered at origin
-    ctx.drawImage(image, -image.width / 2, -image.height / 2);
+    // Apply user scale and rotation around the image center
+    ctx.translate(x + scaledWidth / 2, y + scaledHeight / 2);
+    ctx.rotate((rotation * Math.PI) / 180);
+    ctx.scale(scale[0], scale[1]);
+    ctx.drawImage(image, -scaledWidth / 2, -scaledHeight / 2, scaledWidth, scaledHeight);
 
     ctx.restore();
 };
 
+/**
+ * Draw any overlay (text or image) to the canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} overlay - Overlay object
+ * @param {number} scaleX - Horizontal scale factor
+ * @param {number} scaleY - Vertical scale factor
+ */
+export const drawOverlay = (ctx, overlay, scaleX = 1, scaleY = 1) => {
+    if (overlay.type === 'image') {
+        if (overlay._imageElement) {
+            drawImageOverlay(ctx, overlay, overlay._imageElement, scaleX, scaleY);
+        }
+    } else {
+        drawTextOverlay(ctx, overlay, scaleX, scaleY);
+    }
+};
+
+/**
+ * Encode a canvas as an image blob
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - Image MIME type
+ * @param {number} quality - Quality for lossy formats (0-1)
+ * @returns {Promise<Blob>}
+ */
+const canvasToBlob = (canvas, type = 'image/png', quality) => {
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+};
+
+/**
+ * Render a single overlay (with rotation and scale) to a transparent PNG,
+ * cropped to its visible pixels
+ * Used by the FFmpeg export path, which can only place images - drawing
+ * through drawOverlay() keeps it identical to the canvas exporters
+ * @param {Object} overlay - Overlay object (image overlays need preloadOverlayImages first)
+ * @param {number} width - Output frame width
+ * @param {number} height - Output frame height
+ * @param {number} scaleX - Horizontal scale factor (export size / display size)
+ * @param {number} scaleY - Vertical scale factor (export size / display size)
+ * @returns {Promise<{ blob: Blob, x: number, y: number, width: number, height: number }|null>}
+ *   Cropped image and its position in the frame, or null if nothing is visible
+ */
+export const renderOverlayImage = async (overlay, width, height, scaleX = 1, scaleY = 1) => {
+    const canvas = createCompositorCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    drawOverlay(ctx, overlay, scaleX, scaleY);
+
+    // Bounding box of the non-transparent pixels
+    const { data } = ctx.getImageData(0, 0, width, height);
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] === 0) continue;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    if (maxX < 0) return null;
+
+    const cropWidth = maxX - minX + 1;
+    const cropHeight = maxY - minY + 1;
+    const cropped = createCompositorCanvas(cropWidth, cropHeight);
+    cropped.getContext('2d').drawImage(canvas, minX, minY, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
+
+    return {
+        blob: await canvasToBlob(cropped),
+        x: minX,
+        y: minY,
+        width: cropWidth,
+        height: cropHeight,
+    };
+};
+
+/**
+ * Render a single overlay to a transparent PNG the size of the frame
+ * Used for keyframed overlays on the FFmpeg export path, which need an image
+ * per frame at a fixed position
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas the size of the output frame, reused between frames
+ * @param {Object} overlay - Overlay object as it is at the frame (see getOverlayAt())
+ * @param {number} scaleX - Horizontal scale factor (export size / display size)
+ * @param {number} scaleY - Vertical scale factor (export size / display size)
+ * @returns {Promise<Blob>}
+ */
+export const renderOverlayFrame = (canvas, overlay, scaleX = 1, scaleY = 1) => {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawOverlay(ctx, overlay, scaleX, scaleY);
+    return canvasToBlob(canvas);
+};
+
 /**
  * Compose a single frame with video and overlays
  * @param {Object} options - Compositing options
@@ -151,15 +367,10 @@ export const composeFrame = async ({
     // Get active overlays for current time
     const activeOverlays = getActiveOverlays(overlays, currentTime, startTime);
 
-    // Draw each active overlay
+    // Draw each active overlay (array order is z-order), animated to the frame's source time
+    const frame = { width: width / scaleX, height: height / scaleY };
     for (const overlay of activeOverlays) {
-        if (overlay.type === 'image' && overlay._imageElement) {
-            // Drawing/image overlay
-            drawImageOverlay(ctx, overlay, overlay._imageElement, scaleX, scaleY);
-        } else {
-            // Text overlay
-            drawTextOverlay(ctx, overlay, scaleX, scaleY);
-        }
+        drawOverlay(ctx, getOverlayAt(overlay, currentTime + startTime, frame), scaleX, scaleY);
     }
 
     // Convert to ImageBitmap for encoder
@@ -249,30 +460,46 @@ export class CanvasCompositor {
     }
 
     /**
-     * Compose frame with video and active overlays
+     * Draw a frame with video and active overlays onto the canvas
+     * @param {CanvasImageSource} source - VideoFrame or <video> element
+     * @param {number} currentTime - Time relative to the export start
      */
-    async compose(videoFrame, currentTime) {
+    render(source, currentTime) {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.width, this.height);
 
         // Draw video frame
-        drawVideoFrame(this.ctx, videoFrame, this.width, this.height);
+        drawVideoFrame(this.ctx, source, this.width, this.height);
 
         // Get and draw active overlays
         const activeOverlays = getActiveOverlays(this.overlays, currentTime, this.startTime);
 
+        const frame = { width: this.width / this.scaleX, height: this.height / this.scaleY };
         for (const overlay of activeOverlays) {
-            if (overlay.type === 'image' && overlay._imageElement) {
-                drawImageOverlay(this.ctx, overlay, overlay._imageElement, this.scaleX, this.scaleY);
-            } else {
-                drawTextOverlay(this.ctx, overlay, this.scaleX, this.scaleY);
-            }
+            drawOverlay(this.ctx, getOverlayAt(overlay, currentTime + this.startTime, frame), this.scaleX, this.scaleY);
         }
+    }
+
+    /**
+     * Compose frame with video and active overlays
+     */
+    async compose(videoFrame, currentTime) {
+        this.render(videoFrame, currentTime);
 
         // Return ImageBitmap
         return this.canvas.transferToImageBitmap();
     }
 
+    /**
+     * Encode the last rendered frame as an image
+     * @param {string} type - Image MIME type
+     * @param {number} quality - Quality for lossy formats (0-1)
+     * @returns {Promise<Blob>}
+     */
+    toBlob(type, quality) {
+        return canvasToBlob(this.canvas, type, quality);
+    }
+
     /**
      * Clean up resources
      */
@@ -0,0 +1,378 @@
+/**
+ * Canvas Frame Exporter - Overlay export for browsers without WebCodecs
+ * Seeks a <video> element to every output frame, composites it with
+ * CanvasCompositor and hands the frames to FFmpeg WASM as a JPEG image
+ * sequence. Frames are encoded in short segments so only a few seconds of
+ * images sit in the virtual FS at a time; the segments are joined and muxed
+ * with the source audio at the end.
+ *
+ * Slower than WebCodecs but frame-accurate, and overlays render exactly like
+ * the preview because they're drawn by the same canvas code.
+ */
+
+import { CanvasCompositor } from './canvasCompositor.js';
+import { getMediaInfo, formatFrameRate } from './mediaInfo.js';
+import { ExportProgress, EXPORT_STAGES } from './exportProgress.js';
+import { cleanupExportFiles } from './ffmpegFs.js';
+import { terminateFFmpeg } from './ffmpegLoader.js';
+import { createAbortError, followSignal } from './webcodecsExporter.js';
+import { getKeepRanges, getRangesDuration, toSourceTime, getSelectExpression } from './timeRanges.js';
+import { DEFAULT_AUDIO_EDIT, getFFmpegAudioFilters } from './audioEdits.js';
+import { writeTrackInputs, buildAudioMixFilters } from './audioTracks.js';
+import {
+    CONTAINERS,
+    DEFAULT_EXPORT_SETTINGS,
+    getFFmpegVideoArgs,
+    getFFmpegAudioArgs,
+    getFFmpegContainerArgs,
+} from './exportSettings.js';
+
+// Frames written to the FS before they're encoded into a segment
+const SEGMENT_FRAMES = 150;
+
+// Quality of the intermediate JPEG frames - the encoder compresses again
+const FRAME_QUALITY = 0.92;
+
+// Seek slightly past the frame time so rounding never shows the previous frame
+const SEEK_EPSILON = 0.001;
+
+/**
+ * Name of a frame file in the virtual FS
+ * @param {number} index - Frame index within the segment
+ * @returns {string}
+ */
+const getFrameName = (index) => `frame_${index.toString().padStart(5, '0')}.jpg`;
+
+/**
+ * Seek a video element and wait until the frame is ready to draw
+ * @param {HTMLVideoElement} video - Video element
+ * @param {number} time - Time in seconds
+ * @returns {Promise<void>}
+ */
+const seekVideo = (video, time) => {
+    return new Promise((resolve, reject) => {
+        video.onseeked = () => resolve();
+        video.onerror = () => reject(new Error('Video seek failed'));
+        video.currentTime = time;
+    });
+};
+
+/**
+ * CanvasFrameExporter class
+ * Frame-accurate export through canvas compositing and FFmpeg encoding
+ * Output is constant frame rate at the source rate (or options.fps)
+ */
+export class CanvasFrameExporter {
+    constructor(options = {}) {
+        this.videoFile = options.videoFile;
+        this.startTime = options.startTime || 0;
+        this.endTime = options.endTime || null;
+        this.cuts = options.cuts || []; // Source ranges removed from the middle of the clip
+        this.overlays = options.overlays || [];
+        this.audio = options.audio || DEFAULT_AUDIO_EDIT; // Volume, mute and fades (see audioEdits.js)
+        this.normalizeGain = options.normalizeGain || 0; // dB, applied if the audio edit normalizes
+        this.audioTracks = options.audioTracks || []; // Music and voiceovers mixed in (see audioTracks.js)
+        this.duckRanges = options.duckRanges || []; // Where tracks duck under the clip's audio
+        this.settings = options.settings || DEFAULT_EXPORT_SETTINGS; // Codecs, quality and container
+        this.fps = options.fps || null; // Target frame rate, null = match source
+        this.mediaInfo = options.mediaInfo || null; // From getMediaInfo(), read on demand if missing
+        this.outputWidth = options.outputWidth || null; // Output size, null = match source
+        this.outputHeight = options.outputHeight || null;
+        this.ffmpeg = options.ffmpeg || null; // Loaded FFmpeg instance (required)
+        this.progress = new ExportProgress(options.onProgress);
+        this.onLog = options.onLog || (() => {});
+
+        // Display dimensions - the size of the video element when overlays were created
+        this.displayWidth = options.displayWidth || null;
+        this.displayHeight = options.displayHeight || null;
+
+        this.video = null;
+        this.videoUrl = null;
+        this.isRunningFFmpeg = false;
+        this.abortController = new AbortController();
+        followSignal(options.signal, this);
+    }
+
+    /**
+     * Main export method
+     * @returns {Promise<Object>} - Export result { blob, container, mimeType }
+     */
+    async export() {
+        if (!this.ffmpeg || !this.ffmpeg.loaded) {
+            throw new Error('FFmpeg is not loaded');
+        }
+
+        try {
+            this.onLog('Starting canvas frame export...');
+            this.progress.setStage(EXPORT_STAGES.LOADING);
+
+            const video = await this.loadVideo();
+            this.mediaInfo = this.mediaInfo || await getMediaInfo(this.videoFile);
+            const info = this.mediaInfo;
+            const fps = this.fps || info.fps;
+            const width = this.outputWidth || video.videoWidth;
+            const height = this.outputHeight || video.videoHeight;
+
+            const endTime = Math.min(this.endTime || video.duration, video.duration);
+            // The kept parts of the clip play back to back in the output
+            const keepRanges = getKeepRanges(this.startTime, endTime, this.cuts);
+            if (keepRanges.length === 0) {
+                throw new Error('Nothing to export - the whole clip is cut');
+            }
+            const exportDuration = getRangesDuration(keepRanges);
+            const totalFrames = Math.ceil(exportDuration * fps);
+
+            this.onLog(`Export: ${exportDuration.toFixed(2)}s, ${totalFrames} frames @ ${formatFrameRate(fps)}fps CFR, ${width}x${height}`);
+
+            this.progress.setStage(EXPORT_STAGES.WRITING);
+            const inputName = `input${this.videoFile.name.match(/\.[^.]+$/)?.[0] || '.mp4'}`;
+            await this.ffmpeg.writeFile(inputName, new Uint8Array(await this.videoFile.arrayBuffer()));
+            this.throwIfAborted();
+
+            const compositor = new CanvasCompositor(width, height);
+            compositor.setOverlays(this.overlays);
+            compositor.setStartTime(this.startTime);
+            if (this.displayWidth && this.displayHeight) {
+                compositor.setScale(width / this.displayWidth, height / this.displayHeight);
+            }
+            this.progress.setStage(EXPORT_STAGES.RENDERING);
+            await compositor.preloadImages();
+
+            this.progress.setStage(EXPORT_STAGES.ENCODING, { totalFrames });
+            const segments = [];
+
+            try {
+                for (let first = 0; first < totalFrames; first += SEGMENT_FRAMES) {
+                    const frameCount = Math.min(SEGMENT_FRAMES, totalFrames - first);
+
+                    for (let i = 0; i < frameCount; i++) {
+                        this.throwIfAborted();
+
+                        // Slot k shows the source frame on screen at k / fps of the output
+                        const sourceTime = toSourceTime(keepRanges, (first + i) / fps);
+                        const seekTime = Math.min(sourceTime + SEEK_EPSILON, video.duration - SEEK_EPSILON);
+                        await seekVideo(video, seekTime);
+
+                        compositor.render(video, sourceTime - this.startTime);
+                        const frame = await compositor.toBlob('image/jpeg', FRAME_QUALITY);
+                        await this.ffmpeg.writeFile(getFrameName(i), new Uint8Array(await frame.arrayBuffer()));
+
+                        this.progress.setFrames(first + i + 1);
+                    }
+
+                    segments.push(await this.encodeSegment(segments.length, frameCount, fps));
+                }
+            } finally {
+                compositor.destroy();
+            }
+
+            this.onLog(`Encoded ${totalFrames} frames in ${segments.length} segments`);
+
+            this.progress.setStage(EXPORT_STAGES.MUXING);
+            const blob = await this.mux(segments, inputName, keepRanges);
+            this.throwIfAborted();
+
+            this.onLog('Export complete!');
+            this.progress.complete();
+
+            const container = this.settings.container;
+            return { blob, container, mimeType: CONTAINERS[container].mimeType };
+
+        } catch (error) {
+            // A terminated worker rejects with its own error - report the cancel instead
+            if (this.abortController.signal.aborted) throw createAbortError();
+
+            this.onLog(`Export error: ${error.message}`);
+            console.error('Canvas frame export error:', error);
+            throw error;
+        } finally {
+            await this.cleanup();
+        }
+    }
+
+    /**
+     * Open the source in a muted video element for seeking
+     * @returns {Promise<HTMLVideoElement>}
+     */
+    async loadVideo() {
+        this.videoUrl = URL.createObjectURL(this.videoFile);
+        this.video = document.createElement('video');
+        this.video.src = this.videoUrl;
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.preload = 'auto';
+
+        await new Promise((resolve, reject) => {
+            this.video.onloadeddata = resolve;
+            this.video.onerror = () => reject(new Error('Could not load video'));
+        });
+        return this.video;
+    }
+
+    /**
+     * Encode the frames in the FS into a video-only segment, then delete them
+     * @param {number} index - Segment index
+     * @param {number} frameCount - Frames written for this segment
+     * @param {number} fps - Output frame rate
+     * @returns {Promise<string>} - Segment file name
+     */
+    async encodeSegment(index, frameCount, fps) {
+        const segmentName = `segment_${index}.${CONTAINERS[this.settings.container].extension}`;
+
+        await this.runFFmpeg([
+            '-framerate', fps.toString(),
+            '-i', 'frame_%05d.jpg',
+            '-frames:v', frameCount.toString(),
+            ...getFFmpegVideoArgs(this.settings),
+            '-an',
+            segmentName,
+        ]);
+
+        for (let i = 0; i < frameCount; i++) {
+            await this.ffmpeg.deleteFile(getFrameName(i));
+        }
+        return segmentName;
+    }
+
+    /**
+     * Join the segments and add the source audio of the kept ranges, with
+     * the audio tracks mixed in
+     * @param {Array<string>} segments - Segment file names, in order
+     * @param {string} inputName - Source file in the FS
+     * @param {Array<Object>} keepRanges - Kept source ranges, ascending
+     * @returns {Promise<Blob>}
+     */
+    async mux(segments, inputName, keepRanges) {
+        const container = CONTAINERS[this.settings.container];
+        const outputName = `output.${container.extension}`;
+        const rangeStart = keepRanges[0].start;
+        const rangeEnd = keepRanges[keepRanges.length - 1].end;
+        const duration = getRangesDuration(keepRanges);
+
+        // Drop the audio of the cuts (timestamps start at 0 after -ss), then apply the audio edit
+        const editFilters = getFFmpegAudioFilters(this.audio, duration, this.normalizeGain);
+        const audioFilters = [
+            ...(keepRanges.length > 1 ? [`aselect='${getSelectExpression(keepRanges, rangeStart)}'`, 'asetpts=N/SR/TB'] : []),
+            ...editFilters,
+        ];
+        const audioFilter = audioFilters.length > 0 ? ['-af', audioFilters.join(',')] : [];
+
+        // Concat demuxer joins the segments without re-encoding
+        const list = segments.map(name => `file '${name}'`).join('\n');
+        await this.ffmpeg.writeFile('segments.txt', new TextEncoder().encode(list));
+
+        const trackInputs = await writeTrackInputs(this.ffmpeg, this.audioTracks, { prefix: 'track_', firstIndex: 2 });
+        const buildArgs = (withSourceAudio) => [
+            '-f', 'concat',
+            '-safe', '0',
+            '-i', 'segments.txt',
+            '-ss', rangeStart.toString(),
+            '-t', (rangeEnd - rangeStart).toString(),
+            '-i', inputName,
+            ...trackInputs.inputs,
+            '-map', '0:v',
+            // Tracks are mixed under the source audio (or silence)
+            ...(this.audioTracks.length > 0 ? [
+                '-filter_complex', buildAudioMixFilters({
+                    source: withSourceAudio ? '[1:a:0]' : null,
+                    sourceFilters: editFilters,
+                    tracks: trackInputs.tracks,
+                    keepRanges,
+                    duckRanges: this.duckRanges,
+                    output: '[aout]',
+                }).join(';'),
+                '-map', '[aout]',
+            ] : ['-map', '1:a?', ...audioFilter]),
+            '-c:v', 'copy',
+            ...getFFmpegAudioArgs(this.settings),
+            ...getFFmpegContainerArgs(this.settings),
+            '-t', duration.toString(),
+            outputName,
+        ];
+
+        if (this.audioTracks.length === 0 || this.mediaInfo?.hasAudio) {
+            await this.runFFmpeg(buildArgs(true));
+        } else if (this.mediaInfo?.hasAudio === false) {
+            await this.runFFmpeg(buildArgs(false));
+        } else {
+            // Unknown whether the source has audio to mix with - try, then mix over silence
+            try {
+                await this.runFFmpeg(buildArgs(true));
+            } catch (error) {
+                if (this.abortController.signal.aborted) throw error;
+                await this.runFFmpeg(buildArgs(false));
+            }
+        }
+
+        const data = await this.ffmpeg.readFile(outputName);
+        return new Blob([data.buffer], { type: container.mimeType });
+    }
+
+    /**
+     * Run an FFmpeg command, throwing on a nonzero exit code
+     * @param {Array<string>} args - FFmpeg arguments
+     */
+    async runFFmpeg(args) {
+        this.throwIfAborted();
+        this.isRunningFFmpeg = true;
+        try {
+            const exitCode = await this.ffmpeg.exec(args);
+            if (exitCode !== 0) {
+                throw new Error(`FFmpeg exited with code ${exitCode}`);
+            }
+        } finally {
+            this.isRunningFFmpeg = false;
+        }
+    }
+
+    /**
+     * Throw if the export was aborted
+     */
+    throwIfAborted() {
+        if (this.abortController.signal.aborted) throw createAbortError();
+    }
+
+    /**
+     * Release the video element and the files written to the FS
+     */
+    async cleanup() {
+        if (this.video) {
+            this.video.removeAttribute('src');
+            this.video.load();
+            this.video = null;
+        }
+        if (this.videoUrl) {
+            URL.revokeObjectURL(this.videoUrl);
+            this.videoUrl = null;
+        }
+
+        try {
+            await cleanupExportFiles(this.ffmpeg);
+        } catch (error) {
+            console.warn('Failed to clean up FFmpeg files:', error);
+        }
+    }
+
+    /**
+     * Abort the export
+     */
+    abort() {
+        this.abortController.abort();
+        // exec() can't be interrupted - stopping the worker is the only way out.
+        // Going through the loader resets its status, and the caller reloads
+        // FFmpeg once the export settles.
+        if (this.isRunningFFmpeg) {
+            terminateFFmpeg();
+        }
+    }
+}
+
+/**
+ * Convenience function to export with canvas frames and FFmpeg encoding
+ * @param {Object} options - Export options (see CanvasFrameExporter)
+ * @returns {Promise<Object>} - Export result { blob, container, mimeType }
+ */
+export async function exportWithCanvasFrames(options) {
+    const exporter = new CanvasFrameExporter(options);
+    return exporter.export();
+}
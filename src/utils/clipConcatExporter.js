@@ -0,0 +1,342 @@
+/**
+ * Clip Concat Exporter - Joins the clips of a multi-clip project into one file
+ * Every clip is trimmed, cut, fitted into the project canvas (letterboxed when
+ * its aspect ratio differs), converted to the project frame rate and given
+ * 48 kHz stereo audio (silence if it has none), then encoded on its own. The
+ * encoded clips share every stream parameter, so the concat demuxer joins
+ * them without another re-encode. Only one source sits in the FFmpeg virtual
+ * FS at a time.
+ */
+
+import { ExportProgress, EXPORT_STAGES, parseFFmpegTime } from './exportProgress.js';
+import { cleanupExportFiles } from './ffmpegFs.js';
+import { terminateFFmpeg } from './ffmpegLoader.js';
+import { createAbortError, followSignal } from './webcodecsExporter.js';
+import { buildOverlayFilters } from './overlaySegments.js';
+import { getKeepRanges, getRangesDuration, getSelectExpression } from './timeRanges.js';
+import { getFFmpegAudioFilters } from './audioEdits.js';
+import { writeTrackInputs, buildAudioMixFilters } from './audioTracks.js';
+import {
+    CONTAINERS,
+    DEFAULT_EXPORT_SETTINGS,
+    getFFmpegVideoArgs,
+    getFFmpegAudioArgs,
+    getFFmpegContainerArgs,
+} from './exportSettings.js';
+
+// Every clip's audio is converted to this before joining
+const AUDIO_FORMAT = 'aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo';
+
+/**
+ * Round a dimension down to an even number (required by 4:2:0 encoders)
+ * @param {number} value - Dimension in pixels
+ * @returns {number}
+ */
+const toEven = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+/**
+ * Fit a picture into the canvas keeping its aspect ratio
+ * @param {number} width - Picture width
+ * @param {number} height - Picture height
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @returns {Object} - { width, height, x, y } of the picture inside the canvas
+ */
+export const fitToCanvas = (width, height, canvasWidth, canvasHeight) => {
+    if (!width || !height) {
+        return { width: canvasWidth, height: canvasHeight, x: 0, y: 0 };
+    }
+    const scale = Math.min(canvasWidth / width, canvasHeight / height);
+    const fitWidth = Math.min(toEven(width * scale), canvasWidth);
+    const fitHeight = Math.min(toEven(height * scale), canvasHeight);
+    return {
+        width: fitWidth,
+        height: fitHeight,
+        x: Math.floor((canvasWidth - fitWidth) / 4) * 2,
+        y: Math.floor((canvasHeight - fitHeight) / 4) * 2,
+    };
+};
+
+/**
+ * ClipConcatExporter class
+ * Exports an ordered list of clips as one video through FFmpeg WASM
+ */
+export class ClipConcatExporter {
+    constructor(options = {}) {
+        // { file, startTime, endTime, cuts, overlays, audio, normalizeGain, audioTracks, duckRanges,
+        //   mediaInfo, displayWidth, displayHeight }
+        this.clips = options.clips || [];
+        this.settings = options.settings || DEFAULT_EXPORT_SETTINGS; // Codecs, quality and container
+        this.width = options.width; // Project canvas size
+        this.height = options.height;
+        this.fps = options.fps; // Project frame rate
+        this.ffmpeg = options.ffmpeg || null; // Loaded FFmpeg instance (required)
+        this.progress = new ExportProgress(options.onProgress);
+        this.onLog = options.onLog || (() => {});
+
+        this.isRunningFFmpeg = false;
+        this.abortController = new AbortController();
+        followSignal(options.signal, this);
+    }
+
+    /**
+     * Main export method
+     * @returns {Promise<Object>} - Export result { blob, container, mimeType }
+     */
+    async export() {
+        if (!this.ffmpeg || !this.ffmpeg.loaded) {
+            throw new Error('FFmpeg is not loaded');
+        }
+
+        // Progress of the clip being encoded comes from FFmpeg's stats lines
+        let framesBefore = 0;
+        const handleLog = ({ message }) => {
+            const time = parseFFmpegTime(message);
+            if (time !== null && this.progress.stage === EXPORT_STAGES.ENCODING) {
+                this.progress.setFrames(Math.min(framesBefore + Math.round(time * this.fps), this.progress.totalFrames));
+            }
+        };
+        this.ffmpeg.on('log', handleLog);
+
+        try {
+            this.onLog(`Starting export of ${this.clips.length} clips...`);
+            this.progress.setStage(EXPORT_STAGES.LOADING);
+
+            const plans = this.clips.map(clip => {
+                const end = Math.min(clip.endTime || clip.mediaInfo?.duration || Infinity, clip.mediaInfo?.duration || Infinity);
+                const keepRanges = getKeepRanges(clip.startTime || 0, end, clip.cuts);
+                return { clip, keepRanges, duration: getRangesDuration(keepRanges) };
+            }).filter(plan => plan.keepRanges.length > 0);
+
+            if (plans.length === 0) {
+                throw new Error('Nothing to export - every clip is cut');
+            }
+
+            const totalFrames = plans.reduce((sum, plan) => sum + Math.ceil(plan.duration * this.fps), 0);
+            this.onLog(`Export: ${plans.length} clips, ${totalFrames} frames @ ${this.fps}fps, ${this.width}x${this.height}`);
+            this.progress.setStage(EXPORT_STAGES.ENCODING, { totalFrames });
+
+            const segments = [];
+            for (let i = 0; i < plans.length; i++) {
+                this.onLog(`Encoding clip ${i + 1}/${plans.length}: ${plans[i].clip.file.name}`);
+                segments.push(await this.encodeClip(i, plans[i]));
+                framesBefore += Math.ceil(plans[i].duration * this.fps);
+                this.progress.setFrames(framesBefore);
+            }
+
+            this.progress.setStage(EXPORT_STAGES.MUXING);
+            const blob = await this.concat(segments);
+            this.throwIfAborted();
+
+            this.onLog('Export complete!');
+            this.progress.complete();
+
+            const container = this.settings.container;
+            return { blob, container, mimeType: CONTAINERS[container].mimeType };
+
+        } catch (error) {
+            // A terminated worker rejects with its own error - report the cancel instead
+            if (this.abortController.signal.aborted) throw createAbortError();
+
+            this.onLog(`Export error: ${error.message}`);
+            console.error('Clip concat export error:', error);
+            throw error;
+        } finally {
+            this.ffmpeg.off('log', handleLog);
+            await this.cleanup();
+        }
+    }
+
+    /**
+     * Encode one clip into a segment matching the project canvas
+     * @param {number} index - Clip index
+     * @param {Object} plan - { clip, keepRanges, duration }
+     * @returns {Promise<string>} - Segment file name
+     */
+    async encodeClip(index, { clip, keepRanges, duration }) {
+        const extension = clip.file.name.match(/\.[^.]+$/)?.[0] || '.mp4';
+        const inputName = `input_${index}${extension}`;
+        const segmentName = `segment_${index}.${CONTAINERS[this.settings.container].extension}`;
+        const rangeStart = keepRanges[0].start;
+        const rangeEnd = keepRanges[keepRanges.length - 1].end;
+        const hasCuts = keepRanges.length > 1;
+
+        await this.ffmpeg.writeFile(inputName, new Uint8Array(await clip.file.arrayBuffer()));
+        this.throwIfAborted();
+
+        // Fit into the canvas, then pad the rest with black
+        const picture = fitToCanvas(clip.mediaInfo?.width, clip.mediaInfo?.height, this.width, this.height);
+        const videoFilters = [];
+        const cutSelect = getSelectExpression(keepRanges, rangeStart);
+        if (hasCuts) {
+            videoFilters.push(`select='${cutSelect}'`, 'setpts=N/FRAME_RATE/TB');
+        }
+        videoFilters.push(
+            `scale=${picture.width}:${picture.height}:flags=bicubic`,
+            `pad=${this.width}:${this.height}:${picture.x}:${picture.y}:black`,
+            'setsar=1'
+        );
+
+        const displayWidth = clip.displayWidth || picture.width;
+        const displayHeight = clip.displayHeight || picture.height;
+        const overlayGraph = await buildOverlayFilters(this.ffmpeg, {
+            overlays: clip.overlays,
+            keepRanges,
+            inputStream: '[base]',
+            width: picture.width,
+            height: picture.height,
+            scaleX: picture.width / displayWidth,
+            scaleY: picture.height / displayHeight,
+            offsetX: picture.x,
+            offsetY: picture.y,
+            fps: this.fps,
+        });
+        this.throwIfAborted();
+
+        // The clip's audio with its cuts and audio edit, its tracks mixed in;
+        // silence keeps the audio track continuous across the join
+        const audioTracks = clip.audioTracks || [];
+        const trackInputs = await writeTrackInputs(this.ffmpeg, audioTracks, {
+            prefix: `track_${index}_`,
+            firstIndex: 1 + overlayGraph.inputs.length / 2,
+        });
+        this.throwIfAborted();
+
+        const buildArgs = (withSourceAudio) => {
+            const audioFilters = buildAudioMixFilters({
+                source: withSourceAudio ? '[0:a:0]' : null,
+                sourceFilters: clip.audio ? getFFmpegAudioFilters(clip.audio, duration, clip.normalizeGain) : [],
+                tracks: trackInputs.tracks,
+                keepRanges,
+                duckRanges: clip.duckRanges || [],
+                // Audio ending before the video is padded with silence and
+                // -t cuts it at the segment length - a short segment would
+                // pull every later clip's audio early at the joins
+                outputFilters: ['apad', AUDIO_FORMAT],
+                output: '[aout]',
+            });
+            return [
+                '-threads', '1', // Single thread for WASM stability
+                '-ss', rangeStart.toString(),
+                '-t', (rangeEnd - rangeStart).toString(),
+                '-i', inputName,
+                ...overlayGraph.inputs,
+                ...trackInputs.inputs,
+                '-filter_complex', [
+                    `[0:v]${videoFilters.join(',')}[base]`,
+                    ...overlayGraph.filters,
+                    ...audioFilters,
+                ].join(';'),
+                '-map', overlayGraph.outputStream,
+                '-map', '[aout]',
+                '-r', this.fps.toString(), '-fps_mode', 'cfr',
+                ...getFFmpegVideoArgs(this.settings),
+                ...getFFmpegAudioArgs(this.settings),
+                '-t', duration.toString(),
+                segmentName,
+            ];
+        };
+
+        // Without a sample table (WebM, AVI...) it's unknown whether the clip
+        // has audio - try with it and fall back to silence
+        if (clip.mediaInfo?.hasAudio === false) {
+            await this.runFFmpeg(buildArgs(false));
+        } else {
+            try {
+                await this.runFFmpeg(buildArgs(true));
+            } catch (error) {
+                if (this.abortController.signal.aborted || clip.mediaInfo?.hasAudio) throw error;
+                this.onLog(`No audio in ${clip.file.name}, using silence`);
+                await this.runFFmpeg(buildArgs(false));
+            }
+        }
+
+        for (const name of [inputName, ...trackInputs.names]) {
+            await this.ffmpeg.deleteFile(name);
+        }
+        return segmentName;
+    }
+
+    /**
+     * Join the encoded clips
+     * @param {Array<string>} segments - Segment file names, in order
+     * @returns {Promise<Blob>}
+     */
+    async concat(segments) {
+        const container = CONTAINERS[this.settings.container];
+        const outputName = `output.${container.extension}`;
+
+        const list = segments.map(name => `file '${name}'`).join('\n');
+        await this.ffmpeg.writeFile('segments.txt', new TextEncoder().encode(list));
+
+        await this.runFFmpeg([
+            '-f', 'concat',
+            '-safe', '0',
+            '-i', 'segments.txt',
+            '-c', 'copy',
+            ...getFFmpegContainerArgs(this.settings),
+            outputName,
+        ]);
+
+        const data = await this.ffmpeg.readFile(outputName);
+        return new Blob([data.buffer], { type: container.mimeType });
+    }
+
+    /**
+     * Run an FFmpeg command, throwing on a nonzero exit code
+     * @param {Array<string>} args - FFmpeg arguments
+     */
+    async runFFmpeg(args) {
+        this.throwIfAborted();
+        this.isRunningFFmpeg = true;
+        try {
+            const exitCode = await this.ffmpeg.exec(args);
+            if (exitCode !== 0) {
+                throw new Error(`FFmpeg exited with code ${exitCode}`);
+            }
+        } finally {
+            this.isRunningFFmpeg = false;
+        }
+    }
+
+    /**
+     * Throw if the export was aborted
+     */
+    throwIfAborted() {
+        if (this.abortController.signal.aborted) throw createAbortError();
+    }
+
+    /**
+     * Delete the files written to the FS
+     */
+    async cleanup() {
+        try {
+            await cleanupExportFiles(this.ffmpeg);
+        } catch (error) {
+            console.warn('Failed to clean up FFmpeg files:', error);
+        }
+    }
+
+    /**
+     * Abort the export
+     */
+    abort() {
+        this.abortController.abort();
+        // exec() can't be interrupted - stopping the worker is the only way out.
+        // Going through the loader resets its status, and the caller reloads
+        // FFmpeg once the export settles.
+        if (this.isRunningFFmpeg) {
+            terminateFFmpeg();
+        }
+    }
+}
+
+/**
+ * Convenience function to export a multi-clip project
+ * @param {Object} options - Export options (see ClipConcatExporter)
+ * @returns {Promise<Object>} - Export result { blob, container, mimeType }
+ */
+export async function exportClips(options) {
+    const exporter = new ClipConcatExporter(options);
+    return exporter.export();
+}
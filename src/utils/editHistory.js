@@ -0,0 +1,116 @@
+/**
+ * Edit History - Undo/redo for the editor
+ * The history stores snapshots of the editable state taken before each edit
+ * (state is only ever replaced, never mutated, so a snapshot is just the
+ * current references). Undo swaps the current state for the last snapshot
+ * and keeps the current one for redo.
+ *
+ * Continuous edits - dragging an overlay, a timeline bar or a trim handle -
+ * call record() on every move. Everything recorded between beginGesture()
+ * and endGesture() (pointer down to pointer up) is one step, however long
+ * the drag pauses. Outside a gesture, edits with the same key in quick
+ * succession coalesce instead, so typing into a field undoes at once.
+ */
+
+// Snapshots kept; the oldest are dropped beyond this
+export const HISTORY_LIMIT = 100;
+
+// Keyed edits closer together than this are one step when typed (ms)
+const COALESCE_WINDOW = 1000;
+
+/**
+ * EditHistory class
+ * Undo and redo stacks of state snapshots
+ */
+export class EditHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || HISTORY_LIMIT;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastKey = null; // Key of the last recorded edit, for coalescing
+        this.lastTime = 0;
+        this.gesture = null; // { recorded } while a pointer gesture is running
+    }
+
+    /**
+     * Start a pointer gesture - its edits become a single step
+     */
+    beginGesture() {
+        this.gesture = { recorded: false };
+    }
+
+    /**
+     * End the pointer gesture - the next edit starts a new step
+     */
+    endGesture() {
+        this.gesture = null;
+        this.lastKey = null;
+    }
+
+    /**
+     * Record the state from before an edit
+     * @param {Object} snapshot - State before the edit
+     * @param {string|null} key - Identifies edits typed into one field, null for one-off edits
+     * @returns {boolean} - false if the edit coalesced into the previous step
+     */
+    record(snapshot, key = null) {
+        const now = Date.now();
+        const coalesces = this.gesture
+            ? this.gesture.recorded
+            : key !== null && key === this.lastKey && now - this.lastTime < COALESCE_WINDOW;
+        if (this.gesture) this.gesture.recorded = true;
+        this.lastKey = this.gesture ? null : key;
+        this.lastTime = now;
+        if (coalesces) return false;
+
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        return true;
+    }
+
+    /**
+     * Step back
+     * @param {Object} current - Current state, kept for redo
+     * @returns {Object|null} - State to restore, null if there's nothing to undo
+     */
+    undo(current) {
+        if (this.undoStack.length === 0) return null;
+        this.redoStack.push(current);
+        this.lastKey = null; // The next edit starts a new step
+        if (this.gesture) this.gesture.recorded = false;
+        return this.undoStack.pop();
+    }
+
+    /**
+     * Step forward again
+     * @param {Object} current - Current state, kept for undo
+     * @returns {Object|null} - State to restore, null if there's nothing to redo
+     */
+    redo(current) {
+        if (this.redoStack.length === 0) return null;
+        this.undoStack.push(current);
+        this.lastKey = null;
+        if (this.gesture) this.gesture.recorded = false;
+        return this.redoStack.pop();
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget every step
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastKey = null;
+    }
+}
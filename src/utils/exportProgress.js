@@ -0,0 +1,194 @@
+/**
+ * Export Progress - One progress model for every export backend
+ * Exports move through named stages; each stage owns a share of the overall
+ * bar, and frame counts drive the encoding stage. Elapsed time and ETA are
+ * derived from the overall progress.
+ */
+
+export const EXPORT_STAGES = {
+    LOADING: 'loading',
+    WRITING: 'writing',
+    RENDERING: 'rendering',
+    ENCODING: 'encoding',
+    MUXING: 'muxing',
+    SAVING: 'saving',
+    DONE: 'done',
+};
+
+export const STAGE_LABELS = {
+    [EXPORT_STAGES.LOADING]: 'Loading',
+    [EXPORT_STAGES.WRITING]: 'Writing inputs',
+    [EXPORT_STAGES.RENDERING]: 'Rendering overlays',
+    [EXPORT_STAGES.ENCODING]: 'Encoding',
+    [EXPORT_STAGES.MUXING]: 'Muxing',
+    [EXPORT_STAGES.SAVING]: 'Saving',
+    [EXPORT_STAGES.DONE]: 'Done',
+};
+
+// Share of the overall progress bar per stage, in stage order
+// (encoding is where nearly all the time goes)
+const STAGE_WEIGHTS = [
+    [EXPORT_STAGES.LOADING, 0.03],
+    [EXPORT_STAGES.WRITING, 0.05],
+    [EXPORT_STAGES.RENDERING, 0.04],
+    [EXPORT_STAGES.ENCODING, 0.82],
+    [EXPORT_STAGES.MUXING, 0.04],
+    [EXPORT_STAGES.SAVING, 0.02],
+];
+
+// Minimum time between progress callbacks, stage changes are always reported
+const EMIT_INTERVAL_MS = 100;
+
+// Don't guess an ETA from the first moments of an export
+const MIN_ETA_PROGRESS = 0.02;
+const MIN_ETA_ELAPSED = 1;
+
+/**
+ * Get the overall progress at the start of a stage
+ * @param {string} stage - Stage name
+ * @returns {number}
+ */
+const getStageOffset = (stage) => {
+    let offset = 0;
+    for (const [name, weight] of STAGE_WEIGHTS) {
+        if (name === stage) return offset;
+        offset += weight;
+    }
+    return 1;
+};
+
+/**
+ * Get the share of the overall progress a stage owns
+ * @param {string} stage - Stage name
+ * @returns {number}
+ */
+const getStageWeight = (stage) => {
+    const entry = STAGE_WEIGHTS.find(([name]) => name === stage);
+    return entry ? entry[1] : 0;
+};
+
+/**
+ * Format seconds as m:ss for progress display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string}
+ */
+export const formatDuration = (seconds) => {
+    const totalSeconds = Math.max(0, Math.round(seconds));
+    const m = Math.floor(totalSeconds / 60);
+    const s = totalSeconds % 60;
+    return `${m}:${s.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Read the output timestamp from an FFmpeg stats line
+ * ("frame=  120 fps= 30 ... time=00:00:04.00 ...")
+ * @param {string} message - FFmpeg log line
+ * @returns {number|null} - Seconds, or null if the line has no timestamp
+ */
+export const parseFFmpegTime = (message) => {
+    const match = /time=\s*(-?)(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(message || '');
+    if (!match || match[1] === '-') return null;
+    return parseInt(match[2], 10) * 3600 + parseInt(match[3], 10) * 60 + parseFloat(match[4]);
+};
+
+/**
+ * ExportProgress class
+ * Tracks stage, frames and timing of an export and reports a snapshot:
+ * { stage, label, progress, stageProgress, framesDone, totalFrames, elapsed, eta }
+ */
+export class ExportProgress {
+    /**
+     * @param {Function} onProgress - Receives progress snapshots
+     */
+    constructor(onProgress = () => {}) {
+        this.onProgress = onProgress;
+        this.stage = EXPORT_STAGES.LOADING;
+        this.stageProgress = 0;
+        this.framesDone = 0;
+        this.totalFrames = 0;
+        this.startedAt = performance.now();
+        this.lastEmit = 0;
+    }
+
+    /**
+     * Enter a stage
+     * @param {string} stage - One of EXPORT_STAGES
+     * @param {Object} options
+     * @param {number} options.totalFrames - Frames the stage will process (encoding)
+     */
+    setStage(stage, { totalFrames } = {}) {
+        this.stage = stage;
+        this.stageProgress = 0;
+        if (totalFrames !== undefined) {
+            this.totalFrames = totalFrames;
+            this.framesDone = 0;
+        }
+        this.emit(true);
+    }
+
+    /**
+     * Report frames processed in the current stage
+     * @param {number} framesDone - Frames processed so far
+     */
+    setFrames(framesDone) {
+        this.framesDone = framesDone;
+        this.setStageProgress(this.totalFrames > 0 ? framesDone / this.totalFrames : 0);
+    }
+
+    /**
+     * Report progress within the current stage
+     * @param {number} fraction - 0 to 1
+     */
+    setStageProgress(fraction) {
+        this.stageProgress = Math.min(Math.max(fraction, 0), 1);
+        this.emit(false);
+    }
+
+    /**
+     * Mark the export as finished
+     */
+    complete() {
+        this.stage = EXPORT_STAGES.DONE;
+        this.stageProgress = 1;
+        this.framesDone = this.totalFrames;
+        this.emit(true);
+    }
+
+    /**
+     * Build the current snapshot
+     * @returns {Object}
+     */
+    getState() {
+        const progress = this.stage === EXPORT_STAGES.DONE
+            ? 1
+            : Math.min(getStageOffset(this.stage) + getStageWeight(this.stage) * this.stageProgress, 0.99);
+        const elapsed = (performance.now() - this.startedAt) / 1000;
+
+        // Linear extrapolation - the weights keep the fast stages from skewing it
+        const eta = progress >= MIN_ETA_PROGRESS && elapsed >= MIN_ETA_ELAPSED && progress < 1
+            ? (elapsed * (1 - progress)) / progress
+            : null;
+
+        return {
+            stage: this.stage,
+            label: STAGE_LABELS[this.stage],
+            progress,
+            stageProgress: this.stageProgress,
+            framesDone: this.framesDone,
+            totalFrames: this.totalFrames,
+            elapsed,
+            eta,
+        };
+    }
+
+    /**
+     * Send a snapshot to the callback, throttled unless forced
+     * @param {boolean} force - Skip throttling
+     */
+    emit(force) {
+        const now = performance.now();
+        if (!force && now - this.lastEmit < EMIT_INTERVAL_MS) return;
+        this.lastEmit = now;
+        this.onProgress(this.getState());
+    }
+}
@@ -1,8 +1,10 @@
 /**
  * Export Router - Determines the best export method based on browser capabilities
- * and export requirements (overlays, trim, etc.)
+ * and export requirements (overlays, trim, export settings, etc.)
  */
 
+import { DEFAULT_EXPORT_SETTINGS, VIDEO_CODECS, getRecorderMimeTypes } from './exportSettings.js';
+
 /**
  * Check if the browser supports WebCodecs API
  * @returns {boolean}
@@ -38,38 +40,77 @@ export const needsWebCodecs = (textLayers = [], drawingLayers = []) => {
     return textLayers.length > 0 || drawingLayers.length > 0;
 };
 
+/**
+ * Check if MediaRecorder can record the container/codecs from the settings
+ * @param {Object} settings - Export settings
+ * @returns {boolean}
+ */
+export const canUseMediaRecorder = (settings = DEFAULT_EXPORT_SETTINGS) => {
+    if (typeof MediaRecorder === 'undefined') return false;
+    return getRecorderMimeTypes(settings).some(type => MediaRecorder.isTypeSupported(type));
+};
+
+/**
+ * Check if the WebCodecs pipeline can produce the settings
+ * It encodes H.264 and muxes MP4 only
+ * @param {Object} settings - Export settings
+ * @returns {boolean}
+ */
+export const canWebCodecsExport = (settings = DEFAULT_EXPORT_SETTINGS) => {
+    return canUseWebCodecs() && settings.container === 'mp4' && settings.videoCodec === 'h264';
+};
+
 /**
  * Get the appropriate export method based on browser capabilities and requirements
  * @param {Object} options - Export options
  * @param {Array} options.textLayers - Text overlay layers
  * @param {Array} options.drawingLayers - Drawing overlay layers (optional, derived from textLayers with type='image')
- * @returns {string} - Export method: 'webcodecs', 'ffmpeg', or 'unsupported'
+ * @param {Object} options.settings - Export settings (container, codecs, quality)
+ * @param {number} options.clipCount - Clips in the project
+ * @returns {string} - Export method: 'webcodecs', 'mediarecorder', 'canvas', 'ffmpeg', 'concat' or 'unsupported'
  */
-export const getExportMethod = ({ textLayers = [], drawingLayers = [] } = {}) => {
+export const getExportMethod = ({ textLayers = [], drawingLayers = [], settings = DEFAULT_EXPORT_SETTINGS, clipCount = 1 } = {}) => {
+    // Joining clips of different sizes and rates needs FFmpeg's filters
+    if (clipCount > 1) {
+        return VIDEO_CODECS[settings.videoCodec].ffmpeg ? EXPORT_METHODS.CONCAT : EXPORT_METHODS.UNSUPPORTED;
+    }
+
     const hasOverlays = needsWebCodecs(textLayers, drawingLayers);
-    const supportsWebCodecs = canUseWebCodecs();
 
-    // Export with overlays requires WebCodecs
+    // Overlays are fastest through a canvas-based backend
     if (hasOverlays) {
-        if (supportsWebCodecs) {
-            return 'webcodecs';
+        if (canWebCodecsExport(settings)) {
+            return EXPORT_METHODS.WEBCODECS;
+        }
+        // WebM / VP9 / AV1 - MediaRecorder records these natively
+        if (canUseWebCodecs() && canUseMediaRecorder(settings)) {
+            return EXPORT_METHODS.MEDIARECORDER;
+        }
+        // Firefox, Safari: canvas frames encoded by FFmpeg
+        if (VIDEO_CODECS[settings.videoCodec].ffmpeg) {
+            return EXPORT_METHODS.CANVAS;
         }
-        return 'unsupported';
     }
 
-    // No overlays - can use FFmpeg for trim-only exports (works everywhere)
-    return 'ffmpeg';
+    // FFmpeg handles trim-only exports and overlay fallbacks everywhere,
+    // except codecs missing from the WASM build (AV1)
+    if (VIDEO_CODECS[settings.videoCodec].ffmpeg) {
+        return EXPORT_METHODS.FFMPEG;
+    }
+    if (canUseMediaRecorder(settings)) {
+        return EXPORT_METHODS.MEDIARECORDER;
+    }
+    return EXPORT_METHODS.UNSUPPORTED;
 };
 
 /**
  * Get user-friendly message for unsupported browser
+ * @param {Object} settings - Export settings the export was attempted with
  * @returns {string}
  */
-export const getUnsupportedMessage = () => {
-    if (isChromium()) {
-        return 'Please update your browser to use text and drawing overlays.';
-    }
-    return 'Text and drawing overlays require Chrome, Edge, or Arc. Trim-only export is available.';
+export const getUnsupportedMessage = (settings = DEFAULT_EXPORT_SETTINGS) => {
+    // Only codecs FFmpeg can't encode end up unsupported
+    return `${VIDEO_CODECS[settings.videoCodec].label} export isn't supported in this browser. Try H.264 or VP9.`;
 };
 
 /**
@@ -77,6 +118,9 @@ export const getUnsupportedMessage = () => {
  */
 export const EXPORT_METHODS = {
     WEBCODECS: 'webcodecs',
+    MEDIARECORDER: 'mediarecorder',
+    CANVAS: 'canvas',
     FFMPEG: 'ffmpeg',
+    CONCAT: 'concat',
     UNSUPPORTED: 'unsupported'
 };
@@ -0,0 +1,284 @@
+/**
+ * Export Settings - Output container, codecs, resolution and quality
+ * Describes what each choice means for the FFmpeg, WebCodecs and
+ * MediaRecorder backends so the router can pick one that satisfies them.
+ */
+
+/**
+ * Output containers and the codecs they can hold
+ */
+export const CONTAINERS = {
+    mp4: { label: 'MP4', extension: 'mp4', mimeType: 'video/mp4', videoCodecs: ['h264', 'vp9', 'av1'], audioCodecs: ['aac', 'opus'] },
+    webm: { label: 'WebM', extension: 'webm', mimeType: 'video/webm', videoCodecs: ['vp9', 'av1'], audioCodecs: ['opus'] },
+    mov: { label: 'MOV', extension: 'mov', mimeType: 'video/quicktime', videoCodecs: ['h264'], audioCodecs: ['aac'] },
+};
+
+/**
+ * Video codecs
+ * - ffmpeg: encoder in the FFmpeg WASM build (null = not available)
+ * - recorder: codec name in MediaRecorder MIME types
+ * - sourceCodecs: MP4 sample entry prefixes that can be stream-copied as this codec
+ */
+export const VIDEO_CODECS = {
+    h264: { label: 'H.264', ffmpeg: 'libx264', recorder: 'avc1', sourceCodecs: ['avc1', 'avc3'] },
+    vp9: { label: 'VP9', ffmpeg: 'libvpx-vp9', recorder: 'vp9', sourceCodecs: ['vp09'] },
+    av1: { label: 'AV1', ffmpeg: null, recorder: 'av01', sourceCodecs: ['av01'] },
+};
+
+/**
+ * Audio codecs
+ */
+export const AUDIO_CODECS = {
+    aac: { label: 'AAC', ffmpeg: 'aac', recorder: 'mp4a.40.2', sourceCodecs: ['mp4a'] },
+    opus: { label: 'Opus', ffmpeg: 'libopus', recorder: 'opus', sourceCodecs: ['opus', 'Opus'] },
+};
+
+/**
+ * Resolution presets (height in pixels, width follows the source aspect ratio)
+ */
+export const RESOLUTIONS = {
+    source: { label: 'Source' },
+    '1080p': { label: '1080p', height: 1080 },
+    '720p': { label: '720p', height: 720 },
+    custom: { label: 'Custom' },
+};
+
+/**
+ * How stream-copied trims handle a start point between keyframes
+ * - snap: start on the keyframe at or before the start point (lossless)
+ * - smart: re-encode up to the next keyframe, copy the rest (frame-accurate)
+ */
+export const TRIM_MODES = {
+    snap: { label: 'Snap to keyframe (lossless)' },
+    smart: { label: 'Frame-accurate (smart render)' },
+};
+
+// Smallest custom width/height (pixels) - what the dialog's fields allow
+export const MIN_CUSTOM_SIZE = 16;
+
+export const DEFAULT_EXPORT_SETTINGS = {
+    fileName: '',
+    container: 'mp4',
+    videoCodec: 'h264',
+    resolution: 'source',
+    customWidth: 1280,
+    customHeight: 720,
+    fps: null, // null = match source
+    rateControl: 'crf', // 'crf' (constant quality) or 'bitrate'
+    crf: 23,
+    videoBitrate: 5000, // kbps
+    audioCodec: 'aac',
+    audioBitrate: 128, // kbps
+    streamCopy: true, // Skip re-encoding when nothing requires it (fast trim)
+    trimMode: 'snap', // See TRIM_MODES
+};
+
+/**
+ * Round a dimension to an even number (required by 4:2:0 encoders)
+ * @param {number} value - Dimension in pixels
+ * @returns {number}
+ */
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * A custom dimension as it can be exported
+ * Typed values skip the field's minimum and a cleared field is 0; the
+ * settings keep what's typed so the field doesn't jump while editing
+ * @param {number} value - Width or height from the settings
+ * @returns {number}
+ */
+const toCustomSize = (value) => Math.max(MIN_CUSTOM_SIZE, Number(value) || 0);
+
+/**
+ * Make the codec choices valid for the chosen container
+ * @param {Object} settings - Export settings
+ * @returns {Object} - Settings with compatible codecs
+ */
+export const normalizeSettings = (settings) => {
+    const container = CONTAINERS[settings.container] || CONTAINERS.mp4;
+    return {
+        ...settings,
+        videoCodec: container.videoCodecs.includes(settings.videoCodec) ? settings.videoCodec : container.videoCodecs[0],
+        audioCodec: container.audioCodecs.includes(settings.audioCodec) ? settings.audioCodec : container.audioCodecs[0],
+    };
+};
+
+/**
+ * Compute the output frame size
+ * @param {Object} settings - Export settings
+ * @param {number} sourceWidth - Source video width
+ * @param {number} sourceHeight - Source video height
+ * @returns {{ width: number, height: number }}
+ */
+export const getOutputSize = (settings, sourceWidth, sourceHeight) => {
+    if (settings.resolution === 'custom') {
+        return { width: toEven(toCustomSize(settings.customWidth)), height: toEven(toCustomSize(settings.customHeight)) };
+    }
+
+    const preset = RESOLUTIONS[settings.resolution];
+    if (!preset || !preset.height || !sourceWidth || !sourceHeight) {
+        return { width: toEven(sourceWidth), height: toEven(sourceHeight) };
+    }
+
+    // Presets fit the short side, so portrait videos become 1080x1920 etc.
+    const isPortrait = sourceHeight > sourceWidth;
+    const shortSide = isPortrait ? sourceWidth : sourceHeight;
+    const ratio = preset.height / shortSide;
+    return { width: toEven(sourceWidth * ratio), height: toEven(sourceHeight * ratio) };
+};
+
+/**
+ * Check whether the source streams can be copied as-is (no re-encode)
+ * @param {Object} settings - Export settings
+ * @param {Object} mediaInfo - Source media info (see getMediaInfo)
+ * @returns {boolean}
+ */
+export const canStreamCopy = (settings, mediaInfo) => {
+    if (!settings.streamCopy || !mediaInfo) return false;
+    if (settings.resolution !== 'source') return false;
+    if (settings.fps && Math.abs(settings.fps - mediaInfo.fps) > 0.001) return false;
+    if (settings.container !== mediaInfo.container) return false;
+
+    const videoCodec = VIDEO_CODECS[settings.videoCodec];
+    if (!mediaInfo.videoCodec || !videoCodec.sourceCodecs.some(codec => mediaInfo.videoCodec.startsWith(codec))) {
+        return false;
+    }
+
+    if (mediaInfo.hasAudio && mediaInfo.audioCodec) {
+        const audioCodec = AUDIO_CODECS[settings.audioCodec];
+        return audioCodec.sourceCodecs.some(codec => mediaInfo.audioCodec.startsWith(codec));
+    }
+    return true;
+};
+
+/**
+ * FFmpeg video encoder arguments for the chosen codec and quality
+ * @param {Object} settings - Export settings
+ * @returns {Array<string>}
+ */
+export const getFFmpegVideoArgs = (settings) => {
+    const args = ['-c:v', VIDEO_CODECS[settings.videoCodec].ffmpeg];
+
+    if (settings.videoCodec === 'vp9') {
+        // Fastest libvpx settings - WASM is single threaded
+        args.push('-deadline', 'realtime', '-cpu-used', '8', '-row-mt', '1');
+        if (settings.rateControl === 'crf') {
+            args.push('-crf', settings.crf.toString(), '-b:v', '0');
+        } else {
+            args.push('-b:v', `${settings.videoBitrate}k`);
+        }
+    } else {
+        args.push('-preset', 'veryfast'); // More stable than ultrafast in WASM
+        if (settings.rateControl === 'crf') {
+            args.push('-crf', settings.crf.toString());
+        } else {
+            args.push('-b:v', `${settings.videoBitrate}k`, '-maxrate', `${settings.videoBitrate}k`, '-bufsize', `${settings.videoBitrate * 2}k`);
+        }
+    }
+
+    // 4:2:0 plays everywhere (and converts full-range JPEG frames)
+    args.push('-pix_fmt', 'yuv420p');
+    return args;
+};
+
+/**
+ * FFmpeg audio encoder arguments
+ * @param {Object} settings - Export settings
+ * @returns {Array<string>}
+ */
+export const getFFmpegAudioArgs = (settings) => {
+    return ['-c:a', AUDIO_CODECS[settings.audioCodec].ffmpeg, '-b:a', `${settings.audioBitrate}k`];
+};
+
+/**
+ * FFmpeg muxer arguments for the container
+ * @param {Object} settings - Export settings
+ * @returns {Array<string>}
+ */
+export const getFFmpegContainerArgs = (settings) => {
+    if (settings.container === 'mp4' || settings.container === 'mov') {
+        // Put the moov box first so the file starts playing before it's fully loaded
+        return ['-movflags', '+faststart'];
+    }
+    return [];
+};
+
+/**
+ * FFmpeg output arguments for the chosen codecs and quality
+ * @param {Object} settings - Export settings
+ * @returns {Array<string>}
+ */
+export const getFFmpegCodecArgs = (settings) => {
+    return [
+        ...getFFmpegVideoArgs(settings),
+        ...getFFmpegAudioArgs(settings),
+        ...getFFmpegContainerArgs(settings),
+    ];
+};
+
+/**
+ * MediaRecorder MIME types matching the settings, most specific first
+ * @param {Object} settings - Export settings
+ * @returns {Array<string>}
+ */
+export const getRecorderMimeTypes = (settings) => {
+    const container = CONTAINERS[settings.container];
+    const video = VIDEO_CODECS[settings.videoCodec].recorder;
+    const audio = AUDIO_CODECS[settings.audioCodec].recorder;
+    return [
+        `${container.mimeType};codecs="${video},${audio}"`,
+        `${container.mimeType};codecs="${video}"`,
+    ];
+};
+
+/**
+ * Estimate a bitrate for constant-quality settings, for encoders that only
+ * take a bitrate (MediaRecorder). ~0.1 bits per pixel at CRF 23, doubling
+ * every 6 CRF steps like x264 roughly does.
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {number} fps - Output frame rate
+ * @param {number} crf - Constant rate factor
+ * @returns {number} - Bits per second
+ */
+export const estimateBitrate = (width, height, fps, crf) => {
+    return Math.round(width * height * fps * 0.1 * Math.pow(2, (23 - crf) / 6));
+};
+
+/**
+ * Options for the canvas exporters (WebCodecsExporter, MediaRecorderExporter)
+ * @param {Object} settings - Export settings
+ * @param {Object} mediaInfo - Source media info (see getMediaInfo)
+ * @returns {Object} - { fps, outputWidth, outputHeight, bitrate, quantizer, audioBitrate, mimeTypes, container }
+ */
+export const getExporterOptions = (settings, mediaInfo) => {
+    const { width, height } = getOutputSize(settings, mediaInfo?.width, mediaInfo?.height);
+    const fps = settings.fps || mediaInfo?.fps || 30;
+    const useCrf = settings.rateControl === 'crf';
+
+    return {
+        fps: settings.fps,
+        outputWidth: width || null,
+        outputHeight: height || null,
+        bitrate: useCrf && width ? estimateBitrate(width, height, fps, settings.crf) : settings.videoBitrate * 1000,
+        // H.264 QP and x264 CRF share the 0-51 scale
+        quantizer: useCrf ? settings.crf : null,
+        audioBitrate: settings.audioBitrate * 1000,
+        mimeTypes: getRecorderMimeTypes(settings),
+        container: settings.container,
+    };
+};
+
+/**
+ * Build the download file name
+ * @param {Object} settings - Export settings
+ * @param {string} sourceName - Name of the source file
+ * @returns {string}
+ */
+export const getOutputFileName = (settings, sourceName = 'video') => {
+    const stem = sourceName.replace(/\.[^.]+$/, '');
+    const name = (settings.fileName || '').trim() || `${stem}_cuddles`;
+    // Strip characters that aren't allowed in file names on common systems
+    const safeName = name.replace(/[\\/:*?"<>|]/g, '_').replace(/\.(mp4|webm|mov)$/i, '');
+    return `${safeName}.${CONTAINERS[settings.container].extension}`;
+};
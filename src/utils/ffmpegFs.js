@@ -0,0 +1,30 @@
+/**
+ * FFmpeg FS - Helpers for the FFmpeg WASM virtual file system
+ */
+
+// Files written by exports: the input copies, overlay images and segments,
+// canvas frames and encoded segments, audio tracks, smart trim parts, outputs and remux temporaries
+const EXPORT_FILE_PATTERN = /^(input(_\d+)?(\..+)?|layer_.+\.(png|mov)|text_layer_.+\.png|frame_\d+\.jpg|segment_\d+\..+|segments\.txt|track_.+|trim_.+|output\..+|remux_(input|output)\..+)$/;
+
+/**
+ * Delete the files an export left in the virtual FS
+ * Inputs are full copies of the video, so leaving them around holds
+ * the whole file in WASM memory
+ * @param {FFmpeg} ffmpeg - FFmpeg instance
+ * @returns {Promise<number>} - Number of files deleted
+ */
+export const cleanupExportFiles = async (ffmpeg) => {
+    if (!ffmpeg.loaded) return 0;
+
+    const entries = await ffmpeg.listDir('.');
+    const files = entries.filter(entry => !entry.isDir && EXPORT_FILE_PATTERN.test(entry.name));
+
+    for (const { name } of files) {
+        try {
+            await ffmpeg.deleteFile(name);
+        } catch (error) {
+            console.warn(`Could not delete ${name}:`, error);
+        }
+    }
+    return files.length;
+};
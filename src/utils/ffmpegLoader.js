@@ -0,0 +1,168 @@
+/**
+ * FFmpeg Loader - Loads the shared FFmpeg WASM instance on demand
+ * Nothing is fetched until an export needs FFmpeg. The multithreaded core is
+ * used when the page is cross-origin isolated (SharedArrayBuffer available),
+ * the single-threaded core otherwise or if the multithreaded one fails.
+ * Components subscribe to the load status to show progress and a retry action.
+ */
+
+import { FFmpeg } from '@ffmpeg/ffmpeg';
+// Both cores are bundled and served from our own origin, so exports work offline
+import multiThreadCoreURL from '@ffmpeg/core-mt?url';
+import multiThreadWasmURL from '@ffmpeg/core-mt/wasm?url';
+// The worker is tiny, but a data: URL worker can't import the core from our origin
+import multiThreadWorkerURL from '@ffmpeg/core-mt/worker?url&no-inline';
+import singleThreadCoreURL from '@ffmpeg/core?url';
+import singleThreadWasmURL from '@ffmpeg/core/wasm?url';
+
+export const FFMPEG_STATUS = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    READY: 'ready',
+    ERROR: 'error',
+};
+
+// A multithreaded load that hasn't finished by then is given up for the
+// single-threaded core - a pthread worker that fails to start hangs instead of
+// rejecting (milliseconds, generous: the core is ~30 MB on a first visit)
+const MULTI_THREAD_LOAD_TIMEOUT = 60000;
+
+const ffmpeg = new FFmpeg();
+
+let status = FFMPEG_STATUS.IDLE;
+let loadError = null;
+let isMultiThread = null;
+let loadPromise = null;
+const listeners = new Set();
+
+/**
+ * Check if the multithreaded core can run
+ * It shares memory between workers, which browsers only allow on
+ * cross-origin isolated pages (COOP/COEP headers)
+ * @returns {boolean}
+ */
+export const canUseMultiThreadCore = () => {
+    return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+};
+
+/**
+ * Get the shared FFmpeg instance (loaded or not)
+ * @returns {FFmpeg}
+ */
+export const getFFmpeg = () => ffmpeg;
+
+/**
+ * Get the current load status
+ * @returns {Object} - { status, error, isMultiThread }
+ */
+export const getFFmpegState = () => ({
+    // Terminating the worker (cancelled export) unloads it
+    status: status === FFMPEG_STATUS.READY && !ffmpeg.loaded ? FFMPEG_STATUS.IDLE : status,
+    error: loadError,
+    isMultiThread,
+});
+
+/**
+ * Listen for load status changes
+ * @param {Function} listener - Receives getFFmpegState() snapshots
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeFFmpegState = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Update the status and notify listeners
+ * @param {string} nextStatus - One of FFMPEG_STATUS
+ * @param {Error|null} error - Load error
+ */
+const setStatus = (nextStatus, error = null) => {
+    status = nextStatus;
+    loadError = error;
+    const state = getFFmpegState();
+    listeners.forEach(listener => listener(state));
+};
+
+/**
+ * Load a core, starting from a fresh worker
+ * The multithreaded load rejects if it hangs past MULTI_THREAD_LOAD_TIMEOUT.
+ * @param {boolean} multiThread - Load the multithreaded core
+ */
+const loadCore = async (multiThread) => {
+    // A failed load can leave a half-initialized worker behind
+    ffmpeg.terminate();
+
+    if (multiThread) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(new Error(`Multithreaded FFmpeg core didn't load within ${MULTI_THREAD_LOAD_TIMEOUT / 1000}s`));
+            }, MULTI_THREAD_LOAD_TIMEOUT);
+        });
+        const load = ffmpeg.load({
+            coreURL: multiThreadCoreURL,
+            wasmURL: multiThreadWasmURL,
+            workerURL: multiThreadWorkerURL,
+        });
+        // The fallback's terminate() rejects a load that timed out - nobody waits on it then
+        load.catch(() => {});
+        try {
+            await Promise.race([load, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    } else {
+        await ffmpeg.load({
+            coreURL: singleThreadCoreURL,
+            wasmURL: singleThreadWasmURL,
+        });
+    }
+    isMultiThread = multiThread;
+};
+
+/**
+ * Load FFmpeg if it isn't loaded yet
+ * Concurrent calls share one load; calling again after a failure retries
+ * @returns {Promise<FFmpeg>} - The loaded instance
+ */
+export const loadFFmpeg = () => {
+    if (ffmpeg.loaded) return Promise.resolve(ffmpeg);
+
+    if (!loadPromise) {
+        loadPromise = (async () => {
+            setStatus(FFMPEG_STATUS.LOADING);
+            try {
+                if (canUseMultiThreadCore()) {
+                    try {
+                        await loadCore(true);
+                    } catch (error) {
+                        console.warn('Multithreaded FFmpeg core failed to load, using the single-threaded core:', error);
+                        await loadCore(false);
+                    }
+                } else {
+                    await loadCore(false);
+                }
+                setStatus(FFMPEG_STATUS.READY);
+                return ffmpeg;
+            } catch (error) {
+                console.error('Failed to load FFmpeg:', error);
+                setStatus(FFMPEG_STATUS.ERROR, error);
+                throw error;
+            } finally {
+                loadPromise = null;
+            }
+        })();
+    }
+    return loadPromise;
+};
+
+/**
+ * Stop the FFmpeg worker
+ * exec() can't be interrupted, so this is how running commands are cancelled.
+ * The virtual FS goes with the worker; the next loadFFmpeg() starts fresh.
+ */
+export const terminateFFmpeg = () => {
+    ffmpeg.terminate();
+    setStatus(FFMPEG_STATUS.IDLE);
+};
@@ -0,0 +1,291 @@
+/**
+ * Keyframes - Animated overlay transforms
+ * A layer's `keyframes` hold a list per animated property (x, y, scale,
+ * rotate, opacity). Keyframe times are seconds from the layer's start, so
+ * moving the layer on the timeline moves its animation along; a keyframe's
+ * easing shapes the way to the next one. Properties without keyframes keep
+ * the layer's static transform. The preview and every exporter draw a layer
+ * through getAnimatedTransform() (by way of getOverlayAt() in
+ * overlayTransitions.js), so they move identically.
+ */
+
+export const ANIMATED_PROPERTIES = ['x', 'y', 'scale', 'rotate', 'opacity'];
+
+// Easing curves - map progress 0-1 between two keyframes to 0-1
+export const EASINGS = {
+    linear: { label: 'Linear', ease: (t) => t },
+    'ease-in': { label: 'Ease in', ease: (t) => t * t },
+    'ease-out': { label: 'Ease out', ease: (t) => 1 - (1 - t) * (1 - t) },
+    'ease-in-out': { label: 'Ease in-out', ease: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)) },
+    hold: { label: 'Hold', ease: () => 0 },
+};
+
+export const DEFAULT_EASING = 'ease-in-out';
+
+// Keyframes closer than this (seconds) are at the same time
+const TIME_EPSILON = 0.001;
+
+/**
+ * Static value of a property, used where it has no keyframes
+ * @param {Object} transform - Layer transform
+ * @param {string} property - One of ANIMATED_PROPERTIES
+ * @returns {number|Array<number>}
+ */
+const getStaticValue = (transform, property) => {
+    switch (property) {
+        case 'scale': return transform.scale || [1, 1];
+        case 'rotate': return transform.rotate || 0;
+        case 'opacity': return transform.opacity ?? 1;
+        default: return transform[property] || 0;
+    }
+};
+
+/**
+ * Blend two values - numbers, or arrays of numbers like scale
+ * @param {number|Array<number>} from
+ * @param {number|Array<number>} to
+ * @param {number} amount - 0 gives `from`, 1 gives `to`
+ * @returns {number|Array<number>}
+ */
+const mix = (from, to, amount) => {
+    if (Array.isArray(from)) return from.map((value, i) => value + (to[i] - value) * amount);
+    return from + (to - from) * amount;
+};
+
+/**
+ * Whether a layer has any keyframes
+ * @param {Object} layer - Overlay layer
+ * @returns {boolean}
+ */
+export const isAnimated = (layer) => {
+    return ANIMATED_PROPERTIES.some(property => layer.keyframes?.[property]?.length > 0);
+};
+
+/**
+ * Value of one property's keyframes at a time
+ * Before the first keyframe and after the last the value holds.
+ * @param {Array<Object>} keyframes - { time, value, easing }, ascending
+ * @param {number} time - Seconds from the layer's start
+ * @returns {number|Array<number>}
+ */
+const interpolate = (keyframes, time) => {
+    if (time <= keyframes[0].time) return keyframes[0].value;
+    const nextIndex = keyframes.findIndex(keyframe => keyframe.time > time);
+    if (nextIndex < 0) return keyframes[keyframes.length - 1].value;
+
+    const previous = keyframes[nextIndex - 1];
+    const next = keyframes[nextIndex];
+    const progress = (time - previous.time) / (next.time - previous.time);
+    const ease = (EASINGS[previous.easing] || EASINGS.linear).ease;
+    return mix(previous.value, next.value, ease(progress));
+};
+
+/**
+ * A layer's transform at a point of the video
+ * @param {Object} layer - Overlay layer
+ * @param {number} time - Source time in seconds
+ * @returns {Object} - Transform with x, y, scale, rotate and opacity resolved
+ */
+export const getAnimatedTransform = (layer, time) => {
+    const transform = { ...layer.transform };
+    const offset = time - layer.timing.start;
+    for (const property of ANIMATED_PROPERTIES) {
+        const keyframes = layer.keyframes?.[property];
+        transform[property] = keyframes?.length > 0
+            ? interpolate(keyframes, offset)
+            : getStaticValue(layer.transform, property);
+    }
+    return transform;
+};
+
+/**
+ * The layer as it's drawn at a point of the video
+ * Static layers come back as they are, so per-layer caches (loaded images)
+ * stay on the object the exporters hold.
+ * @param {Object} layer - Overlay layer
+ * @param {number} time - Source time in seconds
+ * @returns {Object} - Layer with its transform at that time
+ */
+export const animateOverlay = (layer, time) => {
+    if (!isAnimated(layer)) return layer;
+    return { ...layer, transform: getAnimatedTransform(layer, time) };
+};
+
+/**
+ * Times of a layer's keyframes, any property, for the timeline
+ * @param {Object} layer - Overlay layer
+ * @returns {Array<number>} - Seconds from the layer's start, ascending and unique
+ */
+export const getKeyframeTimes = (layer) => {
+    const times = [];
+    for (const property of ANIMATED_PROPERTIES) {
+        for (const { time } of layer.keyframes?.[property] || []) {
+            if (!times.some(other => Math.abs(other - time) < TIME_EPSILON)) times.push(time);
+        }
+    }
+    return times.sort((a, b) => a - b);
+};
+
+/**
+ * Keyframe time of a layer at a point of the video
+ * @param {Object} layer - Overlay layer
+ * @param {number} time - Source time in seconds
+ * @returns {number|null} - Seconds from the layer's start, null if there's no keyframe there
+ */
+export const findKeyframeTime = (layer, time) => {
+    const offset = time - layer.timing.start;
+    return getKeyframeTimes(layer).find(other => Math.abs(other - offset) < TIME_EPSILON) ?? null;
+};
+
+/**
+ * Easing of the keyframes at a time
+ * Keyframes added together share one easing - the first property's is taken
+ * @param {Object} layer - Overlay layer
+ * @param {number} offset - Seconds from the layer's start
+ * @returns {string|null} - Key of EASINGS, null if there's no keyframe there
+ */
+export const getKeyframeEasing = (layer, offset) => {
+    for (const property of ANIMATED_PROPERTIES) {
+        const keyframe = layer.keyframes?.[property]?.find(other => Math.abs(other.time - offset) < TIME_EPSILON);
+        if (keyframe) return keyframe.easing;
+    }
+    return null;
+};
+
+/**
+ * Add or replace a property's keyframe
+ * @param {Object} keyframes - Layer keyframes
+ * @param {string} property - One of ANIMATED_PROPERTIES
+ * @param {Object} keyframe - { time, value, easing } - easing defaults to the replaced keyframe's
+ * @returns {Object} - New keyframes
+ */
+const putKeyframe = (keyframes, property, keyframe) => {
+    const list = keyframes?.[property] || [];
+    const existing = list.find(other => Math.abs(other.time - keyframe.time) < TIME_EPSILON);
+    const easing = keyframe.easing || existing?.easing || DEFAULT_EASING;
+    return {
+        ...keyframes,
+        [property]: [
+            ...list.filter(other => other !== existing),
+            { time: existing ? existing.time : keyframe.time, value: keyframe.value, easing },
+        ].sort((a, b) => a.time - b.time),
+    };
+};
+
+/**
+ * Key every property at a time with the layer's current values
+ * @param {Object} layer - Overlay layer
+ * @param {number} time - Source time in seconds
+ * @returns {Object} - New keyframes
+ */
+export const addKeyframes = (layer, time) => {
+    const transform = getAnimatedTransform(layer, time);
+    const offset = time - layer.timing.start;
+    return ANIMATED_PROPERTIES.reduce(
+        (keyframes, property) => putKeyframe(keyframes, property, { time: offset, value: transform[property] }),
+        layer.keyframes || {}
+    );
+};
+
+/**
+ * Remove the keyframes at a time, every property
+ * @param {Object} layer - Overlay layer
+ * @param {number} offset - Seconds from the layer's start
+ * @returns {Object} - New keyframes
+ */
+export const removeKeyframes = (layer, offset) => {
+    const keyframes = {};
+    for (const property of ANIMATED_PROPERTIES) {
+        const list = (layer.keyframes?.[property] || []).filter(keyframe => Math.abs(keyframe.time - offset) >= TIME_EPSILON);
+        if (list.length > 0) keyframes[property] = list;
+    }
+    return keyframes;
+};
+
+/**
+ * Change the easing of the keyframes at a time, every property
+ * @param {Object} layer - Overlay layer
+ * @param {number} offset - Seconds from the layer's start
+ * @param {string} easing - Key of EASINGS
+ * @returns {Object} - New keyframes
+ */
+export const setKeyframeEasing = (layer, offset, easing) => {
+    const keyframes = {};
+    for (const [property, list] of Object.entries(layer.keyframes || {})) {
+        keyframes[property] = list.map(keyframe => (
+            Math.abs(keyframe.time - offset) < TIME_EPSILON ? { ...keyframe, easing } : keyframe
+        ));
+    }
+    return keyframes;
+};
+
+/**
+ * Move keyframes along the layer, e.g. to keep them in place when its start is trimmed
+ * @param {Object} keyframes - Layer keyframes
+ * @param {number} delta - Seconds to add to every keyframe time
+ * @returns {Object} - New keyframes
+ */
+export const shiftKeyframes = (keyframes, delta) => {
+    const shifted = {};
+    for (const [property, list] of Object.entries(keyframes || {})) {
+        shifted[property] = list.map(keyframe => ({ ...keyframe, time: keyframe.time + delta }));
+    }
+    return shifted;
+};
+
+/**
+ * Updates for an edit of the layer's transform at the playhead
+ * Animated properties get a keyframe at the playhead, the others change the
+ * static transform - so dragging an animated layer reshapes its animation.
+ * @param {Object} layer - Overlay layer
+ * @param {Object} changes - New values, e.g. { x, y } or { rotate }
+ * @param {number} time - Source time in seconds
+ * @returns {Object} - { transform, keyframes } for the layer
+ */
+export const getTransformEdit = (layer, changes, time) => {
+    const offset = time - layer.timing.start;
+    let transform = layer.transform;
+    let keyframes = layer.keyframes || {};
+    for (const [property, value] of Object.entries(changes)) {
+        if (keyframes[property]?.length > 0) {
+            keyframes = putKeyframe(keyframes, property, { time: offset, value });
+        } else {
+            transform = { ...transform, [property]: value };
+        }
+    }
+    return { transform, keyframes };
+};
+
+/**
+ * Whether a value from a project file fits a property
+ * @param {string} property - One of ANIMATED_PROPERTIES
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isValidValue = (property, value) => {
+    if (property === 'scale') return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+    return Number.isFinite(value);
+};
+
+/**
+ * Bring keyframes from a project file into the shape the editor expects
+ * @param {Object} keyframes - Keyframes from the file
+ * @returns {Object} - Valid keyframes, ascending
+ */
+export const normalizeKeyframes = (keyframes) => {
+    const normalized = {};
+    if (!keyframes || typeof keyframes !== 'object') return normalized;
+    for (const property of ANIMATED_PROPERTIES) {
+        if (!Array.isArray(keyframes[property])) continue;
+        const list = keyframes[property]
+            .filter(keyframe => Number.isFinite(Number(keyframe?.time)) && isValidValue(property, keyframe.value))
+            .map(keyframe => ({
+                time: Number(keyframe.time),
+                value: keyframe.value,
+                easing: EASINGS[keyframe.easing] ? keyframe.easing : DEFAULT_EASING,
+            }))
+            .sort((a, b) => a.time - b.time);
+        if (list.length > 0) normalized[property] = list;
+    }
+    return normalized;
+};
@@ -0,0 +1,240 @@
+/**
+ * Media Info - Reads video properties (size, duration, frame rate) from a file
+ * MP4/MOV files are read from the container's sample table for exact timing;
+ * other formats fall back to the <video> element and a frame rate estimate.
+ */
+
+import { Mp4Demuxer, isIsoBmff } from './mp4Demuxer.js';
+
+export const DEFAULT_FPS = 30;
+
+/**
+ * Frame rates offered as export targets and used to name VFR sources
+ */
+export const COMMON_FRAME_RATES = [24000 / 1001, 24, 25, 30000 / 1001, 30, 50, 60000 / 1001, 60];
+
+// Share of frames allowed to deviate from the dominant frame duration
+// before a stream is treated as variable frame rate
+const VFR_FRAME_SHARE = 0.01;
+
+/**
+ * Format a frame rate for display (23.976, 24, 29.97...)
+ * @param {number} fps - Frame rate
+ * @returns {string}
+ */
+export const formatFrameRate = (fps) => {
+    if (!fps) return '?';
+    return String(parseFloat(fps.toFixed(3)));
+};
+
+/**
+ * Find the common frame rate closest to a measured rate
+ * @param {number} fps - Measured frame rate
+ * @returns {number}
+ */
+export const getNominalFrameRate = (fps) => {
+    return COMMON_FRAME_RATES.reduce((best, rate) =>
+        Math.abs(rate - fps) < Math.abs(best - fps) ? rate : best
+    , COMMON_FRAME_RATES[0]);
+};
+
+/**
+ * Analyze sample durations from a track's sample table
+ * @param {Array} samples - MP4Box samples (decode order)
+ * @param {number} timescale - Track timescale
+ * @returns {{ fps: number, averageFps: number, isVFR: boolean, frameCount: number }}
+ */
+export const analyzeFrameTiming = (samples, timescale) => {
+    if (samples.length === 0) {
+        return { fps: DEFAULT_FPS, averageFps: DEFAULT_FPS, isVFR: false, frameCount: 0 };
+    }
+
+    // The last sample is often shortened to the track end - leave it out
+    const durations = samples.slice(0, -1).map(sample => sample.duration);
+    const totalDuration = samples.reduce((sum, sample) => sum + sample.duration, 0);
+    const averageFps = totalDuration > 0 ? samples.length / (totalDuration / timescale) : DEFAULT_FPS;
+
+    if (durations.length === 0) {
+        return { fps: averageFps, averageFps, isVFR: false, frameCount: samples.length };
+    }
+
+    // Most common frame duration
+    const counts = new Map();
+    for (const duration of durations) {
+        counts.set(duration, (counts.get(duration) || 0) + 1);
+    }
+    let dominant = durations[0];
+    for (const [duration, count] of counts) {
+        if (count > counts.get(dominant)) dominant = duration;
+    }
+
+    const deviating = durations.filter(duration => Math.abs(duration - dominant) > dominant * 0.01).length;
+    const isVFR = deviating / durations.length > VFR_FRAME_SHARE;
+
+    return {
+        // CFR: exact rate from the frame duration (e.g. 30000/1001)
+        // VFR: average rate, snapped to the nearest common rate for output
+        fps: isVFR ? getNominalFrameRate(averageFps) : timescale / dominant,
+        averageFps,
+        isVFR,
+        frameCount: samples.length,
+    };
+};
+
+/**
+ * Get the presentation times of the keyframes (sync samples)
+ * @param {Array} samples - MP4Box samples
+ * @param {number} timescale - Track timescale
+ * @param {number} startOffset - Edit list offset in seconds (see Mp4Demuxer.getStartOffset)
+ * @returns {Array<number>} - Seconds, ascending
+ */
+export const getKeyframeTimes = (samples, timescale, startOffset = 0) => {
+    return samples
+        .filter(sample => sample.is_sync)
+        .map(sample => Math.max(0, sample.cts / timescale - startOffset))
+        .sort((a, b) => a - b);
+};
+
+/**
+ * Build a media info object from an opened MP4 demuxer
+ * @param {Mp4Demuxer} demuxer - Opened demuxer
+ * @returns {Object} - Media info
+ */
+export const getMp4MediaInfo = (demuxer) => {
+    const { info, videoTrack, audioTrack } = demuxer;
+    if (!videoTrack) {
+        throw new Error('No video track found');
+    }
+
+    const samples = demuxer.getSamples(videoTrack.id);
+    const timing = analyzeFrameTiming(samples, videoTrack.timescale);
+
+    return {
+        container: info.brands.includes('qt  ') ? 'mov' : 'mp4',
+        width: videoTrack.track_width || videoTrack.video.width,
+        height: videoTrack.track_height || videoTrack.video.height,
+        duration: demuxer.getDuration(videoTrack),
+        fps: timing.fps,
+        averageFps: timing.averageFps,
+        isVFR: timing.isVFR,
+        fpsSource: 'container',
+        frameCount: timing.frameCount,
+        keyframes: getKeyframeTimes(samples, videoTrack.timescale, demuxer.getStartOffset(videoTrack)),
+        videoCodec: videoTrack.codec,
+        audioCodec: audioTrack ? audioTrack.codec : null,
+        hasAudio: Boolean(audioTrack),
+    };
+};
+
+/**
+ * Estimate the frame rate of a playing video with requestVideoFrameCallback
+ * @param {HTMLVideoElement} video - Muted video element with a source
+ * @param {number} sampleFrames - Number of frames to observe
+ * @returns {Promise<number|null>} - Estimated fps, or null if unavailable
+ */
+const estimateFrameRate = (video, sampleFrames = 12) => {
+    return new Promise((resolve) => {
+        if (!('requestVideoFrameCallback' in HTMLVideoElement.prototype)) {
+            resolve(null);
+            return;
+        }
+
+        const mediaTimes = [];
+        let timer = null;
+
+        const finish = () => {
+            clearTimeout(timer);
+            video.pause();
+
+            const deltas = mediaTimes.slice(1)
+                .map((time, i) => time - mediaTimes[i])
+                .filter(delta => delta > 0)
+                .sort((a, b) => a - b);
+
+            if (deltas.length === 0) {
+                resolve(null);
+                return;
+            }
+            // Median delta ignores frames the compositor skipped
+            resolve(1 / deltas[Math.floor(deltas.length / 2)]);
+        };
+
+        const onFrame = (now, metadata) => {
+            mediaTimes.push(metadata.mediaTime);
+            if (mediaTimes.length >= sampleFrames) {
+                finish();
+            } else {
+                video.requestVideoFrameCallback(onFrame);
+            }
+        };
+
+        timer = setTimeout(finish, 2000);
+        video.requestVideoFrameCallback(onFrame);
+        video.play().catch(finish);
+    });
+};
+
+/**
+ * Read media info through a <video> element (non-MP4 containers)
+ * @param {File} file - Video file
+ * @returns {Promise<Object>} - Media info
+ */
+const getElementMediaInfo = async (file) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.src = url;
+    video.muted = true;
+    video.playsInline = true;
+
+    try {
+        await new Promise((resolve, reject) => {
+            video.onloadedmetadata = resolve;
+            video.onerror = reject;
+        });
+
+        const estimated = await estimateFrameRate(video);
+
+        return {
+            container: (file.type.split('/')[1] || '').split(';')[0] || 'unknown',
+            width: video.videoWidth,
+            height: video.videoHeight,
+            duration: video.duration,
+            fps: estimated ? getNominalFrameRate(estimated) : DEFAULT_FPS,
+            averageFps: estimated || DEFAULT_FPS,
+            isVFR: false,
+            fpsSource: estimated ? 'estimated' : 'default',
+            frameCount: Math.round(video.duration * (estimated || DEFAULT_FPS)),
+            keyframes: null, // Unknown without the sample table
+            videoCodec: null,
+            audioCodec: null,
+            hasAudio: null,
+        };
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(url);
+    }
+};
+
+/**
+ * Get media info for a video file
+ * @param {File} file - Video file
+ * @returns {Promise<Object>} - { container, width, height, duration, fps, averageFps,
+ *   isVFR, fpsSource ('container' | 'estimated' | 'default'), frameCount,
+ *   keyframes (seconds, or null if unknown), videoCodec, audioCodec, hasAudio }
+ */
+export const getMediaInfo = async (file) => {
+    if (await isIsoBmff(file)) {
+        const demuxer = new Mp4Demuxer(file);
+        try {
+            await demuxer.open();
+            return getMp4MediaInfo(demuxer);
+        } catch (error) {
+            console.warn('Could not read MP4 sample table, falling back to <video>:', error);
+        } finally {
+            demuxer.close();
+        }
+    }
+
+    return getElementMediaInfo(file);
+};
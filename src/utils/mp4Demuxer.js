@@ -0,0 +1,201 @@
+/**
+ * MP4 Demuxer - Reads the sample table of an MP4/MOV file with MP4Box
+ * Samples are read from the File on demand, so large videos are never
+ * loaded into memory all at once.
+ */
+
+import { createFile, DataStream, Endianness, MP4BoxBuffer } from 'mp4box';
+
+// Size of the chunks appended to MP4Box while looking for the moov box
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Check whether a file is an ISO base media file (MP4, MOV, M4V)
+ * @param {File|Blob} file - File to inspect
+ * @returns {Promise<boolean>}
+ */
+export const isIsoBmff = async (file) => {
+    if (!file || file.size < 8) return false;
+    const header = new Uint8Array(await file.slice(4, 8).arrayBuffer());
+    return String.fromCharCode(...header) === 'ftyp';
+};
+
+/**
+ * Serialize the codec configuration box (avcC, hvcC, vpcC, av1C) of a sample
+ * entry into the `description` expected by VideoDecoder.configure()
+ * @param {Object} entry - MP4Box sample entry
+ * @returns {Uint8Array|undefined}
+ */
+const getCodecDescription = (entry) => {
+    const box = entry.avcC || entry.hvcC || entry.vpcC || entry.av1C;
+    if (!box) return undefined;
+
+    const stream = new DataStream(undefined, 0, Endianness.BIG_ENDIAN);
+    box.write(stream);
+    // Skip the 8 byte box header (size + type)
+    return new Uint8Array(stream.buffer, 8);
+};
+
+/**
+ * Mp4Demuxer class
+ * Exposes track info, decoder configs and sample data for WebCodecs
+ */
+export class Mp4Demuxer {
+    constructor(file) {
+        this.file = file;
+        this.isoFile = null;
+        this.info = null;
+        this.videoTrack = null;
+        this.audioTrack = null;
+    }
+
+    /**
+     * Parse the file until the movie header (and any fragments) are known
+     * @returns {Promise<Object>} - MP4Box movie info
+     */
+    async open() {
+        if (this.info) return this.info;
+
+        if (!(await isIsoBmff(this.file))) {
+            throw new Error('Not an MP4/MOV file');
+        }
+
+        const isoFile = createFile();
+        let info = null;
+        let parseError = null;
+
+        isoFile.onReady = (movie) => {
+            info = movie;
+        };
+        isoFile.onError = (module, message) => {
+            parseError = new Error(`MP4Box ${module}: ${message}`);
+        };
+
+        let offset = 0;
+        while (offset < this.file.size && !parseError) {
+            // Fragmented files keep their samples in moof boxes after the moov,
+            // so they have to be read to the end to build the full sample table
+            if (info && !info.isFragmented) break;
+
+            const buffer = await this.file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+            const next = isoFile.appendBuffer(MP4BoxBuffer.fromArrayBuffer(buffer, offset));
+
+            // MP4Box returns the position it wants next, which lets us skip
+            // over mdat payloads we don't need to parse
+            offset = Math.max(next || 0, offset + buffer.byteLength);
+        }
+        isoFile.flush();
+
+        if (parseError) throw parseError;
+        if (!info) throw new Error('Could not find movie header (moov) in file');
+
+        this.isoFile = isoFile;
+        this.info = isoFile.getInfo();
+        this.videoTrack = this.info.videoTracks[0] || null;
+        this.audioTrack = this.info.audioTracks[0] || null;
+
+        return this.info;
+    }
+
+    /**
+     * Get the sample table of a track (no sample data is loaded)
+     * @param {number} trackId - Track id
+     * @returns {Array} - MP4Box samples in decode order
+     */
+    getSamples(trackId) {
+        return this.isoFile.getTrackSamplesInfo(trackId) || [];
+    }
+
+    /**
+     * Get the duration of a track's media, in seconds
+     * Taken from the sample table: fragmented MP4s (MediaRecorder, many
+     * screen recorders) leave the mdhd duration at 0, which is only used
+     * when there are no samples.
+     * @param {Object} track - MP4Box track info
+     * @returns {number}
+     */
+    getDuration(track) {
+        const samples = this.getSamples(track.id);
+        const last = samples[samples.length - 1];
+        if (last) return (last.dts + last.duration) / track.timescale;
+        return track.duration / track.timescale;
+    }
+
+    /**
+     * Get the first sample entry (stsd) of a track
+     * @param {number} trackId - Track id
+     * @returns {Object} - MP4Box sample entry box
+     */
+    getSampleEntry(trackId) {
+        const trak = this.isoFile.getTrackById(trackId);
+        return trak.mdia.minf.stbl.stsd.entries[0];
+    }
+
+    /**
+     * Get the presentation offset of a track from its edit list, in seconds
+     * Encoders with B-frames shift composition times, and the edit list
+     * maps them back so the first frame is shown at 0 (like <video> does)
+     * @param {Object} track - MP4Box track info
+     * @returns {number}
+     */
+    getStartOffset(track) {
+        const edit = (track.edits || []).find(entry => entry.media_time >= 0);
+        return edit ? edit.media_time / track.timescale : 0;
+    }
+
+    /**
+     * Build a VideoDecoderConfig for the video track
+     * @returns {VideoDecoderConfig|null}
+     */
+    getVideoDecoderConfig() {
+        const track = this.videoTrack;
+        if (!track) return null;
+
+        return {
+            codec: track.codec.startsWith('vp08') ? 'vp8' : track.codec,
+            codedWidth: track.video.width,
+            codedHeight: track.video.height,
+            description: getCodecDescription(this.getSampleEntry(track.id)),
+        };
+    }
+
+    /**
+     * Build an AudioDecoderConfig for the audio track
+     * @returns {AudioDecoderConfig|null}
+     */
+    getAudioDecoderConfig() {
+        const track = this.audioTrack;
+        if (!track) return null;
+
+        const entry = this.getSampleEntry(track.id);
+        // AAC needs the AudioSpecificConfig from the esds box
+        const decoderSpecificInfo = entry.esds?.esd?.descs?.[0]?.descs?.[0];
+
+        return {
+            codec: track.codec,
+            sampleRate: track.audio.sample_rate,
+            numberOfChannels: track.audio.channel_count,
+            description: decoderSpecificInfo?.data,
+        };
+    }
+
+    /**
+     * Read the payload of a sample from the file
+     * @param {Object} sample - MP4Box sample
+     * @returns {Promise<Uint8Array>}
+     */
+    async readSample(sample) {
+        const buffer = await this.file.slice(sample.offset, sample.offset + sample.size).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    /**
+     * Release parser state
+     */
+    close() {
+        this.isoFile = null;
+        this.info = null;
+        this.videoTrack = null;
+        this.audioTrack = null;
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * MP4 Muxer - Writes WebCodecs encoded chunks into an MP4 file with MP4Box
+ */
+
+import { createFile, Box } from 'mp4box';
+
+// Track timescale - 90kHz is the usual video clock and fits hours of media
+// into the 32-bit duration fields
+export const MUX_TIMESCALE = 90000;
+
+/**
+ * Convert microseconds (WebCodecs timestamps) to track timescale units
+ * @param {number} us - Time in microseconds
+ * @returns {number}
+ */
+const toTimescale = (us) => Math.round((us * MUX_TIMESCALE) / 1e6);
+
+// AAC sampling frequency indexes (ISO 14496-3 table 1.18)
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * Build an MPEG-4 descriptor (tag, length, payload)
+ * @param {number} tag - Descriptor tag
+ * @param {Array<number>} payload - Descriptor bytes
+ * @returns {Array<number>}
+ */
+const descriptor = (tag, payload) => [tag, payload.length, ...payload];
+
+/**
+ * Build the esds box describing an AAC track
+ * MP4Box.js parses esds but can't write one, so the payload is built here
+ * @param {Uint8Array} audioSpecificConfig - AudioSpecificConfig from the encoder
+ * @param {number} bitrate - Average bitrate in bits per second
+ * @returns {Box}
+ */
+const createEsdsBox = (audioSpecificConfig, bitrate) => {
+    const uint32 = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    const decoderConfig = descriptor(0x04, [
+        0x40, // Object type: MPEG-4 audio
+        0x15, // Stream type: audio
+        0, 0, 0, // Buffer size
+        ...uint32(bitrate), // Max bitrate
+        ...uint32(bitrate), // Average bitrate
+        ...descriptor(0x05, [...audioSpecificConfig]),
+    ]);
+    const esDescriptor = descriptor(0x03, [
+        0, 0, // ES_ID
+        0, // Flags
+        ...decoderConfig,
+        ...descriptor(0x06, [0x02]), // SL config: predefined MP4
+    ]);
+
+    const box = new Box();
+    box.type = 'esds';
+    box.data = new Uint8Array([0, 0, 0, 0, ...esDescriptor]); // Version and flags, then the descriptor
+    return box;
+};
+
+/**
+ * AudioSpecificConfig for AAC-LC, for encoders that don't provide one
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channelCount - Number of channels
+ * @returns {Uint8Array}
+ */
+const getAacConfig = (sampleRate, channelCount) => {
+    const rateIndex = Math.max(0, AAC_SAMPLE_RATES.indexOf(sampleRate));
+    const config = (2 << 11) | (rateIndex << 7) | (channelCount << 3); // Object type 2 = AAC-LC
+    return new Uint8Array([config >> 8, config & 0xff]);
+};
+
+/**
+ * Mp4Muxer class
+ * Collects video/audio samples and produces a (fragmented) MP4 Blob
+ */
+export class Mp4Muxer {
+    /**
+     * @param {Object} options
+     * @param {number} options.duration - Expected duration in seconds (written to the headers)
+     */
+    constructor({ duration = 0 } = {}) {
+        this.isoFile = createFile();
+        this.duration = duration;
+        this.videoTrackId = null;
+        this.audioTrackId = null;
+    }
+
+    /**
+     * Add the video track from the encoder's decoder config
+     * @param {Object} options
+     * @param {string} options.codec - Codec string (e.g. 'avc1.640028')
+     * @param {number} options.width - Frame width
+     * @param {number} options.height - Frame height
+     * @param {BufferSource} options.description - avcC record from EncodedVideoChunkMetadata
+     */
+    addVideoTrack({ codec, width, height, description }) {
+        const mediaDuration = Math.round(this.duration * MUX_TIMESCALE);
+
+        this.videoTrackId = this.isoFile.addTrack({
+            type: codec.split('.')[0],
+            width,
+            height,
+            timescale: MUX_TIMESCALE,
+            duration: mediaDuration,
+            media_duration: mediaDuration,
+            brands: ['isom', 'iso2', 'avc1', 'mp41'],
+            avcDecoderConfigRecord: description,
+        });
+        return this.videoTrackId;
+    }
+
+    /**
+     * Add an audio track that copies the sample entry of a source track
+     * (stream copy - the samples are muxed without re-encoding)
+     * @param {Object} options
+     * @param {Object} options.sampleEntry - Source MP4Box sample entry (mp4a, Opus...)
+     * @param {number} options.timescale - Timescale of the source track
+     * @param {number} options.sampleRate - Sample rate in Hz
+     * @param {number} options.channelCount - Number of channels
+     */
+    addAudioTrackFromEntry({ sampleEntry, timescale, sampleRate, channelCount }) {
+        this.audioTrackId = this.isoFile.addTrack({
+            type: sampleEntry.type,
+            hdlr: 'soun',
+            timescale,
+            duration: Math.round(this.duration * MUX_TIMESCALE),
+            media_duration: Math.round(this.duration * timescale),
+            samplerate: sampleRate,
+            channel_count: channelCount,
+            samplesize: 16,
+            // Carry over esds/dOps etc. so decoders get the same configuration
+            description_boxes: sampleEntry.boxes || [],
+        });
+        return this.audioTrackId;
+    }
+
+    /**
+     * Add an AAC track for AudioEncoder output
+     * @param {Object} options
+     * @param {number} options.sampleRate - Sample rate in Hz (also the track timescale)
+     * @param {number} options.channelCount - Number of channels
+     * @param {number} options.bitrate - Average bitrate in bits per second
+     * @param {BufferSource} options.description - AudioSpecificConfig from EncodedAudioChunkMetadata
+     */
+    addAudioTrack({ sampleRate, channelCount, bitrate, description }) {
+        let config = getAacConfig(sampleRate, channelCount);
+        if (description) {
+            config = ArrayBuffer.isView(description)
+                ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+                : new Uint8Array(description);
+        }
+
+        this.audioTrackId = this.isoFile.addTrack({
+            type: 'mp4a',
+            hdlr: 'soun',
+            timescale: sampleRate,
+            duration: Math.round(this.duration * MUX_TIMESCALE),
+            media_duration: Math.round(this.duration * sampleRate),
+            samplerate: sampleRate,
+            channel_count: channelCount,
+            samplesize: 16,
+            description_boxes: [createEsdsBox(config, bitrate)],
+        });
+        return this.audioTrackId;
+    }
+
+    /**
+     * Add an encoded audio chunk (AAC track from addAudioTrack)
+     * @param {EncodedAudioChunk} chunk - Chunk from AudioEncoder output
+     * @param {number} sampleRate - Track sample rate
+     */
+    addAudioChunk(chunk, sampleRate) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        const time = Math.round((chunk.timestamp * sampleRate) / 1e6);
+        this.addAudioSample(data, {
+            dts: time,
+            cts: time,
+            duration: Math.round(((chunk.duration || 0) * sampleRate) / 1e6),
+        });
+    }
+
+    /**
+     * Add an encoded video chunk
+     * @param {EncodedVideoChunk} chunk - Chunk from VideoEncoder output
+     */
+    addVideoChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        const time = toTimescale(chunk.timestamp);
+        this.isoFile.addSample(this.videoTrackId, data, {
+            duration: toTimescale(chunk.duration || 0),
+            dts: time,
+            cts: time,
+            is_sync: chunk.type === 'key',
+        });
+    }
+
+    /**
+     * Add a stream-copied audio sample
+     * @param {Uint8Array} data - Sample payload
+     * @param {Object} timing - dts/cts/duration in the audio track timescale
+     */
+    addAudioSample(data, { dts, cts, duration, isSync = true }) {
+        this.isoFile.addSample(this.audioTrackId, data, {
+            duration,
+            dts,
+            cts,
+            is_sync: isSync,
+        });
+    }
+
+    /**
+     * Write the file
+     * @returns {Blob} - MP4 Blob
+     */
+    finalize() {
+        const stream = this.isoFile.getBuffer();
+        return new Blob([stream.buffer], { type: 'video/mp4' });
+    }
+}
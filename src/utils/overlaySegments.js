@@ -0,0 +1,167 @@
+/**
+ * Overlay Segments - Overlays for FFmpeg filter graphs
+ * Each overlay is drawn by the canvas compositor (rotation, scale and text
+ * layout match the preview) into a PNG, then pre-rendered into a finite
+ * transparent video segment. Looping a still image straight into the main
+ * graph froze FFmpeg WASM, and the overlay filter's enable= option crashes
+ * it, so timing comes from shifting the segment's timestamps instead
+ * (see ISSUE_EXPORT_DEBUG_LOG.md). Animated overlays (keyframes or
+ * transitions) can't be one still, so their segment is rendered frame by
+ * frame at the full frame size instead.
+ */
+
+import { createCompositorCanvas, preloadOverlayImages, renderOverlayFrame, renderOverlayImage } from './canvasCompositor.js';
+import { getOverlayAt, isOverlayAnimated } from './overlayTransitions.js';
+import { remapTiming, toSourceTime } from './timeRanges.js';
+
+/**
+ * Frames needed for a looped still to cover a duration
+ * The loop has to be finite: loop=-1 (infinite) combined with trim corrupts
+ * the timestamps in FFmpeg WASM
+ * @param {number} durationInSeconds - Duration to cover
+ * @param {number} fps - Output frame rate
+ * @returns {number}
+ */
+export const calculateLoopCount = (durationInSeconds, fps) => {
+    const exactFrames = durationInSeconds * fps;
+    // Round up and add 1 as safety buffer to prevent frame cutoff
+    return Math.ceil(exactFrames) + 1;
+};
+
+/**
+ * Render an animated overlay into a transparent video segment, one frame at a time
+ * Each frame shows the overlay at the source time that output frame comes
+ * from, so the animation skips cuts like it does in the canvas exporters.
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {Object} layer - Overlay layer (images preloaded)
+ * @param {string} segmentName - File to write the segment to
+ * @param {Object} options - { start, end, keepRanges, width, height, scaleX, scaleY, fps }
+ * @returns {Promise<number>} - FFmpeg exit code
+ */
+const renderAnimatedSegment = async (ffmpeg, layer, segmentName, { start, end, keepRanges, width, height, scaleX, scaleY, fps }) => {
+    const canvas = createCompositorCanvas(width, height);
+    const frameSize = { width: width / scaleX, height: height / scaleY };
+    const frameCount = calculateLoopCount(end - start, fps);
+    const frameNames = [];
+    for (let frame = 0; frame < frameCount; frame++) {
+        const sourceTime = toSourceTime(keepRanges, start + frame / fps);
+        const blob = await renderOverlayFrame(canvas, getOverlayAt(layer, sourceTime, frameSize), scaleX, scaleY);
+        const frameName = `layer_${layer.id}_${String(frame).padStart(5, '0')}.png`;
+        await ffmpeg.writeFile(frameName, new Uint8Array(await blob.arrayBuffer()));
+        frameNames.push(frameName);
+    }
+
+    const exitCode = await ffmpeg.exec([
+        '-framerate', fps.toString(),
+        '-i', `layer_${layer.id}_%05d.png`,
+        '-c:v', 'qtrle',
+        '-pix_fmt', 'argb',
+        segmentName
+    ]);
+    for (const frameName of frameNames) {
+        await ffmpeg.deleteFile(frameName);
+    }
+    return exitCode;
+};
+
+/**
+ * Render overlays into segments and build the filters that lay them over a video stream
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {Object} options
+ * @param {Array<Object>} options.overlays - Overlays in z-order (later on top), timed in source time
+ * @param {Array<Object>} options.keepRanges - Kept source ranges (see timeRanges.js)
+ * @param {string} options.inputStream - Label of the stream to draw on, e.g. '[0:v]'
+ * @param {number} options.firstInputIndex - FFmpeg input index the first segment gets
+ * @param {number} options.width - Width of the video picture in the output
+ * @param {number} options.height - Height of the video picture in the output
+ * @param {number} options.scaleX - Horizontal scale factor (export size / display size)
+ * @param {number} options.scaleY - Vertical scale factor (export size / display size)
+ * @param {number} options.offsetX - Left edge of the picture in the output frame (letterboxing)
+ * @param {number} options.offsetY - Top edge of the picture in the output frame
+ * @param {number} options.fps - Output frame rate
+ * @param {Function} options.onProgress - Called with the fraction of overlays done
+ * @returns {Promise<Object>} - { inputs, filters, outputStream } to add to the command
+ */
+export const buildOverlayFilters = async (ffmpeg, {
+    overlays = [],
+    keepRanges,
+    inputStream,
+    firstInputIndex = 1,
+    width,
+    height,
+    scaleX = 1,
+    scaleY = 1,
+    offsetX = 0,
+    offsetY = 0,
+    fps,
+    onProgress = () => {},
+}) => {
+    const inputs = [];
+    const filters = [];
+    let currentStream = inputStream;
+    let inputIndex = firstInputIndex;
+
+    await preloadOverlayImages(overlays);
+
+    for (let i = 0; i < overlays.length; i++) {
+        const layer = overlays[i];
+        // Overlay timings are in source time - move them past the cuts
+        const timing = remapTiming(keepRanges, layer.timing);
+        if (!timing) continue;
+        const { start, end } = timing;
+
+        const segmentName = `layer_${layer.id}.mov`;
+        let x = offsetX;
+        let y = offsetY;
+        let size = `${width}x${height}`;
+
+        if (isOverlayAnimated(layer)) {
+            const exitCode = await renderAnimatedSegment(ffmpeg, layer, segmentName, {
+                start, end, keepRanges, width, height, scaleX, scaleY, fps,
+            });
+            if (exitCode !== 0) {
+                throw new Error(`Failed to render overlay "${layer.text}"`);
+            }
+        } else {
+            const image = await renderOverlayImage(layer, width, height, scaleX, scaleY);
+            if (!image) continue;
+
+            const imgFileName = `layer_${layer.id}.png`;
+            await ffmpeg.writeFile(imgFileName, new Uint8Array(await image.blob.arrayBuffer()));
+
+            // QuickTime Animation keeps the alpha channel and compresses the
+            // repeated frames well; -frames:v makes the looped input finite
+            const exitCode = await ffmpeg.exec([
+                '-loop', '1',
+                '-framerate', fps.toString(),
+                '-i', imgFileName,
+                '-frames:v', calculateLoopCount(end - start, fps).toString(),
+                '-c:v', 'qtrle',
+                '-pix_fmt', 'argb',
+                segmentName
+            ]);
+            if (exitCode !== 0) {
+                throw new Error(`Failed to render overlay "${layer.text}"`);
+            }
+            await ffmpeg.deleteFile(imgFileName);
+            x += image.x;
+            y += image.y;
+            size = `${image.width}x${image.height}`;
+        }
+
+        inputs.push('-i', segmentName);
+        const layerIndex = inputIndex++;
+        const nextStream = `[v${layerIndex}]`;
+
+        // Shift the segment to the overlay's start; before it the main video
+        // passes through, and eof_action=pass hides it again after the end
+        filters.push(`[${layerIndex}:v]setpts=PTS-STARTPTS+${start}/TB[ov${layerIndex}]`);
+        filters.push(`${currentStream}[ov${layerIndex}]overlay=x=${x}:y=${y}:eof_action=pass${nextStream}`);
+        currentStream = nextStream;
+
+        console.log(`Layer ${i}: start=${start}, end=${end}, x=${x}, y=${y}, ${size}`);
+        onProgress((i + 1) / overlays.length);
+    }
+
+    return { inputs, filters, outputStream: currentStream };
+};
@@ -0,0 +1,172 @@
+/**
+ * Overlay Transitions - How overlays enter and leave
+ * A layer's `transitions` pick a preset for its start (in) and its end (out),
+ * each with a duration. Presets move, scale and fade the layer on top of its
+ * keyframed transform, or reveal its text a character or a word at a time.
+ * Out transitions play the preset backwards. getOverlayAt() resolves both
+ * keyframes and transitions for a frame, and the preview and every exporter
+ * draw layers through it, so they match frame for frame.
+ */
+
+import { animateOverlay, getAnimatedTransform, isAnimated } from './keyframes.js';
+
+// Pull back past the target and settle (easeOutBack)
+const BACK_OVERSHOOT = 1.70158;
+
+const easeOut = (t) => 1 - (1 - t) * (1 - t);
+const easeOutBack = (t) => 1 + (BACK_OVERSHOOT + 1) * Math.pow(t - 1, 3) + BACK_OVERSHOOT * Math.pow(t - 1, 2);
+
+/**
+ * Transition presets
+ * apply(progress, frame, text) returns how the layer differs from its
+ * resting state - progress runs 0 (hidden) to 1 (fully in). `text` presets
+ * only apply to text layers.
+ */
+export const TRANSITIONS = {
+    none: { label: 'None' },
+    fade: { label: 'Fade', apply: (t) => ({ opacity: t }) },
+    'slide-left': { label: 'Slide from left', apply: (t, frame) => ({ dx: -(1 - easeOut(t)) * frame.width }) },
+    'slide-right': { label: 'Slide from right', apply: (t, frame) => ({ dx: (1 - easeOut(t)) * frame.width }) },
+    'slide-top': { label: 'Slide from top', apply: (t, frame) => ({ dy: -(1 - easeOut(t)) * frame.height }) },
+    'slide-bottom': { label: 'Slide from bottom', apply: (t, frame) => ({ dy: (1 - easeOut(t)) * frame.height }) },
+    zoom: { label: 'Zoom', apply: (t) => ({ scale: easeOut(t), opacity: t }) },
+    bounce: { label: 'Bounce', apply: (t) => ({ scale: easeOutBack(t) }) },
+    typewriter: { label: 'Typewriter', text: true, apply: (t, frame, text) => ({ revealed: Math.ceil(t * text.length) }) },
+    words: { label: 'Word by word', text: true, apply: (t, frame, text) => ({ revealed: getWordReveal(text, t) }) },
+};
+
+export const DEFAULT_TRANSITION_DURATION = 0.5;
+export const TRANSITION_DURATION_RANGE = { min: 0.1, max: 3 };
+
+export const DEFAULT_TRANSITIONS = {
+    in: { type: 'none', duration: DEFAULT_TRANSITION_DURATION },
+    out: { type: 'none', duration: DEFAULT_TRANSITION_DURATION },
+};
+
+/**
+ * Characters shown once a share of the words is revealed
+ * @param {string} text - Layer text
+ * @param {number} progress - 0-1
+ * @returns {number} - Characters up to the end of the last revealed word
+ */
+const getWordReveal = (text, progress) => {
+    const words = [...text.matchAll(/\S+/g)];
+    const count = Math.ceil(progress * words.length);
+    if (count === 0) return 0;
+    const last = words[count - 1];
+    return last.index + last[0].length;
+};
+
+/**
+ * Presets a layer can use - the text ones only suit text layers
+ * @param {Object} layer - Overlay layer
+ * @returns {Array<Array>} - [key, preset] pairs
+ */
+export const getTransitionOptions = (layer) => {
+    return Object.entries(TRANSITIONS).filter(([, preset]) => !preset.text || layer.type !== 'image');
+};
+
+/**
+ * The layer's transition for one side, if it does anything
+ * @param {Object} layer - Overlay layer
+ * @param {string} side - 'in' or 'out'
+ * @returns {Object|null} - { type, duration }
+ */
+const getTransition = (layer, side) => {
+    const transition = layer.transitions?.[side];
+    const preset = transition && TRANSITIONS[transition.type];
+    if (!preset?.apply || (preset.text && layer.type === 'image')) return null;
+    return transition;
+};
+
+/**
+ * Whether a layer has an in or out transition
+ * @param {Object} layer - Overlay layer
+ * @returns {boolean}
+ */
+export const hasTransitions = (layer) => Boolean(getTransition(layer, 'in') || getTransition(layer, 'out'));
+
+/**
+ * Whether a layer looks different from frame to frame (keyframes or transitions)
+ * @param {Object} layer - Overlay layer
+ * @returns {boolean}
+ */
+export const isOverlayAnimated = (layer) => isAnimated(layer) || hasTransitions(layer);
+
+/**
+ * How the transitions change a layer at a time
+ * In and out combine when they overlap on a short layer.
+ * @param {Object} layer - Overlay layer
+ * @param {number} time - Source time in seconds
+ * @param {Object} frame - { width, height } of the video in display pixels
+ * @returns {Object} - { dx, dy, scale, opacity, revealed } - revealed is null when all the text shows
+ */
+export const getTransitionState = (layer, time, frame) => {
+    const state = { dx: 0, dy: 0, scale: 1, opacity: 1, revealed: null };
+    const sides = [
+        [getTransition(layer, 'in'), time - layer.timing.start],
+        [getTransition(layer, 'out'), layer.timing.end - time],
+    ];
+    for (const [transition, elapsed] of sides) {
+        if (!transition || elapsed >= transition.duration) continue;
+        const progress = Math.max(0, elapsed / transition.duration);
+        const change = TRANSITIONS[transition.type].apply(progress, frame, layer.text || '');
+        state.dx += change.dx || 0;
+        state.dy += change.dy || 0;
+        state.scale *= change.scale ?? 1;
+        state.opacity *= change.opacity ?? 1;
+        if (change.revealed !== undefined) {
+            state.revealed = state.revealed === null ? change.revealed : Math.min(state.revealed, change.revealed);
+        }
+    }
+    return state;
+};
+
+/**
+ * The layer as it's drawn at a point of the video - keyframes, then transitions
+ * Layers that don't animate come back as they are, so per-layer caches
+ * (loaded images) stay on the object the exporters hold.
+ * @param {Object} layer - Overlay layer
+ * @param {number} time - Source time in seconds
+ * @param {Object} frame - { width, height } of the video in display pixels
+ * @returns {Object} - Layer with its transform at that time, and `revealed`
+ *   (characters of text shown) while a text transition is running
+ */
+export const getOverlayAt = (layer, time, frame) => {
+    if (!hasTransitions(layer)) return animateOverlay(layer, time);
+
+    const transform = getAnimatedTransform(layer, time);
+    const state = getTransitionState(layer, time, frame);
+    const scale = transform.scale.map(value => value * state.scale);
+    return {
+        ...layer,
+        transform: {
+            ...transform,
+            x: transform.x + state.dx,
+            y: transform.y + state.dy,
+            scale,
+            opacity: transform.opacity * state.opacity,
+        },
+        revealed: state.revealed,
+    };
+};
+
+/**
+ * Bring transitions from a project file into the shape the editor expects
+ * @param {Object} transitions - Transitions from the file
+ * @returns {Object} - { in, out }
+ */
+export const normalizeTransitions = (transitions) => {
+    const normalized = {};
+    for (const side of ['in', 'out']) {
+        const transition = transitions?.[side];
+        const duration = Number(transition?.duration);
+        normalized[side] = {
+            type: TRANSITIONS[transition?.type] ? transition.type : 'none',
+            duration: Number.isFinite(duration)
+                ? Math.min(TRANSITION_DURATION_RANGE.max, Math.max(TRANSITION_DURATION_RANGE.min, duration))
+                : DEFAULT_TRANSITION_DURATION,
+        };
+    }
+    return normalized;
+};
@@ -0,0 +1,278 @@
+/**
+ * Project File - Saves and reopens projects as portable JSON
+ * A project file holds everything but the videos: clip order, trims, cuts,
+ * overlays with their keyframes and transitions (drawings embedded as PNG
+ * data URLs), audio edits, audio track placements and export settings. Each
+ * clip and audio track records the name, size and a content fingerprint of
+ * its file, so the files can be re-linked when the project is opened again -
+ * even if one was renamed.
+ *
+ * Files carry a schema version. Older versions are upgraded step by step
+ * (see MIGRATIONS) before use; files from a newer version are refused.
+ */
+
+import { DEFAULT_EXPORT_SETTINGS, normalizeSettings } from './exportSettings.js';
+import { normalizeRanges } from './timeRanges.js';
+import { DEFAULT_AUDIO_EDIT, normalizeAudioEdit } from './audioEdits.js';
+import { normalizeAudioTrack } from './audioTracks.js';
+import { normalizeKeyframes } from './keyframes.js';
+import { normalizeTransitions } from './overlayTransitions.js';
+import { normalizeTextStyle } from './textStyle.js';
+
+export const PROJECT_FORMAT = 'cuddles-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.cuddles.json';
+
+// Bytes read from each end of a video for its fingerprint
+const FINGERPRINT_CHUNK = 1024 * 1024;
+
+// Files don't change once selected, so each is hashed once (autosave serializes often)
+const fingerprints = new WeakMap();
+
+/**
+ * Upgrades from one schema version to the next, keyed by the version they read
+ * e.g. { 1: (project) => ({ ...project, version: 2, ... }) }
+ */
+const MIGRATIONS = {};
+
+/**
+ * Fingerprint a video file
+ * Hashing a whole multi-gigabyte video would take long and hold it all in
+ * memory, so the hash covers the size and the first and last megabyte -
+ * enough to tell files apart and to recognize a renamed one.
+ * @param {File} file - Video file
+ * @returns {Promise<string>} - Hex SHA-256
+ */
+export const fingerprintFile = (file) => {
+    if (!fingerprints.has(file)) {
+        fingerprints.set(file, hashFile(file).catch(error => {
+            fingerprints.delete(file);
+            throw error;
+        }));
+    }
+    return fingerprints.get(file);
+};
+
+/**
+ * Hash the sampled bytes of a file
+ * @param {File} file - Video file
+ * @returns {Promise<string>} - Hex SHA-256
+ */
+const hashFile = async (file) => {
+    const head = await file.slice(0, FINGERPRINT_CHUNK).arrayBuffer();
+    const tail = await file.slice(Math.max(FINGERPRINT_CHUNK, file.size - FINGERPRINT_CHUNK)).arrayBuffer();
+    const size = new TextEncoder().encode(`${file.size}:`);
+
+    const data = new Uint8Array(size.byteLength + head.byteLength + tail.byteLength);
+    data.set(size, 0);
+    data.set(new Uint8Array(head), size.byteLength);
+    data.set(new Uint8Array(tail), size.byteLength + head.byteLength);
+
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Check whether a file is a project file (by name)
+ * @param {File} file - Any file
+ * @returns {boolean}
+ */
+export const isProjectFile = (file) => file.name.toLowerCase().endsWith(PROJECT_EXTENSION);
+
+/**
+ * Build the project file name
+ * @param {string} sourceName - Name of the project's first video
+ * @returns {string}
+ */
+export const getProjectFileName = (sourceName = 'project') => {
+    const stem = sourceName.replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]/g, '_');
+    return `${stem}${PROJECT_EXTENSION}`;
+};
+
+/**
+ * Describe a source file for re-linking
+ * @param {File} file - Video or audio file
+ * @returns {Promise<Object>} - { name, size, type, lastModified, fingerprint }
+ */
+const describeSource = async (file) => ({
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    lastModified: file.lastModified,
+    fingerprint: await fingerprintFile(file),
+});
+
+/**
+ * Serialize a project
+ * @param {Object} options
+ * @param {Array<Object>} options.clips - Clips { id, file } in playback order
+ * @param {Object} options.edits - Edits per clip id { startTime, endTime, cutRanges, textLayers, audio, audioTracks,
+ *   displayWidth, displayHeight }
+ * @param {Object} options.settings - Export settings
+ * @param {string} options.activeClipId - Clip being edited
+ * @returns {Promise<Object>} - Project file contents (JSON-safe)
+ */
+export const serializeProject = async ({ clips, edits, settings, activeClipId }) => {
+    const projectClips = [];
+    for (const clip of clips) {
+        const edit = edits[clip.id];
+        const audioTracks = [];
+        for (const { file, id, duration, start, trimStart, trimEnd, gain, duck } of edit?.audioTracks || []) {
+            audioTracks.push({ id, source: await describeSource(file), duration, start, trimStart, trimEnd, gain, duck });
+        }
+        projectClips.push({
+            id: clip.id,
+            source: await describeSource(clip.file),
+            // Clips never opened in the editor are untrimmed
+            startTime: edit ? edit.startTime : 0,
+            endTime: edit && edit.endTime ? edit.endTime : null,
+            cuts: edit ? edit.cutRanges.map(({ id, start, end }) => ({ id, start, end })) : [],
+            // Drawings already hold their PNG as a data URL
+            overlays: edit ? edit.textLayers : [],
+            audio: edit?.audio || DEFAULT_AUDIO_EDIT,
+            audioTracks,
+            displayWidth: edit?.displayWidth || null,
+            displayHeight: edit?.displayHeight || null,
+        });
+    }
+
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        activeClipId,
+        settings,
+        clips: projectClips,
+    };
+};
+
+/**
+ * Bring an overlay from a project file into the shape the editor expects
+ * @param {Object} overlay - Overlay from the file
+ * @returns {Object|null} - null if it can't be used
+ */
+const normalizeOverlay = (overlay) => {
+    if (!overlay || typeof overlay !== 'object' || !overlay.timing) return null;
+    const start = Number(overlay.timing.start);
+    const end = Number(overlay.timing.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return null;
+    if (overlay.type === 'image' && typeof overlay.src !== 'string') return null;
+
+    return {
+        ...overlay,
+        timing: { start, end },
+        transform: { x: 0, y: 0, rotate: 0, ...overlay.transform },
+        keyframes: normalizeKeyframes(overlay.keyframes),
+        transitions: normalizeTransitions(overlay.transitions),
+        style: normalizeTextStyle(overlay.style),
+    };
+};
+
+/**
+ * Parse and validate a project file, upgrading older versions
+ * @param {string} text - File contents
+ * @returns {Object} - { version, activeClipId, settings, clips }
+ */
+export const parseProject = (text) => {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch {
+        throw new Error('This is not a project file (invalid JSON)');
+    }
+    return readProject(project);
+};
+
+/**
+ * Validate serialized project contents, upgrading older versions
+ * @param {Object} project - Contents from serializeProject(), possibly older
+ * @returns {Object} - { version, activeClipId, settings, clips }
+ */
+export const readProject = (project) => {
+    if (!project || project.format !== PROJECT_FORMAT || !Number.isInteger(project.version)) {
+        throw new Error('This is not a cuddles project file');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error('This project was saved by a newer version of cuddles - reload the page to update');
+    }
+
+    while (project.version < PROJECT_VERSION) {
+        const migrate = MIGRATIONS[project.version];
+        if (!migrate) {
+            throw new Error(`Project version ${project.version} can't be opened`);
+        }
+        project = migrate(project);
+    }
+
+    if (!Array.isArray(project.clips) || project.clips.length === 0) {
+        throw new Error('The project has no clips');
+    }
+
+    const clips = project.clips.map((clip, index) => {
+        if (!clip?.source?.name || !Number.isFinite(clip.source.size)) {
+            throw new Error(`Clip ${index + 1} is missing its source video details`);
+        }
+        return {
+            id: String(clip.id ?? index),
+            source: clip.source,
+            startTime: Math.max(0, Number(clip.startTime) || 0),
+            endTime: Number(clip.endTime) > 0 ? Number(clip.endTime) : null,
+            cuts: normalizeRanges(Array.isArray(clip.cuts) ? clip.cuts : []),
+            overlays: (Array.isArray(clip.overlays) ? clip.overlays : []).map(normalizeOverlay).filter(Boolean),
+            // Files saved before audio editing have untouched audio
+            audio: normalizeAudioEdit(clip.audio),
+            audioTracks: (Array.isArray(clip.audioTracks) ? clip.audioTracks : []).map(normalizeAudioTrack).filter(Boolean),
+            displayWidth: clip.displayWidth || null,
+            displayHeight: clip.displayHeight || null,
+        };
+    });
+
+    return {
+        version: project.version,
+        activeClipId: clips.some(clip => clip.id === project.activeClipId) ? project.activeClipId : clips[0].id,
+        // Settings added since the file was saved get their defaults
+        settings: normalizeSettings({ ...DEFAULT_EXPORT_SETTINGS, ...project.settings }),
+        clips,
+    };
+};
+
+/**
+ * Every file a project needs: its clips' videos and their audio tracks
+ * @param {Object} project - From parseProject()
+ * @returns {Array<Object>} - Sources { id, source } - clips and tracks
+ */
+export const getProjectSources = (project) => {
+    return project.clips.flatMap(clip => [clip, ...clip.audioTracks]);
+};
+
+/**
+ * Find the files of a project among the given files
+ * A file links to a clip or track when its fingerprint matches (so renamed
+ * files are found too). Same name and size with a different fingerprint means
+ * the file changed since the project was saved - it isn't linked.
+ * @param {Array<Object>} sources - From getProjectSources()
+ * @param {Array<File>} files - Candidate video and audio files
+ * @param {Object} linked - Files already linked, by clip or track id
+ * @returns {Promise<Object>} - { linked, changed } - files by id, and names of changed files
+ */
+export const relinkSources = async (sources, files, linked = {}) => {
+    const result = { ...linked };
+    const changed = [];
+    const fingerprints = new Map();
+
+    for (const file of files) {
+        fingerprints.set(file, await fingerprintFile(file));
+    }
+
+    for (const { id, source } of sources) {
+        if (result[id]) continue;
+        const match = files.find(file => fingerprints.get(file) === source.fingerprint);
+        if (match) {
+            result[id] = match;
+        } else if (files.some(file => file.name === source.name && file.size === source.size)) {
+            changed.push(source.name);
+        }
+    }
+
+    return { linked: result, changed };
+};
@@ -0,0 +1,56 @@
+/**
+ * Remux - Rewraps encoded streams in another container with FFmpeg WASM
+ * Streams are copied, not re-encoded, so this is fast and lossless
+ */
+
+import { CONTAINERS } from './exportSettings.js';
+
+/**
+ * Get the container of a MIME type
+ * @param {string} mimeType - MIME type, e.g. 'video/webm;codecs="vp9,opus"'
+ * @returns {string|null} - Container key ('mp4', 'webm', 'mov') or null if unknown
+ */
+export const getContainerFromMimeType = (mimeType = '') => {
+    const type = mimeType.split(';')[0].trim().toLowerCase();
+    return Object.keys(CONTAINERS).find(key => CONTAINERS[key].mimeType === type) || null;
+};
+
+/**
+ * Copy the streams of a video into another container
+ * Fails if the target container can't hold the codecs (e.g. VP8 in MP4)
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {Blob} blob - Source video
+ * @param {string} from - Source container key
+ * @param {string} to - Target container key
+ * @returns {Promise<Blob>} - Remuxed video
+ */
+export const remux = async (ffmpeg, blob, from, to) => {
+    const inputName = `remux_input.${CONTAINERS[from].extension}`;
+    const outputName = `remux_output.${CONTAINERS[to].extension}`;
+
+    await ffmpeg.writeFile(inputName, new Uint8Array(await blob.arrayBuffer()));
+
+    try {
+        const args = ['-i', inputName, '-map', '0', '-c', 'copy'];
+        if (to === 'mp4' || to === 'mov') {
+            args.push('-movflags', '+faststart');
+        }
+        args.push(outputName);
+
+        const exitCode = await ffmpeg.exec(args);
+        if (exitCode !== 0) {
+            throw new Error(`FFmpeg exited with code ${exitCode}`);
+        }
+
+        const data = await ffmpeg.readFile(outputName);
+        return new Blob([data.buffer], { type: CONTAINERS[to].mimeType });
+    } finally {
+        for (const name of [inputName, outputName]) {
+            try {
+                await ffmpeg.deleteFile(name);
+            } catch {
+                // Not created
+            }
+        }
+    }
+};
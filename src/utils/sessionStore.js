@@ -0,0 +1,247 @@
+/**
+ * Session Store - Autosaved projects for recovery after a crash or close
+ * Sessions (the serialized project plus UI state) live in IndexedDB. Source
+ * videos and audio tracks go to the Origin Private File System, stored once
+ * per fingerprint and shared between sessions; browsers without OPFS keep them
+ * as blobs in IndexedDB instead. Only the most recent sessions are kept, and
+ * files no session uses any more are deleted with them.
+ */
+
+import { fingerprintFile, readProject, getProjectSources } from './projectFile.js';
+
+const DB_NAME = 'cuddles';
+const DB_VERSION = 1;
+const SESSIONS_STORE = 'sessions';
+const SOURCES_STORE = 'sources'; // Fallback for browsers without OPFS
+const SOURCES_DIRECTORY = 'sources';
+
+// Recent sessions kept; older ones are deleted on save
+export const MAX_SESSIONS = 5;
+
+let dbPromise = null;
+const pendingWrites = new Map(); // Source writes in flight, by fingerprint
+
+/**
+ * Check whether sessions can be stored in this browser
+ * @returns {boolean}
+ */
+export const isSessionStoreSupported = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Open (and create or upgrade) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+                    db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(SOURCES_STORE)) {
+                    db.createObjectStore(SOURCES_STORE);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            // Let the next call try again
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Run a request against one object store
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Gets the store, returns an IDBRequest
+ * @returns {Promise<*>} - The request result, once the transaction is done
+ */
+const runRequest = async (storeName, mode, makeRequest) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Get the OPFS directory for source videos
+ * @returns {Promise<FileSystemDirectoryHandle|null>} - null without OPFS
+ */
+const getSourcesDirectory = async () => {
+    // Writing files from the main thread needs createWritable (not in every browser)
+    if (!navigator.storage?.getDirectory ||
+        typeof FileSystemFileHandle === 'undefined' ||
+        !('createWritable' in FileSystemFileHandle.prototype)) {
+        return null;
+    }
+    try {
+        const root = await navigator.storage.getDirectory();
+        return await root.getDirectoryHandle(SOURCES_DIRECTORY, { create: true });
+    } catch (error) {
+        console.warn('OPFS unavailable, storing videos in IndexedDB:', error);
+        return null;
+    }
+};
+
+/**
+ * Store a source video, unless it's stored already
+ * @param {File} file - Source video
+ * @param {string} fingerprint - Its fingerprint
+ */
+const writeSource = async (file, fingerprint) => {
+    const directory = await getSourcesDirectory();
+    if (directory) {
+        const handle = await directory.getFileHandle(fingerprint, { create: true });
+        // A write cut short (tab closed) leaves a shorter file - write it again
+        if ((await handle.getFile()).size === file.size) return;
+        const writable = await handle.createWritable();
+        await file.stream().pipeTo(writable);
+        return;
+    }
+
+    const stored = await runRequest(SOURCES_STORE, 'readonly', store => store.getKey(fingerprint));
+    if (stored === undefined) {
+        await runRequest(SOURCES_STORE, 'readwrite', store => store.put(file, fingerprint));
+    }
+};
+
+/**
+ * Read a stored source video
+ * @param {string} fingerprint - Video fingerprint
+ * @param {Object} source - Source details from the project { name, size, type, lastModified }
+ * @returns {Promise<File|null>} - null if it's not stored (or was evicted)
+ */
+const readSource = async (fingerprint, source) => {
+    let blob = null;
+    const directory = await getSourcesDirectory();
+    if (directory) {
+        try {
+            const handle = await directory.getFileHandle(fingerprint);
+            blob = await handle.getFile();
+        } catch {
+            return null;
+        }
+        if (blob.size !== source.size) return null;
+    } else {
+        blob = await runRequest(SOURCES_STORE, 'readonly', store => store.get(fingerprint));
+        if (!blob) return null;
+    }
+    // Back under the original name, so exports are named after it
+    return new File([blob], source.name, { type: source.type || blob.type, lastModified: source.lastModified });
+};
+
+/**
+ * Delete stored videos that no session uses
+ * @param {Array<Object>} sessions - Sessions kept
+ */
+const deleteUnusedSources = async (sessions) => {
+    const used = new Set(sessions.flatMap(session => session.project.clips.flatMap(clip =>
+        [clip, ...(clip.audioTracks || [])].map(({ source }) => source.fingerprint)
+    )));
+    // Videos still being written belong to the session being saved
+    for (const fingerprint of pendingWrites.keys()) used.add(fingerprint);
+
+    const directory = await getSourcesDirectory();
+    if (directory) {
+        for await (const name of directory.keys()) {
+            if (!used.has(name)) {
+                await directory.removeEntry(name);
+            }
+        }
+        return;
+    }
+
+    const keys = await runRequest(SOURCES_STORE, 'readonly', store => store.getAllKeys());
+    for (const key of keys) {
+        if (!used.has(key)) {
+            await runRequest(SOURCES_STORE, 'readwrite', store => store.delete(key));
+        }
+    }
+};
+
+/**
+ * List stored sessions, most recent first
+ * @returns {Promise<Array<Object>>} - Sessions { id, name, updatedAt, clipCount, project, state }
+ */
+export const listSessions = async () => {
+    const sessions = await runRequest(SESSIONS_STORE, 'readonly', store => store.getAll());
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Save a session and its source files
+ * @param {Object} session
+ * @param {string} session.id - Session id (the same for every save of a project)
+ * @param {Array<Object>} session.clips - Clips { id, file }, as given to serializeProject()
+ * @param {Array<File>} session.audioFiles - Files of the clips' audio tracks
+ * @param {Object} session.project - Contents from serializeProject()
+ * @param {Object} session.state - Editor state outside the project, e.g. the selected overlay
+ */
+export const saveSession = async ({ id, clips, audioFiles = [], project, state = {} }) => {
+    await runRequest(SESSIONS_STORE, 'readwrite', store => store.put({
+        id,
+        name: clips[0].file.name,
+        updatedAt: Date.now(),
+        clipCount: clips.length,
+        project,
+        state,
+    }));
+
+    // Ask the browser not to evict the videos under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
+
+    for (const file of [...clips.map(clip => clip.file), ...audioFiles]) {
+        const fingerprint = await fingerprintFile(file);
+        if (!pendingWrites.has(fingerprint)) {
+            pendingWrites.set(fingerprint, writeSource(file, fingerprint).finally(() => {
+                pendingWrites.delete(fingerprint);
+            }));
+        }
+        await pendingWrites.get(fingerprint);
+    }
+
+    const sessions = await listSessions();
+    for (const old of sessions.slice(MAX_SESSIONS)) {
+        await runRequest(SESSIONS_STORE, 'readwrite', store => store.delete(old.id));
+    }
+    await deleteUnusedSources(sessions.slice(0, MAX_SESSIONS));
+};
+
+/**
+ * Load a session with its stored source files
+ * @param {string} id - Session id
+ * @returns {Promise<Object>} - { id, project, state, linked } - project from readProject(), files by clip or track id
+ */
+export const loadSession = async (id) => {
+    const session = await runRequest(SESSIONS_STORE, 'readonly', store => store.get(id));
+    if (!session) {
+        throw new Error('This session no longer exists');
+    }
+
+    const project = readProject(session.project);
+    const linked = {};
+    for (const { id: sourceId, source } of getProjectSources(project)) {
+        const file = await readSource(source.fingerprint, source);
+        if (file) linked[sourceId] = file;
+    }
+    return { id, project, state: session.state || {}, linked };
+};
+
+/**
+ * Delete a session (and the videos only it used)
+ * @param {string} id - Session id
+ */
+export const deleteSession = async (id) => {
+    await runRequest(SESSIONS_STORE, 'readwrite', store => store.delete(id));
+    await deleteUnusedSources(await listSessions());
+};
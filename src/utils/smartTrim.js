@@ -0,0 +1,212 @@
+/**
+ * Smart Trim - Keyframe-aware trimming for stream-copied exports
+ * Stream copy can only start on a keyframe. Snap mode moves the start to the
+ * keyframe at or before it (lossless). Smart render re-encodes the frames
+ * from the start point up to the next keyframe and copies everything after
+ * it, so the cut is frame-accurate while most of the video stays untouched.
+ */
+
+import { getFFmpegVideoArgs, getFFmpegContainerArgs } from './exportSettings.js';
+
+// H.264 profile_idc (from the avc1.PPCCLL codec string) -> x264 profile
+const H264_PROFILES = {
+    '42': 'baseline',
+    '4d': 'main',
+    '64': 'high',
+};
+
+/**
+ * Seconds a time may be off a keyframe and still count as on it
+ * (half a frame, so rounding in the UI doesn't trigger a re-encode)
+ * @param {Object} mediaInfo - Source media info
+ * @returns {number}
+ */
+const getKeyframeTolerance = (mediaInfo) => 0.5 / (mediaInfo?.fps || 30);
+
+/**
+ * Find the last keyframe at or before a time
+ * @param {Array<number>} keyframes - Keyframe times, ascending
+ * @param {number} time - Time in seconds
+ * @param {number} tolerance - Seconds a keyframe may be after the time
+ * @returns {number|null}
+ */
+export const findKeyframeBefore = (keyframes, time, tolerance = 0) => {
+    let found = null;
+    for (const keyframe of keyframes || []) {
+        if (keyframe > time + tolerance) break;
+        found = keyframe;
+    }
+    return found;
+};
+
+/**
+ * Find the first keyframe after a time
+ * @param {Array<number>} keyframes - Keyframe times, ascending
+ * @param {number} time - Time in seconds
+ * @returns {number|null}
+ */
+export const findKeyframeAfter = (keyframes, time) => {
+    return (keyframes || []).find(keyframe => keyframe > time) ?? null;
+};
+
+/**
+ * Snap a time to the nearest keyframe
+ * @param {Array<number>} keyframes - Keyframe times, ascending
+ * @param {number} time - Time in seconds
+ * @returns {number} - Keyframe time, or the time itself without keyframes
+ */
+export const snapToKeyframe = (keyframes, time) => {
+    if (!keyframes || keyframes.length === 0) return time;
+    return keyframes.reduce((best, keyframe) =>
+        Math.abs(keyframe - time) < Math.abs(best - time) ? keyframe : best
+    , keyframes[0]);
+};
+
+/**
+ * Check whether smart render can re-encode the start of this source
+ * The re-encoded frames are joined to copied ones, which only works for
+ * H.264 (parameter sets travel with the frames in MPEG-TS)
+ * @param {Object} mediaInfo - Source media info
+ * @returns {boolean}
+ */
+export const canSmartRender = (mediaInfo) => {
+    return Boolean(mediaInfo?.keyframes?.length) &&
+        Boolean(mediaInfo.videoCodec) &&
+        /^avc[13]/.test(mediaInfo.videoCodec);
+};
+
+/**
+ * Decide how to stream-copy a trim
+ * @param {Object} settings - Export settings
+ * @param {Object} mediaInfo - Source media info
+ * @param {number} startTime - Requested start in seconds
+ * @returns {Object} - { type: 'copy', start } (start may move back to a keyframe),
+ *   { type: 'smart', start, keyframe } or { type: 'encode' } (smart render unavailable)
+ */
+export const planStreamCopyTrim = (settings, mediaInfo, startTime) => {
+    const keyframes = mediaInfo?.keyframes;
+    if (!keyframes || keyframes.length === 0) {
+        // Unknown keyframes - FFmpeg starts on the one before the start point
+        return { type: 'copy', start: startTime };
+    }
+
+    const tolerance = getKeyframeTolerance(mediaInfo);
+    const before = findKeyframeBefore(keyframes, startTime, tolerance) ?? keyframes[0];
+    if (startTime - before <= tolerance) {
+        return { type: 'copy', start: before };
+    }
+
+    if (settings.trimMode !== 'smart') {
+        return { type: 'copy', start: before };
+    }
+    if (!canSmartRender(mediaInfo)) {
+        return { type: 'encode' };
+    }
+
+    const keyframe = findKeyframeAfter(keyframes, startTime);
+    return keyframe === null
+        // No keyframe left before the end - the whole trim is one partial GOP
+        ? { type: 'encode' }
+        : { type: 'smart', start: startTime, keyframe };
+};
+
+/**
+ * Get x264 arguments matching the source's H.264 profile
+ * @param {Object} mediaInfo - Source media info
+ * @returns {Array<string>}
+ */
+const getProfileArgs = (mediaInfo) => {
+    const profile = H264_PROFILES[(mediaInfo.videoCodec.split('.')[1] || '').slice(0, 2).toLowerCase()];
+    return profile ? ['-profile:v', profile] : [];
+};
+
+/**
+ * Get arguments that keep the H.264 parameter sets in the stream
+ * The re-encoded head and the copied body have their own SPS/PPS, and an
+ * MP4/MOV sample entry tagged avc1 only carries the head's, so players
+ * would decode the body with the wrong ones. avc3 tells them to use the
+ * parameter sets in the frames instead.
+ * @param {Object} settings - Export settings
+ * @returns {Array<string>}
+ */
+const getParameterSetArgs = (settings) => {
+    return settings.container === 'mp4' || settings.container === 'mov' ? ['-tag:v', 'avc3'] : [];
+};
+
+/**
+ * Run an FFmpeg command, throwing on a nonzero exit code
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {Array<string>} args - FFmpeg arguments
+ */
+const run = async (ffmpeg, args) => {
+    const exitCode = await ffmpeg.exec(args);
+    if (exitCode !== 0) {
+        throw new Error(`FFmpeg exited with code ${exitCode}`);
+    }
+};
+
+/**
+ * Trim with smart render: re-encode [start, keyframe), copy [keyframe, end)
+ * and copy the audio of the whole range
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {Object} options
+ * @param {string} options.inputName - Source file in the FS
+ * @param {string} options.outputName - Output file name
+ * @param {number} options.start - Start in seconds
+ * @param {number} options.end - End in seconds
+ * @param {number} options.keyframe - First keyframe after the start
+ * @param {Object} options.settings - Export settings
+ * @param {Object} options.mediaInfo - Source media info
+ * @param {Function} options.onStep - Called with the fraction of steps done
+ */
+export const runSmartTrim = async (ffmpeg, { inputName, outputName, start, end, keyframe, settings, mediaInfo, onStep = () => {} }) => {
+    const duration = end - start;
+    const headName = 'trim_head.ts';
+    const bodyName = 'trim_body.ts';
+    const listName = 'trim_segments.txt';
+
+    // Head: frame-accurate re-encode up to (not including) the keyframe,
+    // with the source's timestamps and a matching profile
+    await run(ffmpeg, [
+        '-ss', start.toString(),
+        '-i', inputName,
+        '-t', (keyframe - start).toString(),
+        '-map', '0:v:0',
+        ...getFFmpegVideoArgs(settings),
+        ...getProfileArgs(mediaInfo),
+        '-fps_mode', 'passthrough',
+        headName,
+    ]);
+    onStep(1 / 3);
+
+    // Body: copied from the keyframe on (seeking a hair past it so rounding
+    // can't land on the keyframe before)
+    await run(ffmpeg, [
+        '-ss', (keyframe + 0.001).toString(),
+        '-i', inputName,
+        '-t', (end - keyframe).toString(),
+        '-map', '0:v:0',
+        '-c', 'copy',
+        bodyName,
+    ]);
+    onStep(2 / 3);
+
+    // Join both parts and add the source audio for the whole range
+    await ffmpeg.writeFile(listName, new TextEncoder().encode(`file '${headName}'\nfile '${bodyName}'`));
+    await run(ffmpeg, [
+        '-f', 'concat',
+        '-safe', '0',
+        '-i', listName,
+        '-ss', start.toString(),
+        '-t', duration.toString(),
+        '-i', inputName,
+        '-map', '0:v',
+        '-map', '1:a?',
+        '-c', 'copy',
+        ...getParameterSetArgs(settings),
+        ...getFFmpegContainerArgs(settings),
+        '-t', duration.toString(),
+        outputName,
+    ]);
+    onStep(1);
+};
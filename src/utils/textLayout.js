@@ -0,0 +1,142 @@
+/**
+ * Text Layout - Lines of a text overlay, for the preview and the canvas
+ * Text breaks at its line breaks and wraps between words at the layer's box
+ * width (transform.width, display pixels - no wrapping without one); a word
+ * longer than the box breaks between letters. Lines are measured on a canvas
+ * in display pixels, so the preview (one element per line) and the exporters
+ * (one fillText per line) break the text at the same places and align each
+ * line the same way, whatever the export resolution.
+ */
+
+import { getCanvasFont, resolveTextStyle } from './textStyle.js';
+
+let measureContext = null;
+
+/**
+ * Canvas context text is measured with, created on first use
+ * @returns {CanvasRenderingContext2D}
+ */
+const getMeasureContext = () => {
+    if (!measureContext) {
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(1, 1)
+            : document.createElement('canvas');
+        measureContext = canvas.getContext('2d');
+    }
+    return measureContext;
+};
+
+/**
+ * Set the spacing between letters, where the browser's canvas supports it
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} spacing - Canvas pixels
+ * @returns {boolean} - false if letters have to be placed one by one
+ */
+export const setLetterSpacing = (ctx, spacing) => {
+    if (!('letterSpacing' in ctx)) return spacing === 0;
+    ctx.letterSpacing = `${spacing}px`;
+    return true;
+};
+
+/**
+ * Width of a run of text, letter spacing included (after every letter, like CSS)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} text
+ * @param {number} spacing - Canvas pixels, for contexts without letterSpacing
+ * @param {boolean} native - Whether the context spaces the letters itself
+ * @returns {number}
+ */
+export const measureRun = (ctx, text, spacing, native) => {
+    if (native) return ctx.measureText(text).width;
+    return [...text].reduce((width, letter) => width + ctx.measureText(letter).width + spacing, 0);
+};
+
+/**
+ * Width text wraps at
+ * @param {Object} transform - Layer transform
+ * @returns {number|null} - Display pixels, null if the text doesn't wrap
+ */
+export const getWrapWidth = (transform) => {
+    const width = transform?.width;
+    return Number.isFinite(width) && width > 0 ? width : null;
+};
+
+/**
+ * Break a text into lines
+ * @param {string} text - Layer text
+ * @param {Object} style - Layer style
+ * @param {number|null} wrapWidth - From getWrapWidth()
+ * @returns {Object} - { lines, width, height } in display pixels - every line is
+ *   { text, start, width }, start being where it begins in the whole text
+ *   (trailing spaces are left out of a line, like CSS hangs them)
+ */
+export const layoutText = (text, style, wrapWidth) => {
+    const resolved = resolveTextStyle(style);
+    const ctx = getMeasureContext();
+    ctx.font = getCanvasFont(resolved, resolved.fontSize);
+    const native = setLetterSpacing(ctx, resolved.letterSpacing);
+    const measure = (run) => measureRun(ctx, run, resolved.letterSpacing, native);
+    const fits = (run) => wrapWidth === null || measure(run.trimEnd()) <= wrapWidth;
+
+    const lines = [];
+    let offset = 0;
+    for (const paragraph of text.split('\n')) {
+        let line = '';
+        let start = offset;
+        const endLine = () => {
+            const trimmed = line.trimEnd();
+            lines.push({ text: trimmed, start, width: measure(trimmed) });
+            start += line.length;
+            line = '';
+        };
+
+        // Words with the spaces after them (and before the first one)
+        for (const word of paragraph.match(/\s*\S+\s*|\s+/g) || []) {
+            if (fits(line + word)) {
+                line += word;
+                continue;
+            }
+            if (line) endLine();
+            if (fits(word)) {
+                line = word;
+                continue;
+            }
+            for (const letter of word) {
+                if (line && !fits(line + letter)) endLine();
+                line += letter;
+            }
+        }
+        endLine();
+        offset += paragraph.length + 1;
+    }
+
+    return {
+        lines,
+        width: Math.max(...lines.map(line => line.width)),
+        height: lines.length * resolved.fontSize * resolved.lineHeight,
+    };
+};
+
+/**
+ * Where a line starts across the text block, per the style's alignment
+ * @param {string} textAlign - 'left', 'center' or 'right'
+ * @param {number} lineWidth - Width of the line
+ * @param {number} blockWidth - Width of the widest line
+ * @returns {number} - Offset of the line's left edge from the block's
+ */
+export const getLineLeft = (textAlign, lineWidth, blockWidth) => {
+    if (textAlign === 'left') return 0;
+    if (textAlign === 'right') return blockWidth - lineWidth;
+    return (blockWidth - lineWidth) / 2;
+};
+
+/**
+ * The part of a line a text transition has revealed
+ * @param {Object} line - From layoutText()
+ * @param {number|null} revealed - Characters of the whole text shown, null for all
+ * @returns {string}
+ */
+export const getRevealedText = (line, revealed) => {
+    if (revealed == null) return line.text;
+    return line.text.slice(0, Math.max(0, revealed - line.start));
+};
@@ -0,0 +1,232 @@
+/**
+ * Text Style - Looks of text overlays, for the preview and the canvas
+ * A layer's `style` holds the font (fontSize, fontFamily, fontWeight,
+ * fontStyle, textDecoration, letterSpacing, lineHeight, color) and optional
+ * effects, each null when off: an outline (stroke), a drop shadow, a
+ * rounded background box and a gradient fill. The preview turns it into CSS
+ * (getBoxCss/getTextCss) and the compositor draws it with the helpers below,
+ * from the same numbers, so both look alike.
+ */
+
+// Padding (display pixels) around text without a background box
+export const BOX_PADDING = 4;
+
+export const DEFAULT_TEXT_STYLE = {
+    fontSize: 40,
+    color: '#ffffff',
+    fontFamily: 'Clash Display',
+    fontWeight: '600',
+    textAlign: 'center',
+    fontStyle: 'normal',
+    textDecoration: 'none',
+    letterSpacing: 0,
+    lineHeight: 1.2,
+    stroke: null,
+    shadow: null,
+    background: null,
+    gradient: null,
+};
+
+// Fonts offered in the inspector - the bundled one, then common system fonts.
+// Systems without one (Helvetica and Impact are missing on Linux and Android)
+// use the generic family instead, in the preview and the export alike.
+// `weights` limits the weights a font offers to the faces it really has.
+export const FONT_FAMILIES = [
+    // Only the Semibold face is bundled (see index.css)
+    { value: 'Clash Display', generic: 'sans-serif', weights: ['600'] },
+    { value: 'Arial', generic: 'sans-serif' },
+    { value: 'Helvetica', generic: 'sans-serif' },
+    { value: 'Verdana', generic: 'sans-serif' },
+    { value: 'Trebuchet MS', generic: 'sans-serif' },
+    { value: 'Georgia', generic: 'serif' },
+    { value: 'Times New Roman', generic: 'serif' },
+    { value: 'Courier New', generic: 'monospace' },
+    { value: 'Impact', generic: 'sans-serif' },
+];
+
+// Weights offered for system fonts - one a system lacks shows its closest face
+export const FONT_WEIGHTS = [
+    { value: '300', label: 'Light' },
+    { value: '400', label: 'Regular' },
+    { value: '500', label: 'Medium' },
+    { value: '600', label: 'Semibold' },
+    { value: '700', label: 'Bold' },
+];
+
+export const TEXT_ALIGNMENTS = [
+    { value: 'left', label: 'Left' },
+    { value: 'center', label: 'Center' },
+    { value: 'right', label: 'Right' },
+];
+
+// Effects as they're first switched on
+export const DEFAULT_STROKE = { color: '#000000', width: 4 };
+export const DEFAULT_SHADOW = { color: '#000000', opacity: 0.6, blur: 8, offsetX: 2, offsetY: 2 };
+export const DEFAULT_BACKGROUND = { color: '#000000', opacity: 0.6, padding: 12, radius: 100 };
+export const DEFAULT_GRADIENT = { from: '#ffffff', to: '#fbbf24', angle: 90 };
+
+/**
+ * A style with every option filled in
+ * @param {Object} style - Layer style
+ * @returns {Object}
+ */
+export const resolveTextStyle = (style = {}) => ({ ...DEFAULT_TEXT_STYLE, ...style });
+
+/**
+ * CSS color of a hex color with an alpha
+ * @param {string} color - e.g. '#ff8800'
+ * @param {number} alpha - 0-1
+ * @returns {string} - e.g. 'rgba(255, 136, 0, 0.5)'
+ */
+export const toRgba = (color, alpha = 1) => {
+    const hex = color.replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex;
+    const value = parseInt(full, 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+/**
+ * Padding between the text and the edge of its box
+ * @param {Object} style - Resolved layer style
+ * @returns {number} - Display pixels
+ */
+export const getBoxPadding = (style) => (style.background ? style.background.padding : BOX_PADDING);
+
+/**
+ * Weights the inspector offers for a font family
+ * @param {string} family - e.g. 'Clash Display'
+ * @returns {Array<Object>} - Entries of FONT_WEIGHTS
+ */
+export const getFontWeights = (family) => {
+    const weights = FONT_FAMILIES.find(font => font.value === family)?.weights;
+    return weights ? FONT_WEIGHTS.filter(weight => weights.includes(weight.value)) : FONT_WEIGHTS;
+};
+
+/**
+ * Font family with its generic fallback, as CSS and canvas fonts take it
+ * @param {string} family - e.g. 'Georgia'
+ * @returns {string} - e.g. '"Georgia", serif'
+ */
+export const getFontStack = (family) => {
+    const generic = FONT_FAMILIES.find(font => font.value === family)?.generic || 'sans-serif';
+    return `"${family}", ${generic}`;
+};
+
+/**
+ * Canvas font of a style
+ * @param {Object} style - Resolved layer style
+ * @param {number} fontSize - Font size in canvas pixels
+ * @returns {string} - e.g. 'italic 600 40px "Clash Display", sans-serif'
+ */
+export const getCanvasFont = (style, fontSize) => {
+    const italic = style.fontStyle === 'italic' ? 'italic ' : '';
+    return `${italic}${style.fontWeight} ${fontSize}px ${getFontStack(style.fontFamily)}`;
+};
+
+/**
+ * Ends of a CSS linear-gradient's line across a box, relative to its center
+ * CSS angles point up at 0deg and turn clockwise, and the line is long
+ * enough for the corners to get the end colors.
+ * @param {number} angle - Degrees
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {Object} - { x0, y0, x1, y1 }
+ */
+export const getGradientLine = (angle, width, height) => {
+    const radians = (angle * Math.PI) / 180;
+    const dx = Math.sin(radians);
+    const dy = -Math.cos(radians);
+    const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    return { x0: -dx * half, y0: -dy * half, x1: dx * half, y1: dy * half };
+};
+
+/**
+ * Trace a rounded rectangle - radii larger than the box round its ends fully, like CSS
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ */
+export const traceRoundedRect = (ctx, x, y, width, height, radius) => {
+    const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + width, y, x + width, y + height, r);
+    ctx.arcTo(x + width, y + height, x, y + height, r);
+    ctx.arcTo(x, y + height, x, y, r);
+    ctx.arcTo(x, y, x + width, y, r);
+    ctx.closePath();
+};
+
+/**
+ * CSS of the box around a text overlay in the preview
+ * @param {Object} style - Layer style
+ * @returns {Object} - React style
+ */
+export const getBoxCss = (style) => {
+    const resolved = resolveTextStyle(style);
+    const { background } = resolved;
+    return {
+        fontSize: resolved.fontSize,
+        fontFamily: getFontStack(resolved.fontFamily),
+        fontWeight: resolved.fontWeight,
+        fontStyle: resolved.fontStyle,
+        textAlign: resolved.textAlign,
+        lineHeight: resolved.lineHeight,
+        padding: `${getBoxPadding(resolved)}px`,
+        background: background ? toRgba(background.color, background.opacity) : 'transparent',
+        borderRadius: background ? `${background.radius}px` : 0,
+    };
+};
+
+/**
+ * CSS of the text itself in the preview
+ * The outline is painted under the fill (paint-order) like the canvas draws
+ * it, and a gradient fill is clipped to the letters.
+ * @param {Object} style - Layer style
+ * @returns {Object} - React style
+ */
+export const getTextCss = (style) => {
+    const { color, letterSpacing, textDecoration, stroke, shadow, gradient } = resolveTextStyle(style);
+    const css = {
+        color,
+        letterSpacing: `${letterSpacing}px`,
+        textDecoration,
+    };
+    if (stroke) {
+        css.WebkitTextStroke = `${stroke.width}px ${stroke.color}`;
+        css.paintOrder = 'stroke fill';
+    }
+    if (gradient) {
+        css.backgroundImage = `linear-gradient(${gradient.angle}deg, ${gradient.from}, ${gradient.to})`;
+        css.WebkitBackgroundClip = 'text';
+        css.backgroundClip = 'text';
+        css.color = 'transparent';
+        css.textDecorationColor = gradient.from;
+    }
+    if (shadow) {
+        const value = `${shadow.offsetX}px ${shadow.offsetY}px ${shadow.blur}px ${toRgba(shadow.color, shadow.opacity)}`;
+        // A text-shadow would cover a fill that's clipped from the background
+        if (gradient) css.filter = `drop-shadow(${value})`;
+        else css.textShadow = value;
+    }
+    return css;
+};
+
+/**
+ * Bring a style from a project file into the shape the editor expects
+ * Effects missing options get the defaults, unknown ones are turned off.
+ * @param {Object} style - Style from the file
+ * @returns {Object}
+ */
+export const normalizeTextStyle = (style) => {
+    const normalized = { ...style };
+    const effects = { stroke: DEFAULT_STROKE, shadow: DEFAULT_SHADOW, background: DEFAULT_BACKGROUND, gradient: DEFAULT_GRADIENT };
+    for (const [key, defaults] of Object.entries(effects)) {
+        const effect = style?.[key];
+        normalized[key] = effect && typeof effect === 'object' ? { ...defaults, ...effect } : null;
+    }
+    return normalized;
+};
@@ -0,0 +1,141 @@
+/**
+ * Time Ranges - Math for cutting sections out of a clip
+ * Cuts are ranges of source time to remove. Subtracting them from the trim
+ * range gives the keep ranges, which play back to back in the output. The
+ * helpers map times between the source and that output timeline.
+ *
+ * Ranges are { start, end } in seconds with start < end.
+ */
+
+// Ranges shorter than this are dropped (a stray double click, float noise)
+const MIN_RANGE_DURATION = 0.01;
+
+/**
+ * Sort ranges and merge the ones that overlap or touch
+ * @param {Array<Object>} ranges - Ranges in any order
+ * @returns {Array<Object>} - New array of disjoint ranges, ascending
+ */
+export const normalizeRanges = (ranges = []) => {
+    const sorted = ranges
+        .filter(range => range.end - range.start >= MIN_RANGE_DURATION)
+        .map(range => ({ ...range }))
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+};
+
+/**
+ * Subtract cuts from the trim range
+ * @param {number} start - Trim start in seconds
+ * @param {number} end - Trim end in seconds
+ * @param {Array<Object>} cuts - Ranges to remove
+ * @returns {Array<Object>} - Ranges to keep, ascending (empty if everything is cut)
+ */
+export const getKeepRanges = (start, end, cuts = []) => {
+    const keep = [];
+    let cursor = start;
+
+    for (const cut of normalizeRanges(cuts)) {
+        if (cut.end <= cursor) continue;
+        if (cut.start >= end) break;
+        if (cut.start > cursor) {
+            keep.push({ start: cursor, end: cut.start });
+        }
+        cursor = Math.max(cursor, cut.end);
+    }
+    if (end > cursor) {
+        keep.push({ start: cursor, end });
+    }
+
+    return keep.filter(range => range.end - range.start >= MIN_RANGE_DURATION);
+};
+
+/**
+ * Total duration of a set of ranges
+ * @param {Array<Object>} ranges - Disjoint ranges
+ * @returns {number} - Seconds
+ */
+export const getRangesDuration = (ranges = []) => {
+    return ranges.reduce((sum, range) => sum + (range.end - range.start), 0);
+};
+
+/**
+ * Find the range containing a time
+ * @param {Array<Object>} ranges - Disjoint ranges
+ * @param {number} time - Time in seconds
+ * @returns {Object|null}
+ */
+export const findRangeAt = (ranges = [], time) => {
+    return ranges.find(range => time >= range.start && time < range.end) || null;
+};
+
+/**
+ * Map a source time onto the output timeline
+ * Times in a removed gap map to where the next kept range starts, so a frame
+ * on screen during a cut becomes the first frame after it (like frames
+ * before the trim start do)
+ * @param {Array<Object>} keepRanges - Ranges to keep, ascending
+ * @param {number} sourceTime - Time in the source in seconds
+ * @returns {number} - Output time in seconds, clamped to [0, total duration]
+ */
+export const toOutputTime = (keepRanges, sourceTime) => {
+    let outputTime = 0;
+    for (const range of keepRanges) {
+        if (sourceTime < range.start) return outputTime;
+        if (sourceTime < range.end) return outputTime + (sourceTime - range.start);
+        outputTime += range.end - range.start;
+    }
+    return outputTime;
+};
+
+/**
+ * Map an output time back to the source
+ * @param {Array<Object>} keepRanges - Ranges to keep, ascending
+ * @param {number} outputTime - Time in the output in seconds
+ * @returns {number} - Source time in seconds
+ */
+export const toSourceTime = (keepRanges, outputTime) => {
+    let remaining = Math.max(0, outputTime);
+    for (const range of keepRanges) {
+        const duration = range.end - range.start;
+        if (remaining < duration) return range.start + remaining;
+        remaining -= duration;
+    }
+    const last = keepRanges[keepRanges.length - 1];
+    return last ? last.end : outputTime;
+};
+
+/**
+ * Move an overlay's timing onto the output timeline
+ * An overlay spanning a cut stays one piece - the removed part just disappears
+ * @param {Array<Object>} keepRanges - Ranges to keep, ascending
+ * @param {Object} timing - Overlay timing { start, end } in source time
+ * @returns {Object|null} - { start, end } in output time, or null if it's entirely cut
+ */
+export const remapTiming = (keepRanges, timing) => {
+    const start = toOutputTime(keepRanges, timing.start);
+    const end = toOutputTime(keepRanges, timing.end);
+    return end - start > 0 ? { start, end } : null;
+};
+
+/**
+ * Build an FFmpeg select/aselect expression that keeps only the given ranges
+ * e.g. "between(t,0,4.5)+between(t,7,12)"
+ * @param {Array<Object>} keepRanges - Ranges to keep, ascending
+ * @param {number} offset - Seconds to subtract (when the input is seeked with -ss)
+ * @returns {string}
+ */
+export const getSelectExpression = (keepRanges, offset = 0) => {
+    return keepRanges
+        .map(range => `between(t,${(range.start - offset).toFixed(6)},${(range.end - offset).toFixed(6)})`)
+        .join('+');
+};
@@ -0,0 +1,159 @@
+/**
+ * Timeline View - The part of the clip the timeline shows
+ * The view is a window { start, end } of source time: the whole clip when
+ * zoomed out, narrowed around the pointer when zooming in, moved by
+ * scrolling. Every lane maps time to position through it, so the lanes stay
+ * lined up at any zoom. Lanes wrapping full-width widgets (the trim slider,
+ * the thumbnails) lay them out over the whole clip in a wider box
+ * (getContentStyle) that the lane clips; canvases draw only the window.
+ */
+
+// Narrowest window (seconds) - a few frames per 100 pixels on most screens
+export const MIN_VISIBLE_DURATION = 0.5;
+
+// Zoom per pixel of wheel movement (Ctrl+wheel, trackpad pinch)
+const WHEEL_ZOOM_RATE = 0.002;
+
+// Zoom per click of the zoom buttons
+export const ZOOM_STEP = 1.5;
+
+// Labelled ticks are at least this far apart (pixels)
+const MIN_TICK_SPACING = 80;
+
+// Ruler tick steps in seconds, with the unlabelled ticks between labels
+const TICK_STEPS = [
+    [0.01, 5], [0.02, 4], [0.05, 5], [0.1, 5], [0.2, 4], [0.5, 5],
+    [1, 5], [2, 4], [5, 5], [10, 5], [15, 3], [30, 6],
+    [60, 6], [120, 4], [300, 5], [600, 5], [900, 3], [1800, 6], [3600, 6],
+];
+
+/**
+ * The view showing the whole clip
+ * @param {number} duration - Clip duration in seconds
+ * @returns {Object} - { start, end }
+ */
+export const getFullView = (duration) => ({ start: 0, end: duration });
+
+/**
+ * Keep a view inside the clip, no narrower than MIN_VISIBLE_DURATION
+ * @param {Object} view - { start, end }
+ * @param {number} duration - Clip duration in seconds
+ * @returns {Object} - { start, end }
+ */
+export const clampView = (view, duration) => {
+    const visible = Math.min(duration, Math.max(Math.min(MIN_VISIBLE_DURATION, duration), view.end - view.start));
+    const start = Math.max(0, Math.min(view.start, duration - visible));
+    return { start, end: start + visible };
+};
+
+/**
+ * How far a view is zoomed in
+ * @param {Object} view - { start, end }
+ * @param {number} duration - Clip duration in seconds
+ * @returns {number} - 1 for the whole clip
+ */
+export const getZoom = (view, duration) => duration / (view.end - view.start);
+
+/**
+ * Zoom a view in or out, keeping a point in place
+ * @param {Object} view - { start, end }
+ * @param {number} factor - Below 1 zooms in, above 1 zooms out
+ * @param {number} anchor - Source time that stays under the pointer
+ * @param {number} duration - Clip duration in seconds
+ * @returns {Object} - { start, end }
+ */
+export const zoomView = (view, factor, anchor, duration) => {
+    const visible = Math.max(MIN_VISIBLE_DURATION, (view.end - view.start) * factor);
+    const ratio = (anchor - view.start) / (view.end - view.start);
+    const start = anchor - ratio * visible;
+    return clampView({ start, end: start + visible }, duration);
+};
+
+/**
+ * Zoom factor for a wheel event's movement
+ * @param {number} deltaY - WheelEvent.deltaY in pixels
+ * @returns {number} - For zoomView()
+ */
+export const getWheelZoomFactor = (deltaY) => Math.exp(deltaY * WHEEL_ZOOM_RATE);
+
+/**
+ * Move a view along the clip
+ * @param {Object} view - { start, end }
+ * @param {number} delta - Seconds to move by (negative moves back)
+ * @param {number} duration - Clip duration in seconds
+ * @returns {Object} - { start, end }
+ */
+export const scrollView = (view, delta, duration) => {
+    return clampView({ start: view.start + delta, end: view.end + delta }, duration);
+};
+
+/**
+ * Position of a point in a lane, as a CSS percentage of the lane's width
+ * Points outside the view land outside 0-100% and are clipped by the lane.
+ * @param {Object} view - { start, end }
+ * @param {number} time - Source time in seconds
+ * @returns {string} - e.g. '25%'
+ */
+export const toViewPercent = (view, time) => `${((time - view.start) / (view.end - view.start)) * 100}%`;
+
+/**
+ * Source time under a point of a lane
+ * @param {Object} view - { start, end }
+ * @param {DOMRect} rect - The lane's bounding rectangle
+ * @param {number} clientX - Pointer x
+ * @returns {number} - Seconds, within the view
+ */
+export const getViewTimeAt = (view, rect, clientX) => {
+    const fraction = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    return view.start + fraction * (view.end - view.start);
+};
+
+/**
+ * Style of a box laid out over the whole clip, positioned so the view fills its lane
+ * @param {Object} view - { start, end }
+ * @param {number} duration - Clip duration in seconds
+ * @returns {Object} - { left, width } as CSS percentages
+ */
+export const getContentStyle = (view, duration) => {
+    const visible = view.end - view.start;
+    return {
+        left: `${(-view.start / visible) * 100}%`,
+        width: `${(duration / visible) * 100}%`,
+    };
+};
+
+/**
+ * Format a ruler label, as precise as the tick step needs
+ * @param {number} time - Seconds
+ * @param {number} step - Tick step in seconds
+ * @returns {string} - e.g. '1:05', '1:05.5' or '1:05.25'
+ */
+const formatTickTime = (time, step) => {
+    const decimals = step >= 1 ? 0 : (step >= 0.1 ? 1 : 2);
+    const minutes = Math.floor(time / 60);
+    const seconds = (time - minutes * 60).toFixed(decimals).padStart(decimals > 0 ? decimals + 3 : 2, '0');
+    return `${minutes}:${seconds}`;
+};
+
+/**
+ * Ticks of the time ruler for a view
+ * The step is the smallest that keeps labels MIN_TICK_SPACING apart.
+ * @param {Object} view - { start, end }
+ * @param {number} width - Ruler width in pixels
+ * @returns {Array<Object>} - Ticks { time, label } - label is null for the small ticks
+ */
+export const getRulerTicks = (view, width) => {
+    const visible = view.end - view.start;
+    if (!(visible > 0) || !(width > 0)) return [];
+    const [step, divisions] = TICK_STEPS.find(([candidate]) => (candidate / visible) * width >= MIN_TICK_SPACING)
+        || TICK_STEPS[TICK_STEPS.length - 1];
+
+    // Whole multiples of the small step, so there's no float drift
+    const minor = step / divisions;
+    const ticks = [];
+    for (let i = Math.ceil(view.start / minor); i * minor <= view.end; i++) {
+        const time = i * minor;
+        ticks.push({ time, label: i % divisions === 0 ? formatTickTime(time, step) : null });
+    }
+    return ticks;
+};
@@ -0,0 +1,117 @@
+/**
+ * Track Preview - Plays a clip's audio tracks along with the video
+ * Every track gets an audio element routed through its own gain node on the
+ * preview's audio context. The video element stays the clock: every frame the
+ * tracks are started, stopped and re-seeked to where the video is, so seeks,
+ * skipped cuts and pauses carry over without wiring each of them up.
+ */
+
+import { setGainParam } from './audioEdits.js';
+import { getTrackEnd, getTrackGainAt } from './audioTracks.js';
+
+// Tracks further than this from the video are re-seeked (seconds)
+const MAX_DRIFT = 0.15;
+
+/**
+ * TrackPreview class
+ * Audio elements of the tracks, kept in step with the video
+ */
+export class TrackPreview {
+    /**
+     * @param {AudioContext} context - Preview audio context
+     */
+    constructor(context) {
+        this.context = context;
+        this.players = new Map(); // Track id -> { file, element, url, source, gain }
+    }
+
+    /**
+     * Create the player of a track, or replace it if its file changed
+     * @param {Object} track - Audio track
+     * @returns {Object} - Player { file, element, url, source, gain }
+     */
+    getPlayer(track) {
+        const existing = this.players.get(track.id);
+        if (existing && existing.file === track.file) return existing;
+        if (existing) this.removePlayer(track.id);
+
+        const url = URL.createObjectURL(track.file);
+        const element = new Audio(url);
+        element.preload = 'auto';
+        const source = this.context.createMediaElementSource(element);
+        const gain = this.context.createGain();
+        source.connect(gain);
+        gain.connect(this.context.destination);
+
+        const player = { file: track.file, element, url, source, gain };
+        this.players.set(track.id, player);
+        return player;
+    }
+
+    /**
+     * Stop and release a player
+     * @param {string} id - Track id
+     */
+    removePlayer(id) {
+        const player = this.players.get(id);
+        if (!player) return;
+        player.element.pause();
+        player.element.removeAttribute('src');
+        player.source.disconnect();
+        player.gain.disconnect();
+        URL.revokeObjectURL(player.url);
+        this.players.delete(id);
+    }
+
+    /**
+     * Bring the tracks to a point of the video - called every frame while it plays
+     * @param {Array<Object>} tracks - Audio tracks of the clip
+     * @param {number} time - Source time of the video
+     * @param {Array<Object>} duckRanges - From getDuckRanges()
+     * @param {number} rate - Playback rate of the video (J/L shuttle)
+     */
+    sync(tracks, time, duckRanges, rate = 1) {
+        for (const id of this.players.keys()) {
+            if (!tracks.some(track => track.id === id)) this.removePlayer(id);
+        }
+
+        for (const track of tracks) {
+            if (!track.file) continue; // Not relinked
+            const player = this.getPlayer(track);
+            const { element } = player;
+
+            if (time < track.start || time >= getTrackEnd(track)) {
+                if (!element.paused) element.pause();
+                continue;
+            }
+
+            if (element.playbackRate !== rate) element.playbackRate = rate;
+            const target = track.trimStart + time - track.start;
+            if (element.paused || Math.abs(element.currentTime - target) > MAX_DRIFT) {
+                element.currentTime = target;
+            }
+            if (element.paused) {
+                element.play().catch(error => console.warn('Track preview failed:', error));
+            }
+            setGainParam(player.gain.gain, this.context, getTrackGainAt(track, time, duckRanges));
+        }
+    }
+
+    /**
+     * Pause every track, e.g. when the video pauses
+     */
+    pause() {
+        for (const { element } of this.players.values()) {
+            element.pause();
+        }
+    }
+
+    /**
+     * Release every player
+     */
+    dispose() {
+        for (const id of [...this.players.keys()]) {
+            this.removePlayer(id);
+        }
+    }
+}
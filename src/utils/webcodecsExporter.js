@@ -1,13 +1,602 @@
 /**
- * MediaRecorder Video Exporter
- * Handles video export with overlays using the MediaRecorder API
- * Supports video trim, text overlays, drawing overlays
+ * Video Exporters
+ * Handles video export with overlays (trim, text overlays, drawing overlays)
  *
- * This is simpler and more reliable than WebCodecs + MP4Box for most use cases.
- * MediaRecorder handles the muxing automatically and produces valid MP4 files.
+ * WebCodecsExporter is the main pipeline: it demuxes MP4/MOV files with MP4Box,
+ * decodes with VideoDecoder, composites each frame with CanvasCompositor,
+ * encodes with VideoEncoder and muxes back to MP4. It runs as fast as the
+ * codecs allow and never drops frames.
+ *
+ * MediaRecorderExporter is the fallback for inputs the WebCodecs pipeline
+ * can't demux or decode (e.g. WebM), and the backend for WebM/VP9/AV1
+ * output: it plays the video in real time and records a canvas stream.
+ *
+ * Both resolve to an export result: { blob, container, mimeType }, where
+ * container is the format the file really is ('mp4', 'webm', 'mov'), and
+ * report ExportProgress snapshots (stage, frames, elapsed, ETA) to onProgress.
+ */
+
+import { CanvasCompositor, drawImageOverlay, drawTextOverlay } from './canvasCompositor.js';
+import { Mp4Demuxer } from './mp4Demuxer.js';
+import { Mp4Muxer } from './mp4Muxer.js';
+import { getMediaInfo, getMp4MediaInfo, formatFrameRate } from './mediaInfo.js';
+import { canUseWebCodecs } from './exportRouter.js';
+import { getContainerFromMimeType, remux } from './remux.js';
+import { ExportProgress, EXPORT_STAGES } from './exportProgress.js';
+import { getKeepRanges, getRangesDuration, findRangeAt, toOutputTime, toSourceTime } from './timeRanges.js';
+import { DEFAULT_AUDIO_EDIT, isAudioEdited, applyAudioEdit, getAudioGainAt, setGainParam } from './audioEdits.js';
+import { decodeAudio, ANALYSIS_SAMPLE_RATE } from './audioAnalysis.js';
+import { mixAudioTracks } from './audioTracks.js';
+import { getOverlayAt } from './overlayTransitions.js';
+
+// Max frames waiting in the decoder/encoder queues before we pause feeding
+const MAX_QUEUE_SIZE = 8;
+
+// Seconds between forced keyframes in the encoded output
+const KEYFRAME_INTERVAL = 2;
+
+// H.264 profiles to try, from High 5.1 (4K) down to Baseline 3.1
+const H264_CODECS = ['avc1.640033', 'avc1.640028', 'avc1.4d0028', 'avc1.42001f'];
+
+// Audio sample entries that can be stream-copied into the output MP4
+const COPYABLE_AUDIO = ['mp4a', 'Opus'];
+
+// Edited or mixed audio is re-encoded as AAC-LC, in chunks of this many frames
+const AAC_CODEC = 'mp4a.40.2';
+const AUDIO_CHUNK_FRAMES = 4800;
+
+/**
+ * Decode the files of audio tracks, one at a time
+ * @param {Array<Object>} tracks - Audio tracks (see audioTracks.js)
+ * @returns {Promise<Array<Object>>} - { track, buffer } for mixAudioTracks() - buffer null if it can't be decoded
+ */
+const decodeAudioTracks = async (tracks) => {
+    const decoded = [];
+    for (const track of tracks) {
+        decoded.push({ track, buffer: await decodeAudio(track.file) });
+    }
+    return decoded;
+};
+
+/**
+ * Create the error thrown when an export is cancelled
+ * @returns {DOMException}
  */
+export const createAbortError = () => new DOMException('Export cancelled', 'AbortError');
+
+/**
+ * Abort an exporter when an external signal fires (e.g. the editor's cancel button)
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @param {Object} exporter - Exporter with an abort() method
+ */
+export const followSignal = (signal, exporter) => {
+    if (!signal) return;
+    if (signal.aborted) {
+        exporter.abort();
+        return;
+    }
+    signal.addEventListener('abort', () => exporter.abort(), { once: true });
+};
+
+/**
+ * WebCodecsExporter class
+ * Offline, frame-accurate export: demux -> decode -> composite -> encode -> mux
+ * Output is constant frame rate - source frames are resampled onto a fixed
+ * grid at the source rate (or options.fps)
+ */
+export class WebCodecsExporter {
+    constructor(options = {}) {
+        this.videoFile = options.videoFile;
+        this.startTime = options.startTime || 0;
+        this.endTime = options.endTime || null;
+        this.cuts = options.cuts || []; // Source ranges removed from the middle of the clip
+        this.overlays = options.overlays || [];
+        this.fps = options.fps || null; // Target frame rate, null = match source
+        this.outputWidth = options.outputWidth || null; // Output size, null = match source
+        this.outputHeight = options.outputHeight || null;
+        this.bitrate = options.bitrate || 5000000; // 5 Mbps
+        this.quantizer = options.quantizer ?? null; // Constant quality (H.264 QP), used over bitrate when supported
+        this.audio = options.audio || DEFAULT_AUDIO_EDIT; // Volume, mute and fades (see audioEdits.js)
+        this.normalizeGain = options.normalizeGain || 0; // dB, applied if the audio edit normalizes
+        this.audioTracks = options.audioTracks || []; // Music and voiceovers mixed in (see audioTracks.js)
+        this.duckRanges = options.duckRanges || []; // Where tracks duck under the clip's audio
+        this.audioBitrate = options.audioBitrate || 128000;
+        this.progress = new ExportProgress(options.onProgress);
+        this.onLog = options.onLog || (() => {});
+
+        // Display dimensions - the size of the video element when overlays were created
+        this.displayWidth = options.displayWidth || null;
+        this.displayHeight = options.displayHeight || null;
+
+        this.demuxer = null;
+        this.mediaInfo = null;
+        this.decoder = null;
+        this.encoder = null;
+        this.audioEncoder = null;
+        this.audioEncoderConfig = null;
+        this.decoderConfig = null;
+        this.encoderConfig = null;
+        this.encodeOptions = {};
+        this.pipelineError = null;
+        this.abortController = new AbortController();
+        followSignal(options.signal, this);
+    }
+
+    /**
+     * Check whether this file can go through the WebCodecs pipeline
+     * @returns {Promise<boolean>}
+     */
+    async canExport() {
+        if (!canUseWebCodecs()) return false;
+        try {
+            await this.prepare();
+            return true;
+        } catch (error) {
+            this.onLog(`WebCodecs pipeline unavailable: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Demux the file and negotiate decoder/encoder configs
+     */
+    async prepare() {
+        if (this.encoderConfig) return;
+
+        this.demuxer = new Mp4Demuxer(this.videoFile);
+        await this.demuxer.open();
+
+        const { videoTrack, audioTrack } = this.demuxer;
+        if (!videoTrack) {
+            throw new Error('No video track found');
+        }
+
+        const decoderConfig = this.demuxer.getVideoDecoderConfig();
+        const { supported } = await VideoDecoder.isConfigSupported(decoderConfig);
+        if (!supported) {
+            throw new Error(`Decoding ${decoderConfig.codec} is not supported`);
+        }
+
+        if ((audioTrack && isAudioEdited(this.audio)) || this.audioTracks.length > 0) {
+            // Edited audio and audio tracks are decoded, processed, mixed and encoded again
+            this.audioEncoderConfig = {
+                codec: AAC_CODEC,
+                sampleRate: ANALYSIS_SAMPLE_RATE,
+                numberOfChannels: audioTrack && this.audioTracks.length === 0 ? Math.min(2, audioTrack.audio.channel_count) : 2,
+                bitrate: this.audioBitrate,
+            };
+            const { supported } = await AudioEncoder.isConfigSupported(this.audioEncoderConfig);
+            if (!supported) {
+                throw new Error('AAC encoding is not supported');
+            }
+        } else if (audioTrack && !COPYABLE_AUDIO.includes(this.demuxer.getSampleEntry(audioTrack.id).type)) {
+            throw new Error(`Audio codec ${audioTrack.codec} can't be copied into MP4`);
+        }
+
+        this.mediaInfo = getMp4MediaInfo(this.demuxer);
+        if (this.mediaInfo.isVFR) {
+            this.onLog(`Variable frame rate source (avg ${formatFrameRate(this.mediaInfo.averageFps)}fps)`);
+        }
+
+        this.decoderConfig = decoderConfig;
+        this.encoderConfig = await this.findEncoderConfig(
+            this.outputWidth || videoTrack.video.width,
+            this.outputHeight || videoTrack.video.height,
+            this.fps || this.mediaInfo.fps
+        );
+    }
+
+    /**
+     * Find an H.264 encoder config supported for the output size
+     * Constant quality (quantizer mode) is tried first when a quantizer is set,
+     * then the target bitrate
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {number} fps - Output frame rate
+     * @returns {Promise<VideoEncoderConfig>}
+     */
+    async findEncoderConfig(width, height, fps) {
+        const rateModes = this.quantizer !== null
+            ? [{ bitrateMode: 'quantizer' }, { bitrate: this.bitrate }]
+            : [{ bitrate: this.bitrate }];
+
+        for (const rateMode of rateModes) {
+            for (const codec of H264_CODECS) {
+                const config = {
+                    codec,
+                    width,
+                    height,
+                    ...rateMode,
+                    framerate: fps,
+                    // 'avc' format gives us an avcC description and length-prefixed NALUs for MP4
+                    avc: { format: 'avc' },
+                };
+                const { supported } = await VideoEncoder.isConfigSupported(config);
+                if (supported) {
+                    // Quantizer mode takes the QP with every frame
+                    this.encodeOptions = rateMode.bitrateMode ? { avc: { quantizer: this.quantizer } } : {};
+                    return config;
+                }
+            }
+        }
+        throw new Error(`No supported H.264 encoder for ${width}x${height}`);
+    }
+
+    /**
+     * Main export method
+     * @returns {Promise<Object>} - Export result { blob, container: 'mp4', mimeType }
+     */
+    async export() {
+        try {
+            this.onLog('Starting WebCodecs export...');
+            this.progress.setStage(EXPORT_STAGES.LOADING);
+            await this.prepare();
+
+            const blob = await this.transcode();
+
+            this.onLog('Export complete!');
+            this.progress.complete();
+
+            return { blob, container: 'mp4', mimeType: blob.type };
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.onLog(`Export error: ${error.message}`);
+                console.error('WebCodecs export error:', error);
+            }
+            throw error;
+        } finally {
+            this.cleanup();
+        }
+    }
+
+    /**
+     * Run the decode -> composite -> encode loop and mux the result
+     * @returns {Promise<Blob>}
+     */
+    async transcode() {
+        const { videoTrack } = this.demuxer;
+        const { width, height } = this.encoderConfig;
+        const fps = this.encoderConfig.framerate;
+
+        const sourceDuration = this.demuxer.getDuration(videoTrack);
+        const endTime = Math.min(this.endTime || sourceDuration, sourceDuration);
+        // The kept parts of the clip play back to back in the output
+        const keepRanges = getKeepRanges(this.startTime, endTime, this.cuts);
+        if (keepRanges.length === 0) {
+            throw new Error('Nothing to export - the whole clip is cut');
+        }
+        const exportDuration = getRangesDuration(keepRanges);
+        const totalFrames = Math.ceil(exportDuration * fps);
+
+        this.onLog(`Export: ${exportDuration.toFixed(2)}s, ${totalFrames} frames @ ${formatFrameRate(fps)}fps CFR, ${width}x${height}`);
+
+        // Compositor draws video + overlays at the export resolution
+        const compositor = new CanvasCompositor(width, height);
+        compositor.setOverlays(this.overlays);
+        compositor.setStartTime(this.startTime);
+        if (this.displayWidth && this.displayHeight) {
+            compositor.setScale(width / this.displayWidth, height / this.displayHeight);
+        }
+        this.progress.setStage(EXPORT_STAGES.RENDERING);
+        await compositor.preloadImages();
+
+        const muxer = new Mp4Muxer({ duration: exportDuration });
+
+        this.encoder = new VideoEncoder({
+            output: (chunk, metadata) => {
+                if (muxer.videoTrackId === null) {
+                    const description = metadata?.decoderConfig?.description;
+                    muxer.addVideoTrack({
+                        codec: this.encoderConfig.codec,
+                        width,
+                        height,
+                        description: description ? new Uint8Array(description).slice().buffer : undefined,
+                    });
+                }
+                muxer.addVideoChunk(chunk);
+            },
+            error: (error) => {
+                this.pipelineError = error;
+            },
+        });
+        this.encoder.configure(this.encoderConfig);
+
+        // Decoded frames are queued by the output callback and composited
+        // by drainFrames() so compose() can stay async
+        const frameQueue = [];
+        this.decoder = new VideoDecoder({
+            output: (frame) => frameQueue.push(frame),
+            error: (error) => {
+                this.pipelineError = error;
+            },
+        });
+        this.decoder.configure(this.decoderConfig);
+
+        const timeOffset = this.demuxer.getStartOffset(videoTrack);
+        const frameDuration = 1e6 / fps;
+        // Tolerance for matching a source frame to an output slot (timestamp rounding)
+        const epsilon = 0.001;
+        let framesDone = 0;
+        let lastKeyFrameTime = -Infinity;
+
+        // Constant frame rate output: slot k shows at k / fps and takes the
+        // latest source frame presented at or before that time. Slower sources
+        // repeat frames, faster sources drop them, VFR gets evened out.
+        let heldFrame = null;
+
+        const emitFrame = async (frame, relativeTime) => {
+            // Overlay timings are in source time
+            const bitmap = await compositor.compose(frame, toSourceTime(keepRanges, relativeTime) - this.startTime);
+            const outputFrame = new VideoFrame(bitmap, {
+                timestamp: Math.round(framesDone * frameDuration),
+                duration: Math.round(frameDuration),
+            });
+            bitmap.close();
+
+            const keyFrame = relativeTime - lastKeyFrameTime >= KEYFRAME_INTERVAL;
+            if (keyFrame) lastKeyFrameTime = relativeTime;
+
+            this.encoder.encode(outputFrame, { ...this.encodeOptions, keyFrame });
+            outputFrame.close();
+
+            framesDone++;
+            this.progress.setFrames(framesDone);
+        };
+
+        // Emit every output slot that comes before `untilTime` using the held frame
+        const emitHeldFrame = async (untilTime) => {
+            while (heldFrame && framesDone < totalFrames && framesDone / fps < untilTime - epsilon) {
+                await emitFrame(heldFrame, framesDone / fps);
+            }
+        };
+
+        const drainFrames = async () => {
+            while (frameQueue.length > 0) {
+                const frame = frameQueue.shift();
+                // Frames inside a cut land where the next kept part starts
+                const relativeTime = toOutputTime(keepRanges, frame.timestamp / 1e6 - timeOffset);
+
+                if (relativeTime >= exportDuration || this.abortController.signal.aborted) {
+                    frame.close();
+                    continue;
+                }
+
+                // Frames before the start (or inside a cut) emit nothing and just
+                // replace each other, so the next slot gets the frame on screen then
+                await emitHeldFrame(relativeTime);
+                if (heldFrame) heldFrame.close();
+                heldFrame = frame;
+            }
+        };
+
+        this.progress.setStage(EXPORT_STAGES.ENCODING, { totalFrames });
+
+        const samples = this.demuxer.getSamples(videoTrack.id);
+        const { first, last } = this.getSampleRange(samples, videoTrack.timescale, timeOffset, endTime);
+
+        for (let i = first; i <= last; i++) {
+            this.throwIfAborted();
+
+            const sample = samples[i];
+            const data = await this.demuxer.readSample(sample);
+            this.decoder.decode(new EncodedVideoChunk({
+                type: sample.is_sync ? 'key' : 'delta',
+                timestamp: Math.round((sample.cts * 1e6) / sample.timescale),
+                duration: Math.round((sample.duration * 1e6) / sample.timescale),
+                data,
+            }));
+
+            await drainFrames();
+
+            // Backpressure - don't let the codecs buffer the whole video
+            while (this.decoder.decodeQueueSize > MAX_QUEUE_SIZE || this.encoder.encodeQueueSize > MAX_QUEUE_SIZE) {
+                this.throwIfAborted();
+                await new Promise(resolve => setTimeout(resolve, 1));
+                await drainFrames();
+            }
+        }
+
+        this.throwIfAborted();
+        await this.decoder.flush();
+        await drainFrames();
+        // Fill the remaining slots with the last frame
+        await emitHeldFrame(exportDuration);
+        if (heldFrame) heldFrame.close();
+        await this.encoder.flush();
+        this.throwIfAborted();
+
+        this.onLog(`Encoded ${framesDone} frames`);
+        compositor.destroy();
+
+        this.progress.setStage(EXPORT_STAGES.MUXING);
+        if (this.audioEncoderConfig) {
+            await this.encodeAudio(muxer, keepRanges);
+        } else {
+            await this.copyAudio(muxer, keepRanges);
+        }
 
-import { CanvasCompositor } from './canvasCompositor.js';
+        this.onLog('Muxing MP4...');
+        const blob = muxer.finalize();
+        this.onLog(`Generated blob: ${blob.size} bytes, type: ${blob.type}`);
+        return blob;
+    }
+
+    /**
+     * Find the range of samples (decode order) needed to produce [startTime, endTime)
+     * Decoding starts at the keyframe before the start and runs until the next
+     * keyframe after the end, so reordered (B) frames are all emitted.
+     */
+    getSampleRange(samples, timescale, timeOffset, endTime) {
+        let first = 0;
+        let last = samples.length - 1;
+
+        for (let i = 0; i < samples.length; i++) {
+            const time = samples[i].cts / timescale - timeOffset;
+            if (samples[i].is_sync && time <= this.startTime) first = i;
+            if (samples[i].is_sync && time >= endTime && i > first) {
+                last = i - 1;
+                break;
+            }
+        }
+
+        return { first, last };
+    }
+
+    /**
+     * Stream-copy the audio samples inside the kept ranges
+     * @param {Mp4Muxer} muxer - Output muxer
+     * @param {Array<Object>} keepRanges - Kept source ranges, ascending
+     */
+    async copyAudio(muxer, keepRanges) {
+        const { audioTrack } = this.demuxer;
+        if (!audioTrack) return;
+
+        const timescale = audioTrack.timescale;
+        const timeOffset = this.demuxer.getStartOffset(audioTrack);
+
+        muxer.addAudioTrackFromEntry({
+            sampleEntry: this.demuxer.getSampleEntry(audioTrack.id),
+            timescale,
+            sampleRate: audioTrack.audio.sample_rate,
+            channelCount: audioTrack.audio.channel_count,
+        });
+
+        const samples = this.demuxer.getSamples(audioTrack.id);
+        let copied = 0;
+
+        for (const sample of samples) {
+            const time = sample.cts / timescale - timeOffset;
+            if (!findRangeAt(keepRanges, time)) continue;
+            this.throwIfAborted();
+
+            const data = await this.demuxer.readSample(sample);
+            const dts = Math.round(toOutputTime(keepRanges, time) * timescale);
+            muxer.addAudioSample(data, { dts, cts: dts, duration: sample.duration });
+            copied++;
+        }
+
+        this.onLog(`Copied ${copied} audio samples`);
+    }
+
+    /**
+     * Decode the audio of the kept ranges, apply the audio edit, mix in the
+     * audio tracks and encode it as AAC
+     * @param {Mp4Muxer} muxer - Output muxer
+     * @param {Array<Object>} keepRanges - Kept source ranges, ascending
+     */
+    async encodeAudio(muxer, keepRanges) {
+        this.onLog('Decoding audio...');
+        const buffer = this.demuxer.audioTrack ? await decodeAudio(this.videoFile) : null;
+        this.throwIfAborted();
+        if (!buffer && this.audioTracks.length === 0) {
+            this.onLog('No decodable audio, exporting without it');
+            return;
+        }
+
+        // The kept parts back to back, on the output timeline
+        const { sampleRate, numberOfChannels } = this.audioEncoderConfig;
+        const sampleRanges = keepRanges.map(range => ({
+            from: Math.round(range.start * sampleRate),
+            to: Math.round(range.end * sampleRate),
+        }));
+        const length = sampleRanges.reduce((sum, range) => sum + range.to - range.from, 0);
+
+        const channels = [];
+        for (let c = 0; c < numberOfChannels; c++) {
+            channels.push(new Float32Array(length));
+        }
+        if (buffer) {
+            channels.forEach((channel, c) => {
+                // Mono sources fill both channels
+                const source = buffer.getChannelData(Math.min(c, buffer.numberOfChannels - 1));
+                let offset = 0;
+                for (const { from, to } of sampleRanges) {
+                    channel.set(source.subarray(from, Math.min(to, source.length)), offset);
+                    offset += to - from;
+                }
+            });
+            applyAudioEdit(channels, sampleRate, this.audio, this.normalizeGain);
+        }
+
+        if (this.audioTracks.length > 0) {
+            this.onLog(`Mixing ${this.audioTracks.length} audio tracks...`);
+            mixAudioTracks(channels, sampleRate, await decodeAudioTracks(this.audioTracks), keepRanges, this.duckRanges);
+            this.throwIfAborted();
+        }
+
+        this.audioEncoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                if (muxer.audioTrackId === null) {
+                    muxer.addAudioTrack({
+                        sampleRate,
+                        channelCount: numberOfChannels,
+                        bitrate: this.audioBitrate,
+                        description: metadata?.decoderConfig?.description,
+                    });
+                }
+                muxer.addAudioChunk(chunk, sampleRate);
+            },
+            error: (error) => {
+                this.pipelineError = error;
+            },
+        });
+        this.audioEncoder.configure(this.audioEncoderConfig);
+
+        for (let i = 0; i < length; i += AUDIO_CHUNK_FRAMES) {
+            this.throwIfAborted();
+            const frames = Math.min(AUDIO_CHUNK_FRAMES, length - i);
+            const data = new Float32Array(frames * numberOfChannels);
+            channels.forEach((channel, c) => data.set(channel.subarray(i, i + frames), c * frames));
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels,
+                timestamp: Math.round((i * 1e6) / sampleRate),
+                data,
+            });
+            this.audioEncoder.encode(audioData);
+            audioData.close();
+
+            while (this.audioEncoder.encodeQueueSize > MAX_QUEUE_SIZE) {
+                await new Promise(resolve => setTimeout(resolve, 1));
+            }
+        }
+
+        await this.audioEncoder.flush();
+        this.throwIfAborted();
+        this.onLog(`Encoded ${(length / sampleRate).toFixed(2)}s of audio`);
+    }
+
+    /**
+     * Throw if the export was aborted or a codec reported an error
+     */
+    throwIfAborted() {
+        if (this.abortController.signal.aborted) throw createAbortError();
+        if (this.pipelineError) throw this.pipelineError;
+    }
+
+    /**
+     * Close codecs and release the demuxer
+     */
+    cleanup() {
+        for (const codec of [this.decoder, this.encoder, this.audioEncoder]) {
+            if (codec && codec.state !== 'closed') codec.close();
+        }
+        this.decoder = null;
+        this.encoder = null;
+        this.audioEncoder = null;
+        if (this.demuxer) this.demuxer.close();
+    }
+
+    /**
+     * Abort the export
+     */
+    abort() {
+        this.abortController.abort();
+    }
+}
 
 /**
  * MediaRecorderExporter class
@@ -18,8 +607,23 @@ export class MediaRecorderExporter {
         this.videoFile = options.videoFile;
         this.startTime = options.startTime || 0;
         this.endTime = options.endTime || null;
+        this.cuts = options.cuts || []; // Source ranges removed from the middle of the clip
         this.overlays = options.overlays || [];
-        this.onProgress = options.onProgress || (() => {});
+        this.fps = options.fps || null; // Target frame rate, null = match source
+        this.mediaInfo = options.mediaInfo || null; // From getMediaInfo(), read on demand if missing
+        this.outputWidth = options.outputWidth || null; // Output size, null = match source
+        this.outputHeight = options.outputHeight || null;
+        this.mimeTypes = options.mimeTypes || []; // Preferred MIME types, tried before the defaults
+        this.container = options.container || 'mp4'; // Container the caller wants, recordings in others are remuxed
+        this.ffmpeg = options.ffmpeg || null; // FFmpeg instance for remuxing (optional)
+        this.loadFFmpeg = options.loadFFmpeg || null; // Loads FFmpeg when a remux needs it (optional)
+        this.bitrate = options.bitrate || 5000000; // 5 Mbps
+        this.audioBitrate = options.audioBitrate || 128000;
+        this.audio = options.audio || DEFAULT_AUDIO_EDIT; // Volume, mute and fades (see audioEdits.js)
+        this.normalizeGain = options.normalizeGain || 0; // dB, applied if the audio edit normalizes
+        this.audioTracks = options.audioTracks || []; // Music and voiceovers mixed in (see audioTracks.js)
+        this.duckRanges = options.duckRanges || []; // Where tracks duck under the clip's audio
+        this.progress = new ExportProgress(options.onProgress);
         this.onLog = options.onLog || (() => {});
 
         // Display dimensions - the size of the video element when overlays were created
@@ -30,72 +634,72 @@ export class MediaRecorderExporter {
         this.mediaRecorder = null;
         this.recordedChunks = [];
         this.abortController = new AbortController();
+        followSignal(options.signal, this);
     }
 
     /**
      * Main export method
-     * @returns {Promise<Blob>} - Exported video as Blob
+     * @returns {Promise<Object>} - Export result { blob, container, mimeType }
      */
     async export() {
         try {
             this.onLog('Starting MediaRecorder export...');
+            this.progress.setStage(EXPORT_STAGES.LOADING);
 
             // Get video metadata
             const videoInfo = await this.getVideoInfo();
 
-            // Calculate duration
+            // Calculate duration - the kept parts of the clip play back to back
             const duration = this.endTime || videoInfo.duration;
-            const exportDuration = duration - this.startTime;
-            const fps = videoInfo.fps || 30;
+            const keepRanges = getKeepRanges(this.startTime, duration, this.cuts);
+            if (keepRanges.length === 0) {
+                throw new Error('Nothing to export - the whole clip is cut');
+            }
+            const exportDuration = getRangesDuration(keepRanges);
+            const fps = videoInfo.fps;
             const totalFrames = Math.ceil(exportDuration * fps);
 
             this.onLog(`Export: ${exportDuration.toFixed(2)}s, ${totalFrames} frames @ ${fps}fps`);
 
             // Process and record video
-            const blob = await this.processVideoFrames(videoInfo, exportDuration);
+            const blob = await this.processVideoFrames(videoInfo, keepRanges);
+            this.progress.setStage(EXPORT_STAGES.MUXING);
+            const result = await this.finalizeContainer(blob);
+            if (this.abortController.signal.aborted) throw createAbortError();
 
             this.onLog('Export complete!');
-            this.onProgress(1);
+            this.progress.complete();
 
-            return blob;
+            return result;
 
         } catch (error) {
-            this.onLog(`Export error: ${error.message}`);
-            console.error('MediaRecorder export error:', error);
+            if (error.name !== 'AbortError') {
+                this.onLog(`Export error: ${error.message}`);
+                console.error('MediaRecorder export error:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * Get video metadata without full demuxing
+     * Get video metadata, with the output frame rate resolved
+     * (target rate if set, otherwise the source rate)
      */
     async getVideoInfo() {
-        const videoUrl = URL.createObjectURL(this.videoFile);
-        const video = document.createElement('video');
-        video.src = videoUrl;
-        video.muted = true;
-
-        await new Promise((resolve, reject) => {
-            video.onloadedmetadata = resolve;
-            video.onerror = reject;
-        });
-
-        const info = {
-            width: video.videoWidth,
-            height: video.videoHeight,
-            duration: video.duration,
-            fps: 30
+        const info = this.mediaInfo || await getMediaInfo(this.videoFile);
+        return {
+            ...info,
+            fps: this.fps || info.fps,
         };
-
-        URL.revokeObjectURL(videoUrl);
-        return info;
     }
 
     /**
      * Process video frames and record with MediaRecorder
      */
-    async processVideoFrames(videoInfo, exportDuration) {
+    async processVideoFrames(videoInfo, keepRanges) {
         this.onLog('Processing video frames...');
+        const exportDuration = getRangesDuration(keepRanges);
+        const rangeEnd = keepRanges[keepRanges.length - 1].end;
 
         const videoUrl = URL.createObjectURL(this.videoFile);
         const video = document.createElement('video');
@@ -110,13 +714,13 @@ export class MediaRecorderExporter {
             video.onerror = reject;
         });
 
-        const fps = videoInfo.fps || 30;
+        const fps = videoInfo.fps;
         const totalFrames = Math.ceil(exportDuration * fps);
 
         // Create canvas for compositing
         const canvas = document.createElement('canvas');
-        canvas.width = videoInfo.width;
-        canvas.height = videoInfo.height;
+        canvas.width = this.outputWidth || videoInfo.width;
+        canvas.height = this.outputHeight || videoInfo.height;
         const ctx = canvas.getContext('2d');
 
         this.onLog(`Encoding ${totalFrames} frames...`);
@@ -126,14 +730,19 @@ export class MediaRecorderExporter {
 
         // Add audio track from video using Web Audio API
         let stream = canvasStream;
+        let audioContext = null;
+        let audioGain = null; // Follows the audio edit's gain curve while recording
+        let destination = null;
 
         try {
-            const audioContext = new AudioContext();
+            audioContext = new AudioContext();
             const source = audioContext.createMediaElementSource(video);
-            const destination = audioContext.createMediaStreamDestination();
+            destination = audioContext.createMediaStreamDestination();
+            audioGain = audioContext.createGain();
+            audioGain.gain.value = getAudioGainAt(this.audio, 0, exportDuration, this.normalizeGain);
 
-            // Connect video audio to the destination
-            source.connect(destination);
+            // Connect video audio to the destination, through the gain
+            source.connect(audioGain).connect(destination);
             // Don't connect to audioContext.destination to prevent playing through speakers
 
             // Add audio track to the stream
@@ -158,7 +767,8 @@ export class MediaRecorderExporter {
         this.recordedChunks = [];
         this.mediaRecorder = new MediaRecorder(stream, {
             mimeType: mimeType,
-            videoBitsPerSecond: 5000000 // 5 Mbps
+            videoBitsPerSecond: this.bitrate,
+            audioBitsPerSecond: this.audioBitrate
         });
 
         this.mediaRecorder.ondataavailable = (event) => {
@@ -188,10 +798,11 @@ export class MediaRecorderExporter {
             });
         };
 
-        // Seek to start time
-        await seekToTime(this.startTime);
+        // Seek to start time (or the end of a cut right at the start)
+        await seekToTime(keepRanges[0].start);
 
         // Preload overlay images
+        this.progress.setStage(EXPORT_STAGES.RENDERING);
         const imageOverlays = this.overlays.filter(o => o.type === 'image' && o.src);
         for (const overlay of imageOverlays) {
             try {
@@ -201,14 +812,38 @@ export class MediaRecorderExporter {
             }
         }
 
+        // Audio tracks play from a buffer mixed ahead, restarted after every cut
+        let trackMix = null;
+        let trackSource = null;
+        if (destination && this.audioTracks.length > 0) {
+            this.onLog(`Mixing ${this.audioTracks.length} audio tracks...`);
+            trackMix = audioContext.createBuffer(2, Math.ceil(exportDuration * ANALYSIS_SAMPLE_RATE), ANALYSIS_SAMPLE_RATE);
+            const channels = [trackMix.getChannelData(0), trackMix.getChannelData(1)];
+            mixAudioTracks(channels, ANALYSIS_SAMPLE_RATE, await decodeAudioTracks(this.audioTracks), keepRanges, this.duckRanges);
+        }
+        const stopTrackMix = () => {
+            trackSource?.stop();
+            trackSource = null;
+        };
+        const playTrackMix = (sourceTime) => {
+            stopTrackMix();
+            if (!trackMix) return;
+            trackSource = audioContext.createBufferSource();
+            trackSource.buffer = trackMix;
+            trackSource.connect(destination);
+            trackSource.start(0, toOutputTime(keepRanges, sourceTime));
+        };
+
         // Play and render frames in real-time
         const startTime = performance.now();
         let frameCount = 0;
+        this.progress.setStage(EXPORT_STAGES.ENCODING, { totalFrames });
 
         const renderFrame = async () => {
             if (this.abortController.signal.aborted) {
                 this.onLog('Export aborted');
-                this.mediaRecorder.stop();
+                // abort() may have stopped the recorder already
+                if (this.mediaRecorder.state === 'recording') this.mediaRecorder.stop();
                 URL.revokeObjectURL(videoUrl);
                 return;
             }
@@ -217,13 +852,35 @@ export class MediaRecorderExporter {
             const relativeTime = currentTime - this.startTime;
 
             // Check if we've reached the end
-            if (relativeTime >= exportDuration || currentTime >= (this.endTime || video.duration)) {
+            if (currentTime >= rangeEnd || currentTime >= video.duration) {
                 this.onLog('Reached end of export range');
                 this.mediaRecorder.stop();
                 URL.revokeObjectURL(videoUrl);
                 return;
             }
 
+            // Reached a cut - pause the recording while seeking past it,
+            // so the removed part never reaches the output
+            if (!findRangeAt(keepRanges, currentTime)) {
+                const next = keepRanges.find(range => range.start > currentTime);
+                if (next) {
+                    this.mediaRecorder.pause();
+                    video.pause();
+                    stopTrackMix();
+                    await seekToTime(next.start);
+                    this.mediaRecorder.resume();
+                    await video.play();
+                    playTrackMix(video.currentTime);
+                    requestAnimationFrame(renderFrame);
+                    return;
+                }
+            }
+
+            if (audioGain) {
+                const gain = getAudioGainAt(this.audio, toOutputTime(keepRanges, currentTime), exportDuration, this.normalizeGain);
+                setGainParam(audioGain.gain, audioContext, gain);
+            }
+
             // Clear and draw video frame
             ctx.clearRect(0, 0, canvas.width, canvas.height);
             ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
@@ -236,12 +893,13 @@ export class MediaRecorderExporter {
             });
 
             for (const overlay of activeOverlays) {
-                await this.drawOverlay(ctx, overlay, canvas.width, canvas.height);
+                await this.drawOverlay(ctx, overlay, canvas.width, canvas.height, currentTime);
             }
 
-            // Update progress
+            // Update progress - frames are counted by media time, the
+            // recorder captures at the display rate
             frameCount++;
-            this.onProgress(Math.min(relativeTime / exportDuration, 0.99));
+            this.progress.setFrames(Math.min(Math.round(toOutputTime(keepRanges, currentTime) * fps), totalFrames));
 
             // Continue rendering
             requestAnimationFrame(renderFrame);
@@ -249,6 +907,7 @@ export class MediaRecorderExporter {
 
         // Start playback and rendering
         await video.play();
+        playTrackMix(video.currentTime);
         renderFrame();
 
         // Wait for recording to complete
@@ -256,24 +915,25 @@ export class MediaRecorderExporter {
             this.mediaRecorder.onstop = () => {
                 video.pause();
                 URL.revokeObjectURL(videoUrl);
+                audioContext?.close();
 
                 this.onLog(`Recording stopped. Chunks: ${this.recordedChunks.length}`);
 
+                if (this.abortController.signal.aborted) {
+                    reject(createAbortError());
+                    return;
+                }
+
                 if (this.recordedChunks.length === 0) {
                     reject(new Error('No data was recorded'));
                     return;
                 }
 
-                // Create blob from recorded chunks
-                const blob = new Blob(this.recordedChunks, { type: mimeType });
+                // Create blob from recorded chunks, typed as what was actually recorded
+                const blob = new Blob(this.recordedChunks, { type: this.mediaRecorder.mimeType || mimeType });
                 this.onLog(`Generated blob: ${blob.size} bytes, type: ${blob.type}`);
 
-                // Ensure it's an MP4 blob (some browsers use webm)
-                const mp4Blob = mimeType.includes('mp4') || blob.type.includes('mp4')
-                    ? blob
-                    : new Blob([blob], { type: 'video/mp4' });
-
-                resolve(mp4Blob);
+                resolve(blob);
             };
 
             // Timeout safety - stop recording after export duration + buffer
@@ -282,16 +942,60 @@ export class MediaRecorderExporter {
                     this.onLog('Recording timeout - stopping');
                     this.mediaRecorder.stop();
                 }
-            }, (exportDuration + 2) * 1000);
+            }, (exportDuration + 2 + keepRanges.length) * 1000); // + time to seek past each cut
         });
     }
 
+    /**
+     * Make the recording match the requested container
+     * Browsers record what they support (e.g. Chrome only WebM before v126),
+     * so a recording in another container is remuxed with FFmpeg when
+     * possible, and otherwise kept as-is and reported with its real container
+     * @param {Blob} blob - Recorded video
+     * @returns {Promise<Object>} - Export result { blob, container, mimeType }
+     */
+    async finalizeContainer(blob) {
+        const recorded = {
+            blob,
+            container: getContainerFromMimeType(blob.type) || 'webm',
+            mimeType: blob.type,
+        };
+        if (recorded.container === this.container) return recorded;
+
+        let ffmpeg = this.ffmpeg;
+        if ((!ffmpeg || !ffmpeg.loaded) && this.loadFFmpeg) {
+            try {
+                this.onLog('Loading FFmpeg for remuxing...');
+                ffmpeg = await this.loadFFmpeg();
+            } catch (error) {
+                this.onLog(`Could not load FFmpeg (${error.message})`);
+            }
+        }
+        if (!ffmpeg || !ffmpeg.loaded) {
+            this.onLog(`FFmpeg not loaded, keeping the ${recorded.container} recording`);
+            return recorded;
+        }
+
+        try {
+            this.onLog(`Remuxing ${recorded.container} to ${this.container}...`);
+            const remuxed = await remux(ffmpeg, blob, recorded.container, this.container);
+            this.onLog(`Remuxed blob: ${remuxed.size} bytes, type: ${remuxed.type}`);
+            return { blob: remuxed, container: this.container, mimeType: remuxed.type };
+        } catch (error) {
+            // e.g. VP8 can't go into MP4
+            this.onLog(`Remux failed (${error.message}), keeping the ${recorded.container} recording`);
+            return recorded;
+        }
+    }
+
     /**
      * Get supported MIME type for MediaRecorder
-     * Prioritize formats that support both video and audio
+     * Preferred types from the export settings come first, then formats
+     * that support both video and audio
      */
     getSupportedMimeType() {
         const types = [
+            ...this.mimeTypes,
             'video/mp4;codecs="avc1.42E01E,mp4a.40.2"', // H.264 + AAC (audio)
             'video/mp4;codecs="avc1.640029,mp4a.40.2"', // H.264 High + AAC
             'video/mp4;codecs="avc1.42E01E"',
@@ -315,12 +1019,13 @@ export class MediaRecorderExporter {
 
     /**
      * Draw overlay to canvas context
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} overlay - Overlay object
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     * @param {number} time - Source time of the frame, for animated overlays
      */
-    async drawOverlay(ctx, overlay, canvasWidth, canvasHeight) {
-        const { style, transform, text, type, src } = overlay;
-
-        ctx.save();
-
+    async drawOverlay(ctx, overlay, canvasWidth, canvasHeight, time) {
         // Calculate scale factors - overlay coordinates are relative to display size
         // but we're drawing to a canvas sized to the actual video dimensions
         let scaleX = 1;
@@ -330,67 +1035,16 @@ export class MediaRecorderExporter {
             scaleX = canvasWidth / this.displayWidth;
             scaleY = canvasHeight / this.displayHeight;
         }
+        const frame = { width: canvasWidth / scaleX, height: canvasHeight / scaleY };
 
-        const baseScale = transform.scale || [1, 1];
-        const rotation = transform.rotate || 0;
-
-        if (type === 'image' && src) {
+        if (overlay.type === 'image' && overlay.src) {
             // Use cached image if available
-            const img = overlay._cachedImage || await this.loadImage(src);
+            const img = overlay._cachedImage || await this.loadImage(overlay.src);
             overlay._cachedImage = img;
-
-            // Images are positioned with top-left at (x, y) in the preview
-            // Scale the image size to match export resolution
-            const scaledWidth = img.width * scaleX;
-            const scaledHeight = img.height * scaleY;
-            const x = transform.x * scaleX;
-            const y = transform.y * scaleY;
-
-            // Apply user scale and rotation (from transform origin center)
-            ctx.translate(x + scaledWidth / 2, y + scaledHeight / 2);
-            ctx.rotate((rotation * Math.PI) / 180);
-            ctx.scale(baseScale[0], baseScale[1]);
-            ctx.drawImage(img, -scaledWidth / 2, -scaledHeight / 2, scaledWidth, scaledHeight);
+            drawImageOverlay(ctx, getOverlayAt(overlay, time, frame), img, scaleX, scaleY);
         } else {
-            // Text overlay - CSS positioning is tricky:
-            // - left/top position the element's top-left corner at (x, y)
-            // - transform-origin is 50% 50% (center of element)
-            // - Element has 4px padding and width = max-content (text width)
-            // - So the visual center is offset from (x, y) by half element size
-
-            const fontSize = style.fontSize || 40;
-            const avgScale = (scaleX + scaleY) / 2;
-            const scaledFontSize = Math.max(1, fontSize * avgScale);
-
-            // Set font first to measure text
-            ctx.font = `${style.fontWeight || '600'} ${scaledFontSize}px "${style.fontFamily || 'Arial'}"`;
-            const metrics = ctx.measureText(text);
-            const textWidth = metrics.width;
-            const textHeight = scaledFontSize; // Approximate height
-
-            // Add padding (4px) and scale it
-            const padding = 4 * avgScale;
-            const elementWidth = textWidth + padding * 2;
-            const elementHeight = textHeight + padding * 2;
-
-            // In CSS: left/top positions top-left at (x,y)
-            // Transform origin at center means transforms happen from (x + w/2, y + h/2)
-            const x = transform.x * scaleX;
-            const y = transform.y * scaleY;
-
-            // Position at the element's center (where transform-origin is)
-            ctx.translate(x + elementWidth / 2, y + elementHeight / 2);
-            ctx.rotate((rotation * Math.PI) / 180);
-            ctx.scale(baseScale[0], baseScale[1]);
-
-            // Draw text centered at the origin
-            ctx.fillStyle = style.color || '#ffffff';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(text, 0, 0);
+            drawTextOverlay(ctx, getOverlayAt(overlay, time, frame), scaleX, scaleY);
         }
-
-        ctx.restore();
     }
 
     /**
@@ -417,11 +1071,31 @@ export class MediaRecorderExporter {
 }
 
 /**
- * Convenience function to export with MediaRecorder
+ * Convenience function to export with overlays
+ * Uses the offline WebCodecs pipeline when the file supports it and falls
+ * back to real-time MediaRecorder capture otherwise
  * @param {Object} options - Export options
- * @returns {Promise<Blob>} - Exported video blob
+ * @returns {Promise<Object>} - Export result { blob, container, mimeType }
  */
 export async function exportWithWebCodecs(options) {
-    const exporter = new MediaRecorderExporter(options);
-    return exporter.export();
+    const exporter = new WebCodecsExporter(options);
+    if (await exporter.canExport()) {
+        return exporter.export();
+    }
+
+    exporter.cleanup();
+    options.onLog?.('Falling back to real-time MediaRecorder export');
+    const recorder = new MediaRecorderExporter(options);
+    return recorder.export();
+}
+
+/**
+ * Convenience function to export with real-time MediaRecorder capture
+ * Used for output the WebCodecs pipeline can't produce (WebM, VP9, AV1)
+ * @param {Object} options - Export options
+ * @returns {Promise<Object>} - Export result { blob, container, mimeType }
+ */
+export async function exportWithMediaRecorder(options) {
+    const recorder = new MediaRecorderExporter(options);
+    return recorder.export();
 }